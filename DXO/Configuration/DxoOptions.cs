@@ -49,9 +49,15 @@ public class OrchestrationOptions
     public int DefaultMaxIterations { get; set; } = 8;
     public string DefaultStopMarker { get; set; } = "FINAL:";
     public bool StopOnReviewerApproved { get; set; } = true;
+    public bool ParallelReviewers { get; set; } = false;
+    public int MaxParallelReviewers { get; set; } = 4;
     public int MaxPromptChars { get; set; } = 20000;
     public int MaxDraftChars { get; set; } = 50000;
     public int ContextTurnsToSend { get; set; } = 8;
+    public int MaxAttachments { get; set; } = 10;
+    public int MaxAttachmentFileBytes { get; set; } = 10 * 1024 * 1024;
+    public int MaxAttachmentChars { get; set; } = 50000;
+    public int MaxAttachmentTotalChars { get; set; } = 100000;
 }
 
 /// <summary>
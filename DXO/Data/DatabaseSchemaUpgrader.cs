@@ -0,0 +1,130 @@
+using System.Data.Common;
+using System.Text.RegularExpressions;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.EntityFrameworkCore.Metadata;
+
+namespace DXO.Data;
+
+/// <summary>
+/// Brings an existing SQLite database up to the current model.
+/// EnsureCreated only builds a database that does not exist yet, so tables and columns added since a database was
+/// created are added here: missing tables with their indexes, and missing columns with the entity's default value.
+/// Columns are never dropped or changed.
+/// </summary>
+public static class DatabaseSchemaUpgrader
+{
+    public static void Upgrade(DxoDbContext dbContext, ILogger logger)
+    {
+        if (!dbContext.Database.IsSqlite())
+        {
+            return;
+        }
+
+        // The create script holds the DDL of every table and index in the model
+        var createStatements = Regex.Split(dbContext.Database.GenerateCreateScript(), @";\s*$", RegexOptions.Multiline)
+            .Select(statement => statement.Trim())
+            .Where(statement => statement.Length > 0)
+            .ToList();
+
+        dbContext.Database.OpenConnection();
+        try
+        {
+            var connection = dbContext.Database.GetDbConnection();
+            foreach (var entityType in dbContext.Model.GetEntityTypes())
+            {
+                var table = entityType.GetTableName();
+                if (table == null)
+                {
+                    continue;
+                }
+
+                var existingColumns = GetColumns(connection, table);
+                if (existingColumns.Count == 0)
+                {
+                    CreateTable(connection, table, createStatements);
+                    logger.LogInformation("Added table {Table} to the existing database", table);
+                    continue;
+                }
+
+                AddMissingColumns(connection, entityType, table, existingColumns, logger);
+            }
+        }
+        finally
+        {
+            dbContext.Database.CloseConnection();
+        }
+    }
+
+    private static void CreateTable(DbConnection connection, string table, List<string> createStatements)
+    {
+        var statements = createStatements.Where(statement =>
+            statement.StartsWith($"CREATE TABLE \"{table}\"", StringComparison.Ordinal) ||
+            (statement.StartsWith("CREATE ", StringComparison.Ordinal) && statement.Contains($" ON \"{table}\" (", StringComparison.Ordinal)));
+
+        foreach (var statement in statements)
+        {
+            Execute(connection, statement);
+        }
+    }
+
+    private static void AddMissingColumns(DbConnection connection, IEntityType entityType, string table, HashSet<string> existingColumns, ILogger logger)
+    {
+        var storeObject = StoreObjectIdentifier.Table(table, entityType.GetSchema());
+
+        // Rows that predate a column get the value a new entity starts with, e.g. "[]" for a JSON list
+        var template = entityType.ClrType.GetConstructor(Type.EmptyTypes) != null
+            ? Activator.CreateInstance(entityType.ClrType)
+            : null;
+
+        foreach (var property in entityType.GetProperties())
+        {
+            var column = property.GetColumnName(storeObject);
+            if (column == null || existingColumns.Contains(column))
+            {
+                continue;
+            }
+
+            var typeMapping = property.GetRelationalTypeMapping();
+            var sql = $"ALTER TABLE \"{table}\" ADD COLUMN \"{column}\" {typeMapping.StoreType}";
+
+            if (!property.IsNullable)
+            {
+                var defaultValue = template != null ? property.PropertyInfo?.GetValue(template) : null;
+                if (defaultValue == null && property.ClrType == typeof(string))
+                {
+                    defaultValue = string.Empty;
+                }
+
+                // SQLite only adds a NOT NULL column that has a default
+                if (defaultValue != null)
+                {
+                    sql += $" NOT NULL DEFAULT {typeMapping.GenerateSqlLiteral(defaultValue)}";
+                }
+            }
+
+            Execute(connection, sql);
+            logger.LogInformation("Added column {Column} to table {Table}", column, table);
+        }
+    }
+
+    private static HashSet<string> GetColumns(DbConnection connection, string table)
+    {
+        var columns = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        using var command = connection.CreateCommand();
+        command.CommandText = $"PRAGMA table_info(\"{table}\")";
+        using var reader = command.ExecuteReader();
+        while (reader.Read())
+        {
+            columns.Add(reader.GetString(1));
+        }
+        return columns;
+    }
+
+    // Run through the connection rather than ExecuteSqlRaw, which would read the braces of a "{}" default as a format placeholder
+    private static void Execute(DbConnection connection, string sql)
+    {
+        using var command = connection.CreateCommand();
+        command.CommandText = sql;
+        command.ExecuteNonQuery();
+    }
+}
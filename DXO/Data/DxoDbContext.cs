@@ -17,6 +17,7 @@ public class DxoDbContext : DbContext
     public DbSet<ConfiguredModel> ConfiguredModels { get; set; } = null!;
     public DbSet<FeedbackRound> FeedbackRounds { get; set; } = null!;
     public DbSet<UserSettings> UserSettings { get; set; } = null!;
+    public DbSet<CouncilPreset> CouncilPresets { get; set; } = null!;
 
     protected override void OnModelCreating(ModelBuilder modelBuilder)
     {
@@ -93,5 +94,17 @@ public class DxoDbContext : DbContext
             
             entity.HasIndex(e => e.UserId).IsUnique();
         });
+
+        // CouncilPreset configuration
+        modelBuilder.Entity<CouncilPreset>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.Name).IsRequired().HasMaxLength(200);
+            entity.Property(e => e.UserEmail).IsRequired().HasMaxLength(200);
+            entity.Property(e => e.ConfigJson).IsRequired();
+
+            // Preset names are unique per user
+            entity.HasIndex(e => new { e.UserEmail, e.Name }).IsUnique();
+        });
     }
 }
\ No newline at end of file
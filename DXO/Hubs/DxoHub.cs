@@ -1,6 +1,8 @@
+using System.Security.Claims;
 using Microsoft.AspNetCore.SignalR;
 using DXO.Models;
 using DXO.Services.NativeAgent;
+using DXO.Services.Orchestration;
 
 namespace DXO.Hubs;
 
@@ -22,11 +24,17 @@ public interface IDxoHubClient
 
     // Message streaming events
     Task MessageStarted(Guid sessionId, Guid messageId, string persona, int iteration);
-    Task MessageChunk(Guid sessionId, Guid messageId, string content);
-    Task MessageCompleted(Guid sessionId, Guid messageId, string fullContent);
+    Task MessageChunk(Guid sessionId, Guid messageId, string content, int sequence);
+    Task MessageCompleted(Guid sessionId, Guid messageId, string fullContent, MessageUsage usage);
+    Task ReviewerVerdictParsed(Guid sessionId, Guid messageId, ReviewerVerdict verdict);
 
     // Memory events
     Task PersonaMemoryReset(Guid sessionId, string persona);
+
+    // Presence events
+    Task PresenceUpdated(Guid sessionId, SessionPresence presence);
+    Task ControlRequested(Guid sessionId, string userEmail, string displayName);
+    Task ControlRequestDeclined(Guid sessionId, string displayName);
 }
 
 /// <summary>
@@ -35,21 +43,38 @@ public interface IDxoHubClient
 public class DxoHub : Hub<IDxoHubClient>
 {
     private readonly ILogger<DxoHub> _logger;
+    private readonly IOrchestrationService _orchestration;
+    private readonly IStreamBufferService _streamBuffer;
+    private readonly ISessionPresenceService _presence;
     private readonly IReviewerRecommendationService? _recommendationService;
 
-    public DxoHub(ILogger<DxoHub> logger, IReviewerRecommendationService? recommendationService = null)
+    public DxoHub(
+        ILogger<DxoHub> logger,
+        IOrchestrationService orchestration,
+        IStreamBufferService streamBuffer,
+        ISessionPresenceService presence,
+        IReviewerRecommendationService? recommendationService = null)
     {
         _logger = logger;
+        _orchestration = orchestration;
+        _streamBuffer = streamBuffer;
+        _presence = presence;
         _recommendationService = recommendationService;
     }
 
     /// <summary>
-    /// Join a session group to receive updates for that session
+    /// Join a session group to receive updates for that session, and announce the caller to the other participants
     /// </summary>
-    public async Task JoinSession(Guid sessionId)
+    public async Task<JoinSessionResponse> JoinSession(Guid sessionId)
     {
         await Groups.AddToGroupAsync(Context.ConnectionId, sessionId.ToString());
+
+        var userEmail = GetUserEmail();
+        var presence = _presence.Join(sessionId, Context.ConnectionId, userEmail, GetDisplayName(userEmail));
+        await Clients.Group(sessionId.ToString()).PresenceUpdated(sessionId, presence);
+
         _logger.LogDebug("Client {ConnectionId} joined session {SessionId}", Context.ConnectionId, sessionId);
+        return new JoinSessionResponse { UserEmail = userEmail, Presence = presence };
     }
 
     /// <summary>
@@ -58,9 +83,146 @@ public class DxoHub : Hub<IDxoHubClient>
     public async Task LeaveSession(Guid sessionId)
     {
         await Groups.RemoveFromGroupAsync(Context.ConnectionId, sessionId.ToString());
+
+        var presence = _presence.Leave(sessionId, Context.ConnectionId);
+        if (presence != null)
+        {
+            await Clients.Group(sessionId.ToString()).PresenceUpdated(sessionId, presence);
+        }
+
         _logger.LogDebug("Client {ConnectionId} left session {SessionId}", Context.ConnectionId, sessionId);
     }
 
+    /// <summary>
+    /// Show or clear the "editing feedback" indicator for the caller
+    /// </summary>
+    public async Task SetEditingFeedback(Guid sessionId, bool editing)
+    {
+        var presence = _presence.SetEditingFeedback(sessionId, Context.ConnectionId, editing);
+        if (presence != null)
+        {
+            await Clients.Group(sessionId.ToString()).PresenceUpdated(sessionId, presence);
+        }
+    }
+
+    /// <summary>
+    /// Take control when nobody holds it, otherwise ask the current controller to hand off
+    /// </summary>
+    /// <returns>Whether the caller controls the session now</returns>
+    public async Task<bool> RequestControl(Guid sessionId)
+    {
+        var userEmail = GetUserEmail();
+        var claim = _presence.TryAcquireControl(sessionId, userEmail);
+        if (claim.Changed)
+        {
+            await Clients.Group(sessionId.ToString()).PresenceUpdated(sessionId, _presence.GetPresence(sessionId));
+        }
+
+        if (!claim.Granted)
+        {
+            var controllerEmail = _presence.GetPresence(sessionId).ControllerEmail;
+            if (controllerEmail != null)
+            {
+                await Clients.Clients(_presence.GetConnectionIds(sessionId, controllerEmail))
+                    .ControlRequested(sessionId, userEmail, GetDisplayName(userEmail));
+            }
+        }
+
+        return claim.Granted;
+    }
+
+    /// <summary>
+    /// Pass control of the session to another participant. Only the current controller can hand off.
+    /// </summary>
+    public async Task<bool> HandOffControl(Guid sessionId, string userEmail)
+    {
+        if (!_presence.HandOffControl(sessionId, GetUserEmail(), userEmail))
+        {
+            return false;
+        }
+
+        await Clients.Group(sessionId.ToString()).PresenceUpdated(sessionId, _presence.GetPresence(sessionId));
+        _logger.LogInformation("Control of session {SessionId} handed off to {UserEmail}", sessionId, userEmail);
+        return true;
+    }
+
+    /// <summary>
+    /// Give up control so the next participant to act takes it
+    /// </summary>
+    public async Task ReleaseControl(Guid sessionId)
+    {
+        if (_presence.ReleaseControl(sessionId, GetUserEmail()))
+        {
+            await Clients.Group(sessionId.ToString()).PresenceUpdated(sessionId, _presence.GetPresence(sessionId));
+        }
+    }
+
+    /// <summary>
+    /// Tell a participant who asked for control that the controller is keeping it
+    /// </summary>
+    public async Task DeclineControlRequest(Guid sessionId, string userEmail)
+    {
+        var callerEmail = GetUserEmail();
+        if (_presence.GetPresence(sessionId).ControllerEmail != callerEmail)
+        {
+            return;
+        }
+
+        await Clients.Clients(_presence.GetConnectionIds(sessionId, userEmail))
+            .ControlRequestDeclined(sessionId, GetDisplayName(callerEmail));
+    }
+
+    /// <summary>
+    /// Returns the stored messages and in-flight partial content for a session
+    /// Called by clients after a reconnect to recover events missed while offline
+    /// </summary>
+    public async Task<SessionResyncResponse> ResyncSession(Guid sessionId)
+    {
+        try
+        {
+            // Snapshot streams before loading the session so a message completing in between is found in the database
+            var streamingMessages = _streamBuffer.GetStreamingMessages(sessionId);
+
+            var session = await _orchestration.GetSessionAsync(sessionId);
+            if (session == null)
+            {
+                return new SessionResyncResponse
+                {
+                    Success = false,
+                    ErrorMessage = "Session not found"
+                };
+            }
+
+            var storedIds = session.Messages.Select(m => m.MessageId).ToHashSet();
+
+            return new SessionResyncResponse
+            {
+                Success = true,
+                Status = session.Status.ToString(),
+                StopReason = session.StopReason.ToString(),
+                CurrentIteration = session.CurrentIteration,
+                FinalContent = session.FinalContent,
+                Messages = session.Messages
+                    .Where(m => m.Role == MessageRole.Assistant)
+                    .OrderBy(m => m.CreatedAt)
+                    .Select(MessageDto.FromMessage)
+                    .ToList(),
+                StreamingMessages = streamingMessages
+                    .Where(m => !storedIds.Contains(m.MessageId))
+                    .ToList()
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error resyncing session {SessionId}", sessionId);
+            return new SessionResyncResponse
+            {
+                Success = false,
+                ErrorMessage = "Failed to resync session"
+            };
+        }
+    }
+
     public override async Task OnConnectedAsync()
     {
         _logger.LogDebug("Client {ConnectionId} connected", Context.ConnectionId);
@@ -69,6 +231,11 @@ public class DxoHub : Hub<IDxoHubClient>
 
     public override async Task OnDisconnectedAsync(Exception? exception)
     {
+        foreach (var presence in _presence.LeaveAll(Context.ConnectionId))
+        {
+            await Clients.Group(presence.SessionId.ToString()).PresenceUpdated(presence.SessionId, presence);
+        }
+
         if (exception != null)
         {
             _logger.LogWarning(exception, "Client {ConnectionId} disconnected with error", Context.ConnectionId);
@@ -177,4 +344,19 @@ public class DxoHub : Hub<IDxoHubClient>
             };
         }
     }
+
+    // Same claim order as GetUserEmail in Program.cs, so presence matches the session owner checks
+    private string GetUserEmail()
+    {
+        return Context.User?.FindFirst(ClaimTypes.Email)?.Value
+            ?? Context.User?.FindFirst("preferred_username")?.Value
+            ?? Context.User?.FindFirst("email")?.Value
+            ?? Context.User?.FindFirst(ClaimTypes.Name)?.Value
+            ?? "unknown";
+    }
+
+    private string GetDisplayName(string userEmail)
+    {
+        return Context.User?.FindFirst("name")?.Value ?? userEmail;
+    }
 }
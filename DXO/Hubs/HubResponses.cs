@@ -1,5 +1,7 @@
 using System.Text.Json.Serialization;
+using DXO.Models;
 using DXO.Services.NativeAgent;
+using DXO.Services.Orchestration;
 
 namespace DXO.Hubs;
 
@@ -38,3 +40,48 @@ public class GetNativeAgentStatusResponse
     [JsonPropertyName("modelName")]
     public string? ModelName { get; set; }
 }
+
+/// <summary>
+/// Response for session resync after a reconnect
+/// </summary>
+public class SessionResyncResponse
+{
+    [JsonPropertyName("success")]
+    public bool Success { get; set; }
+
+    [JsonPropertyName("errorMessage")]
+    public string? ErrorMessage { get; set; }
+
+    [JsonPropertyName("status")]
+    public string? Status { get; set; }
+
+    [JsonPropertyName("stopReason")]
+    public string? StopReason { get; set; }
+
+    [JsonPropertyName("currentIteration")]
+    public int CurrentIteration { get; set; }
+
+    [JsonPropertyName("finalContent")]
+    public string? FinalContent { get; set; }
+
+    [JsonPropertyName("messages")]
+    public List<MessageDto> Messages { get; set; } = new();
+
+    [JsonPropertyName("streamingMessages")]
+    public List<StreamingMessageSnapshot> StreamingMessages { get; set; } = new();
+}
+
+/// <summary>
+/// Response for joining a session group
+/// </summary>
+public class JoinSessionResponse
+{
+    /// <summary>
+    /// The caller's identity as used for presence and control
+    /// </summary>
+    [JsonPropertyName("userEmail")]
+    public string UserEmail { get; set; } = string.Empty;
+
+    [JsonPropertyName("presence")]
+    public SessionPresence Presence { get; set; } = new();
+}
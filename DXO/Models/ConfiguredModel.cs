@@ -48,6 +48,16 @@ public class ConfiguredModel
         set => Provider = value ? ModelProvider.Azure : ModelProvider.OpenAI;
     }
     
+    /// <summary>
+    /// Price in USD per one million prompt (input) tokens, used for cost estimates
+    /// </summary>
+    public decimal? InputPricePerMillionTokens { get; set; }
+
+    /// <summary>
+    /// Price in USD per one million completion (output) tokens, used for cost estimates
+    /// </summary>
+    public decimal? OutputPricePerMillionTokens { get; set; }
+    
     /// <summary>
     /// When this model was added to the system
     /// </summary>
@@ -0,0 +1,63 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+using System.Text.Json;
+
+namespace DXO.Models;
+
+/// <summary>
+/// A saved council configuration (creator, reviewers and session settings) owned by a user
+/// </summary>
+public class CouncilPreset
+{
+    [Key]
+    public int Id { get; set; }
+
+    /// <summary>
+    /// The email address of the user who owns this preset
+    /// </summary>
+    [Required]
+    [MaxLength(200)]
+    public string UserEmail { get; set; } = string.Empty;
+
+    [Required]
+    [MaxLength(200)]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Session request payload without the topic (JSON serialized)
+    /// </summary>
+    [Required]
+    [Column(TypeName = "TEXT")]
+    public string ConfigJson { get; set; } = "{}";
+
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+}
+
+/// <summary>
+/// Data Transfer Object for CouncilPreset responses
+/// Returns the stored configuration as JSON rather than an escaped string
+/// </summary>
+public class CouncilPresetDto
+{
+    public int Id { get; set; }
+    public string Name { get; set; } = string.Empty;
+    public JsonElement Config { get; set; }
+    public DateTime CreatedAt { get; set; }
+    public DateTime UpdatedAt { get; set; }
+
+    /// <summary>
+    /// Creates a CouncilPresetDto from a CouncilPreset entity
+    /// </summary>
+    public static CouncilPresetDto FromPreset(CouncilPreset preset)
+    {
+        return new CouncilPresetDto
+        {
+            Id = preset.Id,
+            Name = preset.Name,
+            Config = JsonSerializer.Deserialize<JsonElement>(preset.ConfigJson),
+            CreatedAt = preset.CreatedAt,
+            UpdatedAt = preset.UpdatedAt
+        };
+    }
+}
@@ -1,3 +1,5 @@
+using System.Text.Json.Serialization;
+
 namespace DXO.Models;
 
 /// <summary>
@@ -55,3 +57,44 @@ public enum RunMode
     Auto,
     Step
 }
+
+/// <summary>
+/// How much weight a reviewer's verdict carries when deciding whether the council has converged
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum ReviewerCategory
+{
+    /// <summary>Must approve under every quorum rule</summary>
+    HardVeto,
+    Standard,
+
+    /// <summary>Advisory only, never blocks completion</summary>
+    Optional
+}
+
+/// <summary>
+/// Rule that decides when enough reviewers have signed off to stop iterating
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum QuorumRule
+{
+    All,
+    Majority,
+    HardVetoPlusN
+}
+
+/// <summary>
+/// How a reviewer's approval is read from its response
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum VerdictMode
+{
+    /// <summary>Approval is a marker token such as @@SIGNED OFF@@, ignoring negated forms</summary>
+    Keyword,
+
+    /// <summary>Approval is any match of a custom regular expression</summary>
+    Regex,
+
+    /// <summary>Approval is read from a structured JSON verdict block</summary>
+    Json
+}
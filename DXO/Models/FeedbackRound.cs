@@ -38,12 +38,29 @@ public class FeedbackRound
     /// </summary>
     public bool AllReviewersApproved { get; set; } = false;
 
+    /// <summary>
+    /// Whether the session's quorum rule was satisfied at this iteration
+    /// </summary>
+    public bool QuorumMet { get; set; } = false;
+
+    /// <summary>
+    /// Which quorum rule was met, or what is still blocking it
+    /// </summary>
+    [MaxLength(500)]
+    public string? QuorumSummary { get; set; }
+
     /// <summary>
     /// JSON serialized reviewer feedback summaries
     /// </summary>
     [Column(TypeName = "TEXT")]
     public string? ReviewerFeedbackJson { get; set; }
 
+    /// <summary>
+    /// JSON serialized summaries (AttachmentSummary) of the reference documents the personas had at this iteration
+    /// </summary>
+    [Column(TypeName = "TEXT")]
+    public string? AttachmentsJson { get; set; }
+
     /// <summary>
     /// Timestamp when this feedback round was created
     /// </summary>
@@ -69,6 +86,8 @@ public class ReviewerFeedbackSummary
 {
     public string ReviewerId { get; set; } = string.Empty;
     public string ReviewerName { get; set; } = string.Empty;
+    public ReviewerCategory Category { get; set; } = ReviewerCategory.Standard;
     public string Feedback { get; set; } = string.Empty;
     public bool Approved { get; set; } = false;
+    public ReviewerVerdict? Verdict { get; set; }
 }
@@ -60,6 +60,12 @@ public class Message
     [Column(TypeName = "TEXT")]
     public string? TokenUsageJson { get; set; }
 
+    /// <summary>
+    /// Parsed reviewer verdict (JSON serialized), null for Creator and system messages
+    /// </summary>
+    [Column(TypeName = "TEXT")]
+    public string? VerdictJson { get; set; }
+
     public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
 
     /// <summary>
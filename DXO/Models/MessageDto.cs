@@ -0,0 +1,77 @@
+using System.Text.Json;
+
+namespace DXO.Models;
+
+/// <summary>
+/// Data Transfer Object for Message responses
+/// Used to replay the interaction trace when a session is restored
+/// </summary>
+public class MessageDto
+{
+    public Guid MessageId { get; set; }
+    public Persona Persona { get; set; }
+    public MessageRole Role { get; set; }
+    public string Content { get; set; } = string.Empty;
+    public int Iteration { get; set; }
+    public string? ModelUsed { get; set; }
+    public string? ReviewerId { get; set; }
+    public string? ReviewerName { get; set; }
+    public MessageUsage? Usage { get; set; }
+    public ReviewerVerdict? Verdict { get; set; }
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Creates a MessageDto from a Message entity
+    /// </summary>
+    public static MessageDto FromMessage(Message message)
+    {
+        return new MessageDto
+        {
+            MessageId = message.MessageId,
+            Persona = message.Persona,
+            Role = message.Role,
+            Content = message.Content,
+            Iteration = message.Iteration,
+            ModelUsed = message.ModelUsed,
+            ReviewerId = message.ReviewerId,
+            ReviewerName = message.ReviewerName,
+            Usage = ParseUsage(message.TokenUsageJson),
+            Verdict = ParseVerdict(message.VerdictJson),
+            CreatedAt = message.CreatedAt
+        };
+    }
+
+    private static MessageUsage? ParseUsage(string? tokenUsageJson)
+    {
+        if (string.IsNullOrEmpty(tokenUsageJson))
+        {
+            return null;
+        }
+
+        try
+        {
+            return JsonSerializer.Deserialize<MessageUsage>(tokenUsageJson);
+        }
+        catch (JsonException)
+        {
+            return null;
+        }
+    }
+
+    private static ReviewerVerdict? ParseVerdict(string? verdictJson)
+    {
+        if (string.IsNullOrEmpty(verdictJson))
+        {
+            return null;
+        }
+
+        try
+        {
+            return JsonSerializer.Deserialize<ReviewerVerdict>(verdictJson);
+        }
+        catch (JsonException)
+        {
+            return null;
+        }
+    }
+}
@@ -0,0 +1,21 @@
+namespace DXO.Models;
+
+/// <summary>
+/// Token counts and estimated cost for a single generated message
+/// Persisted as Message.TokenUsageJson and sent with MessageCompleted
+/// </summary>
+public class MessageUsage
+{
+    public int PromptTokens { get; set; }
+    public int CompletionTokens { get; set; }
+
+    /// <summary>
+    /// True when the provider did not report usage and the counts were approximated from text length
+    /// </summary>
+    public bool IsEstimated { get; set; }
+
+    /// <summary>
+    /// Estimated cost in USD from the model's configured prices, null when the model has no prices set
+    /// </summary>
+    public decimal? EstimatedCost { get; set; }
+}
@@ -1,3 +1,5 @@
+using System.Text.Json;
+
 namespace DXO.Models;
 
 /// <summary>
@@ -26,6 +28,15 @@ public record UpdateModelRequest
     public string? DisplayName { get; init; }
 }
 
+/// <summary>
+/// Request to update the per-model token prices used for cost estimates
+/// </summary>
+public record UpdateModelPricingRequest
+{
+    public decimal? InputPricePerMillionTokens { get; init; }
+    public decimal? OutputPricePerMillionTokens { get; init; }
+}
+
 /// <summary>
 /// Request to submit user feedback for a specific iteration
 /// </summary>
@@ -45,4 +56,39 @@ public record IterateWithFeedbackRequest
     public string? Length { get; init; }
     public string? Audience { get; init; }
     public int MaxAdditionalIterations { get; init; } = 1;
+    public List<AnchoredComment>? AnchoredComments { get; init; }
+}
+
+/// <summary>
+/// A comment attached to a quoted passage of the final output
+/// </summary>
+public record AnchoredComment
+{
+    public string Quote { get; init; } = string.Empty;
+    public string Comment { get; init; } = string.Empty;
+}
+
+/// <summary>
+/// Request to start a new session from the draft of one of a session's iterations
+/// </summary>
+public record ForkSessionRequest
+{
+    public int Iteration { get; init; }
+}
+
+/// <summary>
+/// Request to save a council preset
+/// </summary>
+public record SaveCouncilPresetRequest
+{
+    public string Name { get; init; } = string.Empty;
+    public JsonElement Config { get; init; }
+}
+
+/// <summary>
+/// Request to rename a council preset
+/// </summary>
+public record RenameCouncilPresetRequest
+{
+    public string Name { get; init; } = string.Empty;
 }
@@ -0,0 +1,22 @@
+namespace DXO.Models;
+
+/// <summary>
+/// A reviewer's verdict as parsed from its response
+/// </summary>
+public class ReviewerVerdict
+{
+    public VerdictMode Mode { get; set; } = VerdictMode.Keyword;
+    public bool Approved { get; set; }
+
+    /// <summary>
+    /// "approve" or "revise" as stated in a JSON verdict block; null in the marker modes
+    /// </summary>
+    public string? Verdict { get; set; }
+
+    public List<string> BlockingIssues { get; set; } = new();
+
+    /// <summary>
+    /// Why the verdict could not be read. A verdict with a parse error never counts as approval.
+    /// </summary>
+    public string? ParseError { get; set; }
+}
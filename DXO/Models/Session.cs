@@ -38,6 +38,21 @@ public class Session
 
     public bool StopOnReviewerApproved { get; set; } = false;
 
+    /// <summary>
+    /// When true, all reviewers critique each draft concurrently instead of one after another
+    /// </summary>
+    public bool ParallelReviewers { get; set; } = false;
+
+    /// <summary>
+    /// Rule used to decide whether the reviewers' sign-offs are enough to stop
+    /// </summary>
+    public QuorumRule QuorumRule { get; set; } = QuorumRule.All;
+
+    /// <summary>
+    /// Number of standard reviewers that must approve alongside every hard-veto reviewer (HardVetoPlusN only)
+    /// </summary>
+    public int QuorumOthersRequired { get; set; } = 1;
+
     public RunMode RunMode { get; set; } = RunMode.Auto;
 
     /// <summary>
@@ -53,6 +68,22 @@ public class Session
     [Column(TypeName = "TEXT")]
     public string? FinalContent { get; set; }
 
+    /// <summary>
+    /// The session this one was forked from, if any
+    /// </summary>
+    public Guid? ParentSessionId { get; set; }
+
+    /// <summary>
+    /// The parent iteration whose draft this session was forked from
+    /// </summary>
+    public int? ForkedFromIteration { get; set; }
+
+    /// <summary>
+    /// Draft a forked session starts from. Its first iteration reviews this draft instead of asking the Creator for a new one.
+    /// </summary>
+    [Column(TypeName = "TEXT")]
+    public string? SeedDraft { get; set; }
+
     public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
 
     public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
@@ -69,6 +100,18 @@ public class Session
     [Column(TypeName = "TEXT")]
     public string ReviewersConfigJson { get; set; } = "[]";
 
+    /// <summary>
+    /// JSON serialized user-defined prompt variables (name to value), filled into {{name}} placeholders in persona prompts
+    /// </summary>
+    [Column(TypeName = "TEXT")]
+    public string PromptVariablesJson { get; set; } = "{}";
+
+    /// <summary>
+    /// JSON serialized array of reference documents (SessionAttachment) given to the Creator and reviewers as grounding context
+    /// </summary>
+    [Column(TypeName = "TEXT")]
+    public string AttachmentsJson { get; set; } = "[]";
+
     /// <summary>
     /// Navigation property for messages in this session
     /// </summary>
@@ -102,6 +145,14 @@ public class ReviewerConfig
     public string Id { get; set; } = string.Empty;
     public string Name { get; set; } = string.Empty;
     public string RootPrompt { get; set; } = string.Empty;
+    public ReviewerCategory Category { get; set; } = ReviewerCategory.Standard;
+    public VerdictMode VerdictMode { get; set; } = VerdictMode.Keyword;
+
+    /// <summary>
+    /// Approval marker in keyword mode (defaults to @@SIGNED OFF@@) or the approval regex in regex mode
+    /// </summary>
+    public string? VerdictPattern { get; set; }
+
     public string Model { get; set; } = "gpt-4o";
     public double Temperature { get; set; } = 0.5;
     public int MaxOutputTokens { get; set; } = 4096;
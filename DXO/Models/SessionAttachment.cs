@@ -0,0 +1,33 @@
+namespace DXO.Models;
+
+/// <summary>
+/// A reference document attached to a session. Its text is given to the Creator and reviewers as grounding context.
+/// </summary>
+public class SessionAttachment
+{
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// markdown, text, json, csv, code or pdf, from the file extension
+    /// </summary>
+    public string Kind { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The document's text; for a PDF, the text extracted from its pages
+    /// </summary>
+    public string Content { get; set; } = string.Empty;
+
+    public int Characters { get; set; }
+    public int EstimatedTokens { get; set; }
+}
+
+/// <summary>
+/// Which reference document a feedback round was produced with, without its text
+/// </summary>
+public class AttachmentSummary
+{
+    public string Name { get; set; } = string.Empty;
+    public string Kind { get; set; } = string.Empty;
+    public int Characters { get; set; }
+    public int EstimatedTokens { get; set; }
+}
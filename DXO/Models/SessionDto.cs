@@ -15,13 +15,21 @@ public class SessionDto
     public int FeedbackVersion { get; set; }
     public string StopMarker { get; set; } = string.Empty;
     public bool StopOnReviewerApproved { get; set; }
+    public bool ParallelReviewers { get; set; }
+    public QuorumRule QuorumRule { get; set; }
+    public int QuorumOthersRequired { get; set; }
     public RunMode RunMode { get; set; }
     public string? Topic { get; set; }
     public string? FinalContent { get; set; }
+    public Guid? ParentSessionId { get; set; }
+    public int? ForkedFromIteration { get; set; }
     public DateTime CreatedAt { get; set; }
     public DateTime UpdatedAt { get; set; }
     public string CreatorConfigJson { get; set; } = string.Empty;
     public string ReviewersConfigJson { get; set; } = string.Empty;
+    public string PromptVariablesJson { get; set; } = string.Empty;
+    public string AttachmentsJson { get; set; } = string.Empty;
+    public List<MessageDto> Messages { get; set; } = new();
 
     /// <summary>
     /// Creates a SessionDto from a Session entity
@@ -39,13 +47,24 @@ public class SessionDto
             FeedbackVersion = session.FeedbackVersion,
             StopMarker = session.StopMarker,
             StopOnReviewerApproved = session.StopOnReviewerApproved,
+            ParallelReviewers = session.ParallelReviewers,
+            QuorumRule = session.QuorumRule,
+            QuorumOthersRequired = session.QuorumOthersRequired,
             RunMode = session.RunMode,
             Topic = session.Topic,
             FinalContent = session.FinalContent,
+            ParentSessionId = session.ParentSessionId,
+            ForkedFromIteration = session.ForkedFromIteration,
             CreatedAt = session.CreatedAt,
             UpdatedAt = session.UpdatedAt,
             CreatorConfigJson = session.CreatorConfigJson,
-            ReviewersConfigJson = session.ReviewersConfigJson
+            ReviewersConfigJson = session.ReviewersConfigJson,
+            PromptVariablesJson = session.PromptVariablesJson,
+            AttachmentsJson = session.AttachmentsJson,
+            Messages = session.Messages
+                .OrderBy(m => m.CreatedAt)
+                .Select(MessageDto.FromMessage)
+                .ToList()
         };
     }
 }
\ No newline at end of file
@@ -0,0 +1,80 @@
+namespace DXO.Models;
+
+/// <summary>
+/// Lightweight session listing entry for the session library
+/// Excludes persona configuration and message history
+/// </summary>
+public class SessionSummaryDto
+{
+    private const int TopicPreviewLength = 200;
+
+    public Guid SessionId { get; set; }
+    public string Name { get; set; } = string.Empty;
+    public string? Topic { get; set; }
+    public SessionStatus Status { get; set; }
+    public StopReason StopReason { get; set; }
+    public int CurrentIteration { get; set; }
+    public int MaxIterations { get; set; }
+    public Guid? ParentSessionId { get; set; }
+    public int? ForkedFromIteration { get; set; }
+    public DateTime CreatedAt { get; set; }
+    public DateTime UpdatedAt { get; set; }
+
+    /// <summary>
+    /// Creates a SessionSummaryDto from a Session entity, truncating the topic for display
+    /// </summary>
+    public static SessionSummaryDto FromSession(Session session)
+    {
+        var topic = session.Topic;
+        if (topic != null && topic.Length > TopicPreviewLength)
+        {
+            topic = topic.Substring(0, TopicPreviewLength) + "...";
+        }
+
+        return new SessionSummaryDto
+        {
+            SessionId = session.SessionId,
+            Name = session.Name,
+            Topic = topic,
+            Status = session.Status,
+            StopReason = session.StopReason,
+            CurrentIteration = session.CurrentIteration,
+            MaxIterations = session.MaxIterations,
+            ParentSessionId = session.ParentSessionId,
+            ForkedFromIteration = session.ForkedFromIteration,
+            CreatedAt = session.CreatedAt,
+            UpdatedAt = session.UpdatedAt
+        };
+    }
+}
+
+/// <summary>
+/// A single page of session summaries along with paging metadata
+/// </summary>
+public class SessionListResult
+{
+    public List<SessionSummaryDto> Items { get; set; } = new();
+    public int TotalCount { get; set; }
+    public int Page { get; set; }
+    public int PageSize { get; set; }
+}
+
+/// <summary>
+/// Where a session sits in its fork tree: the chain of sessions it was forked from and its direct forks
+/// </summary>
+public class SessionLineageDto
+{
+    public SessionSummaryDto? Current { get; set; }
+
+    /// <summary>
+    /// Ancestors from the root session down to the direct parent. Empty when the session is not a fork.
+    /// </summary>
+    public List<SessionSummaryDto> Ancestors { get; set; } = new();
+
+    /// <summary>
+    /// True when the session was forked from a parent that has since been deleted
+    /// </summary>
+    public bool ParentMissing { get; set; }
+
+    public List<SessionSummaryDto> Forks { get; set; } = new();
+}
@@ -8,6 +8,7 @@ using Microsoft.AspNetCore.Authentication.Cookies;
 using Microsoft.AspNetCore.Authentication.Google;
 using Microsoft.AspNetCore.Authentication.MicrosoftAccount;
 using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.SignalR;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Options;
 using Microsoft.AspNetCore.Authentication.OpenIdConnect;
@@ -19,6 +20,7 @@ using DXO.Data;
 using DXO.Hubs;
 using DXO.Models;
 using DXO.Services;
+using DXO.Services.Attachments;
 using DXO.Services.Authorization;
 using DXO.Services.AzureAIFoundry;
 using DXO.Services.XAI;
@@ -26,6 +28,7 @@ using DXO.Services.OpenAI;
 using DXO.Services.Orchestration;
 using DXO.Services.Models;
 using DXO.Services.NativeAgent;
+using DXO.Services.Presets;
 using DXO.Services.Security;
 
 var builder = WebApplication.CreateBuilder(args);
@@ -90,8 +93,12 @@ builder.Services.AddSingleton<IAzureAIFoundryService, AzureAIFoundryService>();
 builder.Services.AddSingleton<IXAIService, XAIService>();
 builder.Services.AddSingleton<IOpenAIService, OpenAIService>();
 builder.Services.AddScoped<IModelInitializationService, ModelInitializationService>();
+builder.Services.AddSingleton<IStreamBufferService, StreamBufferService>();
+builder.Services.AddSingleton<ISessionPresenceService, SessionPresenceService>();
+builder.Services.AddSingleton<IAttachmentTextExtractor, AttachmentTextExtractor>();
 builder.Services.AddScoped<IOrchestrationService, OrchestrationService>();
 builder.Services.AddScoped<IReviewerRecommendationService, ReviewerRecommendationService>();
+builder.Services.AddScoped<ICouncilPresetService, CouncilPresetService>();
 
 // Register authorization services
 builder.Services.AddSingleton<IApprovedListService, FileApprovedListService>();
@@ -334,6 +341,10 @@ builder.Services.AddSignalR(options =>
     options.ClientTimeoutInterval = TimeSpan.FromMinutes(2); // How long server waits for client ping
     options.KeepAliveInterval = TimeSpan.FromSeconds(15); // How often server pings client
     options.HandshakeTimeout = TimeSpan.FromSeconds(30); // Initial connection timeout
+}).AddJsonProtocol(options =>
+{
+    // Match the HTTP API so hub payloads carry enum names
+    options.PayloadSerializerOptions.Converters.Add(new JsonStringEnumConverter());
 });
 
 // Add Razor Pages
@@ -411,6 +422,9 @@ using (var scope = app.Services.CreateScope())
     // Delete existing database to apply schema changes (IMPORTANT: Remove this line after first successful run)
     // dbContext.Database.EnsureDeleted();
     dbContext.Database.EnsureCreated();
+
+    // EnsureCreated leaves an existing database alone, so add the tables and columns introduced since it was created
+    DatabaseSchemaUpgrader.Upgrade(dbContext, scope.ServiceProvider.GetRequiredService<ILogger<DxoDbContext>>());
     
     // Initialize models from appsettings.json
     var modelInitService = scope.ServiceProvider.GetRequiredService<IModelInitializationService>();
@@ -493,8 +507,15 @@ app.MapPost("/api/session/create", async (HttpContext httpContext, CreateSession
         return Results.Unauthorized();
     
     request.UserEmail = userEmail;
-    var session = await orchestration.CreateSessionAsync(request, ct);
-    return Results.Ok(session);
+    try
+    {
+        var session = await orchestration.CreateSessionAsync(request, ct);
+        return Results.Ok(session);
+    }
+    catch (InvalidOperationException ex)
+    {
+        return Results.BadRequest(new { error = ex.Message });
+    }
 }).RequireRateLimiting("ApiPolicy");
 
 app.MapGet("/api/session/{id:guid}", async (Guid id, IOrchestrationService orchestration, CancellationToken ct) =>
@@ -503,13 +524,26 @@ app.MapGet("/api/session/{id:guid}", async (Guid id, IOrchestrationService orche
     return session != null ? Results.Ok(SessionDto.FromSession(session)) : Results.NotFound();
 }).RequireRateLimiting("ApiPolicy");
 
-app.MapGet("/api/sessions", async (IOrchestrationService orchestration, CancellationToken ct) =>
+app.MapGet("/api/sessions", async (HttpContext httpContext, string? search, string? sortBy, bool? descending, int? page, int? pageSize, IOrchestrationService orchestration, CancellationToken ct) =>
 {
-    var sessions = await orchestration.GetSessionsAsync(ct);
+    var userEmail = GetUserEmail(httpContext);
+    if (userEmail == null)
+        return Results.Unauthorized();
+
+    var query = new SessionListQuery
+    {
+        Search = search,
+        SortBy = sortBy,
+        Descending = descending ?? true,
+        Page = page ?? 1,
+        PageSize = pageSize ?? 10
+    };
+
+    var sessions = await orchestration.GetSessionsAsync(userEmail, query, ct);
     return Results.Ok(sessions);
 }).RequireRateLimiting("ApiPolicy");
 
-app.MapPost("/api/session/{id:guid}/start", async (HttpContext httpContext, Guid id, IOrchestrationService orchestration, IModelManagementService modelService, CancellationToken ct) =>
+app.MapPost("/api/session/{id:guid}/start", async (HttpContext httpContext, Guid id, IOrchestrationService orchestration, IModelManagementService modelService, ISessionPresenceService presence, IHubContext<DxoHub, IDxoHubClient> hubContext, CancellationToken ct) =>
 {
     try
     {
@@ -562,6 +596,10 @@ app.MapPost("/api/session/{id:guid}/start", async (HttpContext httpContext, Guid
             });
         }
 
+        var controlConflict = await ClaimSessionControlAsync(id, userEmail, presence, hubContext);
+        if (controlConflict != null)
+            return controlConflict;
+
         await orchestration.StartSessionAsync(id, ct);
         return Results.Ok(new { success = true });
     }
@@ -571,7 +609,7 @@ app.MapPost("/api/session/{id:guid}/start", async (HttpContext httpContext, Guid
     }
 }).RequireRateLimiting("ApiPolicy");
 
-app.MapPost("/api/session/{id:guid}/step", async (HttpContext httpContext, Guid id, IOrchestrationService orchestration, IModelManagementService modelService, CancellationToken ct) =>
+app.MapPost("/api/session/{id:guid}/step", async (HttpContext httpContext, Guid id, IOrchestrationService orchestration, IModelManagementService modelService, ISessionPresenceService presence, IHubContext<DxoHub, IDxoHubClient> hubContext, CancellationToken ct) =>
 {
     try
     {
@@ -624,6 +662,10 @@ app.MapPost("/api/session/{id:guid}/step", async (HttpContext httpContext, Guid
             });
         }
 
+        var controlConflict = await ClaimSessionControlAsync(id, userEmail, presence, hubContext);
+        if (controlConflict != null)
+            return controlConflict;
+
         await orchestration.StepSessionAsync(id, ct);
         return Results.Ok(new { success = true });
     }
@@ -633,24 +675,48 @@ app.MapPost("/api/session/{id:guid}/step", async (HttpContext httpContext, Guid
     }
 }).RequireRateLimiting("ApiPolicy");
 
-app.MapPost("/api/session/{id:guid}/stop", async (Guid id, IOrchestrationService orchestration, CancellationToken ct) =>
+app.MapPost("/api/session/{id:guid}/stop", async (HttpContext httpContext, Guid id, IOrchestrationService orchestration, ISessionPresenceService presence, IHubContext<DxoHub, IDxoHubClient> hubContext, CancellationToken ct) =>
 {
+    var userEmail = GetUserEmail(httpContext);
+    if (userEmail == null)
+        return Results.Unauthorized();
+
+    var controlConflict = await ClaimSessionControlAsync(id, userEmail, presence, hubContext);
+    if (controlConflict != null)
+        return controlConflict;
+
     await orchestration.StopSessionAsync(id, ct);
     return Results.Ok(new { success = true });
 }).RequireRateLimiting("ApiPolicy");
 
-app.MapDelete("/api/session/{id:guid}", async (Guid id, IOrchestrationService orchestration, CancellationToken ct) =>
+app.MapDelete("/api/session/{id:guid}", async (HttpContext httpContext, Guid id, IOrchestrationService orchestration, ISessionPresenceService presence, IHubContext<DxoHub, IDxoHubClient> hubContext, CancellationToken ct) =>
 {
+    var userEmail = GetUserEmail(httpContext);
+    if (userEmail == null)
+        return Results.Unauthorized();
+
+    var controlConflict = await ClaimSessionControlAsync(id, userEmail, presence, hubContext);
+    if (controlConflict != null)
+        return controlConflict;
+
     await orchestration.DeleteSessionAsync(id, ct);
     return Results.Ok(new { success = true });
 }).RequireRateLimiting("ApiPolicy");
 
-app.MapPost("/api/session/{id:guid}/reset-memory/{persona}", async (Guid id, string persona, IOrchestrationService orchestration, CancellationToken ct) =>
+app.MapPost("/api/session/{id:guid}/reset-memory/{persona}", async (HttpContext httpContext, Guid id, string persona, IOrchestrationService orchestration, ISessionPresenceService presence, IHubContext<DxoHub, IDxoHubClient> hubContext, CancellationToken ct) =>
 {
+    var userEmail = GetUserEmail(httpContext);
+    if (userEmail == null)
+        return Results.Unauthorized();
+
     if (!Enum.TryParse<DXO.Models.Persona>(persona, true, out var personaEnum))
     {
         return Results.BadRequest(new { error = "Invalid persona. Use 'Creator', 'Reviewer1', or 'Reviewer2'." });
     }
+
+    var controlConflict = await ClaimSessionControlAsync(id, userEmail, presence, hubContext);
+    if (controlConflict != null)
+        return controlConflict;
     
     await orchestration.ResetPersonaMemoryAsync(id, personaEnum, ct);
     return Results.Ok(new { success = true });
@@ -696,17 +762,28 @@ app.MapPost("/api/session/{id:guid}/feedback", async (Guid id, DXO.Models.Submit
     }
 }).RequireRateLimiting("ApiPolicy");
 
-app.MapPost("/api/session/{id:guid}/iterate-with-feedback", async (HttpContext httpContext, Guid id, IterateWithFeedbackRequest? request, IOrchestrationService orchestration, IModelManagementService modelService, CancellationToken ct) =>
+app.MapPost("/api/session/{id:guid}/iterate-with-feedback", async (HttpContext httpContext, Guid id, IterateWithFeedbackRequest? request, IOrchestrationService orchestration, IModelManagementService modelService, ISessionPresenceService presence, IHubContext<DxoHub, IDxoHubClient> hubContext, CancellationToken ct) =>
 {
     if (request == null)
     {
         return Results.BadRequest(new { error = "Request body is required" });
     }
     
-    if (string.IsNullOrWhiteSpace(request.Comments))
+    var anchoredComments = request.AnchoredComments ?? new List<AnchoredComment>();
+    if (string.IsNullOrWhiteSpace(request.Comments) && anchoredComments.Count == 0)
     {
         return Results.BadRequest(new { error = "Feedback comments cannot be empty" });
     }
+
+    if (anchoredComments.Count > 50)
+    {
+        return Results.BadRequest(new { error = "At most 50 inline comments can be sent at once" });
+    }
+
+    if (anchoredComments.Any(c => string.IsNullOrWhiteSpace(c.Quote) || string.IsNullOrWhiteSpace(c.Comment)))
+    {
+        return Results.BadRequest(new { error = "Each inline comment needs a quoted passage and comment text" });
+    }
     
     if (request.MaxAdditionalIterations < 1 || request.MaxAdditionalIterations > 3)
     {
@@ -768,10 +845,15 @@ app.MapPost("/api/session/{id:guid}/iterate-with-feedback", async (HttpContext h
             });
         }
 
+        var controlConflict = await ClaimSessionControlAsync(id, userEmail, presence, hubContext);
+        if (controlConflict != null)
+            return controlConflict;
+
         // Process the feedback iteration request
         var updatedSession = await orchestration.IterateWithFeedbackAsync(
             id,
             request.Comments,
+            anchoredComments,
             request.Tone,
             request.Length,
             request.Audience,
@@ -788,6 +870,46 @@ app.MapPost("/api/session/{id:guid}/iterate-with-feedback", async (HttpContext h
     }
 });
 
+app.MapPost("/api/session/{id:guid}/fork", async (HttpContext httpContext, Guid id, ForkSessionRequest? request, IOrchestrationService orchestration, CancellationToken ct) =>
+{
+    var userEmail = GetUserEmail(httpContext);
+    if (userEmail == null)
+        return Results.Unauthorized();
+
+    if (request == null || request.Iteration < 1)
+    {
+        return Results.BadRequest(new { error = "Iteration must be greater than 0" });
+    }
+
+    var session = await orchestration.GetSessionAsync(id, ct);
+    if (session == null || session.UserEmail != userEmail)
+        return Results.NotFound(new { error = "Session not found" });
+
+    try
+    {
+        var fork = await orchestration.ForkSessionAsync(id, request.Iteration, ct);
+        return Results.Ok(SessionDto.FromSession(fork));
+    }
+    catch (InvalidOperationException ex)
+    {
+        return Results.BadRequest(new { error = ex.Message });
+    }
+}).RequireRateLimiting("ApiPolicy");
+
+app.MapGet("/api/session/{id:guid}/lineage", async (HttpContext httpContext, Guid id, IOrchestrationService orchestration, CancellationToken ct) =>
+{
+    var userEmail = GetUserEmail(httpContext);
+    if (userEmail == null)
+        return Results.Unauthorized();
+
+    var session = await orchestration.GetSessionAsync(id, ct);
+    if (session == null || session.UserEmail != userEmail)
+        return Results.NotFound(new { error = "Session not found" });
+
+    var lineage = await orchestration.GetSessionLineageAsync(id, ct);
+    return Results.Ok(lineage);
+}).RequireRateLimiting("ApiPolicy");
+
 app.MapGet("/api/config", async (HttpContext httpContext, IOptions<DxoOptions> options, IModelManagementService modelService) =>
 {
     var userEmail = GetUserEmail(httpContext);
@@ -806,10 +928,36 @@ app.MapGet("/api/config", async (HttpContext httpContext, IOptions<DxoOptions> o
         defaultMaxIterations = config.Orchestration.DefaultMaxIterations,
         defaultStopMarker = config.Orchestration.DefaultStopMarker,
         maxPromptChars = config.Orchestration.MaxPromptChars,
-        maxDraftChars = config.Orchestration.MaxDraftChars
+        maxDraftChars = config.Orchestration.MaxDraftChars,
+        attachments = new
+        {
+            maxCount = config.Orchestration.MaxAttachments,
+            maxFileBytes = config.Orchestration.MaxAttachmentFileBytes,
+            maxChars = config.Orchestration.MaxAttachmentChars,
+            maxTotalChars = config.Orchestration.MaxAttachmentTotalChars,
+            extensions = SessionAttachments.SupportedExtensions
+        }
     });
 }).RequireRateLimiting("ApiPolicy");
 
+// Reads an uploaded reference document's text; the page sends it back with the session create request
+app.MapPost("/api/attachments/extract", async (HttpContext httpContext, IFormFile file, IAttachmentTextExtractor extractor, CancellationToken ct) =>
+{
+    var userEmail = GetUserEmail(httpContext);
+    if (userEmail == null)
+        return Results.Unauthorized();
+
+    try
+    {
+        var attachment = await extractor.ExtractAsync(file, ct);
+        return Results.Ok(attachment);
+    }
+    catch (InvalidOperationException ex)
+    {
+        return Results.BadRequest(new { error = ex.Message });
+    }
+}).DisableAntiforgery().RequireRateLimiting("ApiPolicy");
+
 // Model Management API endpoints
 app.MapGet("/api/models", async (HttpContext httpContext, IModelManagementService modelService, CancellationToken ct) =>
 {
@@ -924,6 +1072,29 @@ app.MapPut("/api/models/{id:int}", async (HttpContext httpContext, int id, Updat
     }
 }).RequireRateLimiting("ApiPolicy");
 
+app.MapPut("/api/models/{id:int}/pricing", async (HttpContext httpContext, int id, UpdateModelPricingRequest request, IModelManagementService modelService, CancellationToken ct) =>
+{
+    var userEmail = GetUserEmail(httpContext);
+    if (userEmail == null)
+        return Results.Unauthorized();
+    
+    try
+    {
+        var model = await modelService.UpdateModelPricingAsync(
+            userEmail,
+            id,
+            request.InputPricePerMillionTokens,
+            request.OutputPricePerMillionTokens
+        );
+
+        return Results.Ok(model);
+    }
+    catch (InvalidOperationException ex)
+    {
+        return Results.BadRequest(new { error = ex.Message });
+    }
+}).RequireRateLimiting("ApiPolicy");
+
 app.MapDelete("/api/models/{id:int}", async (HttpContext httpContext, int id, IModelManagementService modelService, CancellationToken ct) =>
 {
     var userEmail = GetUserEmail(httpContext);
@@ -934,6 +1105,71 @@ app.MapDelete("/api/models/{id:int}", async (HttpContext httpContext, int id, IM
     return deleted ? Results.Ok(new { success = true }) : Results.NotFound();
 }).RequireRateLimiting("ApiPolicy");
 
+// Council preset endpoints
+app.MapGet("/api/presets", async (HttpContext httpContext, ICouncilPresetService presetService, CancellationToken ct) =>
+{
+    var userEmail = GetUserEmail(httpContext);
+    if (userEmail == null)
+        return Results.Unauthorized();
+
+    var presets = await presetService.GetPresetsAsync(userEmail, ct);
+    return Results.Ok(presets.Select(CouncilPresetDto.FromPreset));
+}).RequireRateLimiting("ApiPolicy");
+
+app.MapPost("/api/presets", async (HttpContext httpContext, SaveCouncilPresetRequest request, ICouncilPresetService presetService, CancellationToken ct) =>
+{
+    var userEmail = GetUserEmail(httpContext);
+    if (userEmail == null)
+        return Results.Unauthorized();
+
+    try
+    {
+        var preset = await presetService.CreatePresetAsync(userEmail, request.Name, request.Config, ct);
+        return Results.Ok(CouncilPresetDto.FromPreset(preset));
+    }
+    catch (InvalidOperationException ex)
+    {
+        return Results.BadRequest(new { error = ex.Message });
+    }
+}).RequireRateLimiting("ApiPolicy");
+
+app.MapPut("/api/presets/{id:int}", async (HttpContext httpContext, int id, RenameCouncilPresetRequest request, ICouncilPresetService presetService, CancellationToken ct) =>
+{
+    var userEmail = GetUserEmail(httpContext);
+    if (userEmail == null)
+        return Results.Unauthorized();
+
+    try
+    {
+        var preset = await presetService.RenamePresetAsync(userEmail, id, request.Name, ct);
+        return preset != null ? Results.Ok(CouncilPresetDto.FromPreset(preset)) : Results.NotFound();
+    }
+    catch (InvalidOperationException ex)
+    {
+        return Results.BadRequest(new { error = ex.Message });
+    }
+}).RequireRateLimiting("ApiPolicy");
+
+app.MapPost("/api/presets/{id:int}/duplicate", async (HttpContext httpContext, int id, ICouncilPresetService presetService, CancellationToken ct) =>
+{
+    var userEmail = GetUserEmail(httpContext);
+    if (userEmail == null)
+        return Results.Unauthorized();
+
+    var preset = await presetService.DuplicatePresetAsync(userEmail, id, ct);
+    return preset != null ? Results.Ok(CouncilPresetDto.FromPreset(preset)) : Results.NotFound();
+}).RequireRateLimiting("ApiPolicy");
+
+app.MapDelete("/api/presets/{id:int}", async (HttpContext httpContext, int id, ICouncilPresetService presetService, CancellationToken ct) =>
+{
+    var userEmail = GetUserEmail(httpContext);
+    if (userEmail == null)
+        return Results.Unauthorized();
+
+    var deleted = await presetService.DeletePresetAsync(userEmail, id, ct);
+    return deleted ? Results.Ok(new { success = true }) : Results.NotFound();
+}).RequireRateLimiting("ApiPolicy");
+
 // Native Agent Override endpoints
 app.MapPost("/api/native-agent/override", async (HttpContext httpContext, SaveNativeAgentOverrideRequest request, IModelManagementService modelService, DxoDbContext dbContext, ILogger<Program> logger, CancellationToken ct) =>
 {
@@ -1019,6 +1255,23 @@ static string? GetUserEmail(HttpContext context)
         ?? context.User.FindFirst(ClaimTypes.Name)?.Value;
 }
 
+// Soft lock for shared sessions: the first participant to act takes control, everyone else gets a 409 until it is handed off
+static async Task<IResult?> ClaimSessionControlAsync(Guid sessionId, string userEmail, ISessionPresenceService presence, IHubContext<DxoHub, IDxoHubClient> hubContext)
+{
+    var claim = presence.TryAcquireControl(sessionId, userEmail);
+    if (!claim.Granted)
+    {
+        return Results.Conflict(new { error = $"{claim.ControllerName} is controlling this session. Ask them to hand off control." });
+    }
+
+    if (claim.Changed)
+    {
+        await hubContext.Clients.Group(sessionId.ToString()).PresenceUpdated(sessionId, presence.GetPresence(sessionId));
+    }
+
+    return null;
+}
+
 // Retry policy for transient HTTP errors
 static IAsyncPolicy<HttpResponseMessage> GetRetryPolicy(int maxRetries)
 {
@@ -0,0 +1,105 @@
+using System.Text;
+using DXO.Configuration;
+using DXO.Models;
+using DXO.Services.Orchestration;
+using Microsoft.Extensions.Options;
+using UglyToad.PdfPig;
+using UglyToad.PdfPig.DocumentLayoutAnalysis.TextExtractor;
+using UglyToad.PdfPig.Exceptions;
+
+namespace DXO.Services.Attachments;
+
+/// <summary>
+/// Reads the text of an uploaded reference document so it can be attached to a session
+/// </summary>
+public interface IAttachmentTextExtractor
+{
+    /// <summary>
+    /// Throws InvalidOperationException when the file type is not supported, the file is too large or it has no readable text
+    /// </summary>
+    Task<SessionAttachment> ExtractAsync(IFormFile file, CancellationToken cancellationToken = default);
+}
+
+public class AttachmentTextExtractor : IAttachmentTextExtractor
+{
+    private readonly OrchestrationOptions _options;
+    private readonly ILogger<AttachmentTextExtractor> _logger;
+
+    public AttachmentTextExtractor(IOptions<DxoOptions> options, ILogger<AttachmentTextExtractor> logger)
+    {
+        _options = options.Value.Orchestration;
+        _logger = logger;
+    }
+
+    public async Task<SessionAttachment> ExtractAsync(IFormFile file, CancellationToken cancellationToken = default)
+    {
+        var name = Path.GetFileName(file.FileName);
+        var kind = SessionAttachments.GetKind(name)
+            ?? throw new InvalidOperationException($"\"{name}\" is not a supported file type. Attach markdown, text, JSON, CSV, source code or PDF files.");
+
+        if (file.Length == 0)
+        {
+            throw new InvalidOperationException($"\"{name}\" is empty");
+        }
+
+        if (file.Length > _options.MaxAttachmentFileBytes)
+        {
+            throw new InvalidOperationException($"\"{name}\" is larger than the {_options.MaxAttachmentFileBytes / (1024 * 1024)} MB limit");
+        }
+
+        using var buffer = new MemoryStream();
+        await file.CopyToAsync(buffer, cancellationToken);
+        var bytes = buffer.ToArray();
+
+        var text = kind == "pdf" ? ExtractPdfText(name, bytes) : DecodeText(name, bytes);
+        return SessionAttachments.Create(name, kind, text, _options);
+    }
+
+    private static string DecodeText(string name, byte[] bytes)
+    {
+        // A binary file with a text extension would otherwise reach the model as noise
+        if (Array.IndexOf(bytes, (byte)0) >= 0)
+        {
+            throw new InvalidOperationException($"\"{name}\" does not look like a text file");
+        }
+
+        try
+        {
+            var text = new UTF8Encoding(encoderShouldEmitUTF8Identifier: false, throwOnInvalidBytes: true).GetString(bytes);
+            return text.TrimStart('\uFEFF');
+        }
+        catch (DecoderFallbackException)
+        {
+            throw new InvalidOperationException($"\"{name}\" is not UTF-8 text");
+        }
+    }
+
+    private string ExtractPdfText(string name, byte[] bytes)
+    {
+        List<string> pages;
+        try
+        {
+            using var document = PdfDocument.Open(bytes);
+            pages = document.GetPages()
+                .Select(page => ContentOrderTextExtractor.GetText(page).Trim())
+                .Where(text => text.Length > 0)
+                .ToList();
+        }
+        catch (PdfDocumentEncryptedException)
+        {
+            throw new InvalidOperationException($"\"{name}\" is password protected");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to read PDF attachment {FileName}", name);
+            throw new InvalidOperationException($"\"{name}\" could not be read as a PDF");
+        }
+
+        if (pages.Count == 0)
+        {
+            throw new InvalidOperationException($"\"{name}\" has no extractable text. Scanned PDFs need to be converted to text first.");
+        }
+
+        return string.Join("\n\n", pages);
+    }
+}
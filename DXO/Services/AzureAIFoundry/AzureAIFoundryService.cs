@@ -148,12 +148,7 @@ public class AzureAIFoundryService : IAzureAIFoundryService
 
         if (root.TryGetProperty("usage", out var usage))
         {
-            response.Usage = new UsageInfo
-            {
-                PromptTokens = usage.TryGetProperty("prompt_tokens", out var promptTokens) ? promptTokens.GetInt32() : 0,
-                CompletionTokens = usage.TryGetProperty("completion_tokens", out var completionTokens) ? completionTokens.GetInt32() : 0,
-                TotalTokens = usage.TryGetProperty("total_tokens", out var totalTokens) ? totalTokens.GetInt32() : 0
-            };
+            response.Usage = ParseUsage(usage);
         }
 
         _logger.LogDebug("Received Azure AI Foundry chat completion response with {Tokens} tokens", response.Usage?.TotalTokens ?? 0);
@@ -287,6 +282,17 @@ public class AzureAIFoundryService : IAzureAIFoundryService
                         }
                     }
                 }
+
+                // stream_options is not sent (not every Foundry model accepts it), but pass usage through when a deployment reports it
+                if (root.TryGetProperty("usage", out var usage) && usage.ValueKind == JsonValueKind.Object)
+                {
+                    chunk ??= new ChatCompletionChunk
+                    {
+                        Id = root.TryGetProperty("id", out var usageIdProp) ? usageIdProp.GetString() ?? string.Empty : string.Empty,
+                        Model = request.Model
+                    };
+                    chunk.Usage = ParseUsage(usage);
+                }
             }
             catch (JsonException ex)
             {
@@ -299,6 +305,16 @@ public class AzureAIFoundryService : IAzureAIFoundryService
             }
         }
     }
+
+    private static UsageInfo ParseUsage(JsonElement usage)
+    {
+        return new UsageInfo
+        {
+            PromptTokens = usage.TryGetProperty("prompt_tokens", out var promptTokens) ? promptTokens.GetInt32() : 0,
+            CompletionTokens = usage.TryGetProperty("completion_tokens", out var completionTokens) ? completionTokens.GetInt32() : 0,
+            TotalTokens = usage.TryGetProperty("total_tokens", out var totalTokens) ? totalTokens.GetInt32() : 0
+        };
+    }
 }
 
 /// <summary>
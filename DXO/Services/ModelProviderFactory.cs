@@ -220,6 +220,22 @@ public class OpenAIProviderService : IModelProviderService
                     };
                 }
             }
+
+            // The SDK requests usage for streams; it arrives on the last update with no content
+            if (update.Usage != null)
+            {
+                yield return new ChatCompletionChunk
+                {
+                    Id = update.CompletionId ?? string.Empty,
+                    Model = update.Model ?? request.Model,
+                    Usage = new UsageInfo
+                    {
+                        PromptTokens = update.Usage.InputTokenCount,
+                        CompletionTokens = update.Usage.OutputTokenCount,
+                        TotalTokens = update.Usage.TotalTokenCount
+                    }
+                };
+            }
         }
     }
 
@@ -35,6 +35,7 @@ public interface IModelManagementService
     Task<ConfiguredModel?> GetModelByNameAsync(string userEmail, string modelName);
     Task<ConfiguredModel> AddModelAsync(string userEmail, string modelName, string endpoint, ModelProvider provider, string? apiKey = null, string? displayName = null);
     Task<ConfiguredModel> UpdateModelAsync(string userEmail, int id, string modelName, string endpoint, ModelProvider provider, string? apiKey = null, string? displayName = null);
+    Task<ConfiguredModel> UpdateModelPricingAsync(string userEmail, int id, decimal? inputPricePerMillionTokens, decimal? outputPricePerMillionTokens);
     Task<bool> DeleteModelAsync(string userEmail, int id);
     Task<bool> ModelExistsAsync(string userEmail, string modelName, int? excludeId = null);
     
@@ -161,6 +162,33 @@ public class ModelManagementService : IModelManagementService
         return model;
     }
 
+    public async Task<ConfiguredModel> UpdateModelPricingAsync(string userEmail, int id, decimal? inputPricePerMillionTokens, decimal? outputPricePerMillionTokens)
+    {
+        if (inputPricePerMillionTokens < 0 || outputPricePerMillionTokens < 0)
+        {
+            throw new InvalidOperationException("Token prices cannot be negative.");
+        }
+
+        using var scope = _scopeFactory.CreateScope();
+        var context = scope.ServiceProvider.GetRequiredService<DxoDbContext>();
+        
+        var model = await context.ConfiguredModels
+            .FirstOrDefaultAsync(m => m.Id == id && m.UserEmail == userEmail);
+        
+        if (model == null)
+        {
+            throw new InvalidOperationException($"Model with ID {id} not found for this user.");
+        }
+
+        model.InputPricePerMillionTokens = inputPricePerMillionTokens;
+        model.OutputPricePerMillionTokens = outputPricePerMillionTokens;
+        model.UpdatedAt = DateTime.UtcNow;
+        await context.SaveChangesAsync();
+
+        _logger.LogInformation("Updated pricing for model {ModelName} for user {UserEmail}", model.ModelName, userEmail);
+        return model;
+    }
+
     public async Task<bool> DeleteModelAsync(string userEmail, int id)
     {
         using var scope = _scopeFactory.CreateScope();
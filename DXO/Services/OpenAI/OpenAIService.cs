@@ -164,6 +164,11 @@ public class ChatCompletionChunk
     public string Id { get; set; } = string.Empty;
     public string Model { get; set; } = string.Empty;
     public List<ChunkChoice> Choices { get; set; } = new();
+
+    /// <summary>
+    /// Token usage, only present on the final chunk when the provider reports it
+    /// </summary>
+    public UsageInfo? Usage { get; set; }
 }
 
 public class ChunkChoice
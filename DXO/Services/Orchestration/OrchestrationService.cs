@@ -1,5 +1,4 @@
 using System.Text.Json;
-using System.Text.RegularExpressions;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Options;
 using DXO.Configuration;
@@ -18,7 +17,7 @@ public interface IOrchestrationService
 {
     Task<Session> CreateSessionAsync(CreateSessionRequest request, CancellationToken cancellationToken = default);
     Task<Session?> GetSessionAsync(Guid sessionId, CancellationToken cancellationToken = default);
-    Task<List<Session>> GetSessionsAsync(CancellationToken cancellationToken = default);
+    Task<SessionListResult> GetSessionsAsync(string userEmail, SessionListQuery query, CancellationToken cancellationToken = default);
     Task StartSessionAsync(Guid sessionId, CancellationToken cancellationToken = default);
     Task StepSessionAsync(Guid sessionId, CancellationToken cancellationToken = default);
     Task StopSessionAsync(Guid sessionId, CancellationToken cancellationToken = default);
@@ -27,7 +26,9 @@ public interface IOrchestrationService
     void CancelSession(Guid sessionId);
     Task<List<FeedbackRound>> GetFeedbackRoundsAsync(Guid sessionId, CancellationToken cancellationToken = default);
     Task SubmitUserFeedbackAsync(Guid sessionId, int iteration, string feedback, CancellationToken cancellationToken = default);
-    Task<Session> IterateWithFeedbackAsync(Guid sessionId, string comments, string? tone, string? length, string? audience, int maxAdditionalIterations, CancellationToken cancellationToken = default);
+    Task<Session> IterateWithFeedbackAsync(Guid sessionId, string comments, IReadOnlyList<AnchoredComment>? anchoredComments, string? tone, string? length, string? audience, int maxAdditionalIterations, CancellationToken cancellationToken = default);
+    Task<Session> ForkSessionAsync(Guid sessionId, int iteration, CancellationToken cancellationToken = default);
+    Task<SessionLineageDto> GetSessionLineageAsync(Guid sessionId, CancellationToken cancellationToken = default);
 }
 
 public class OrchestrationService : IOrchestrationService
@@ -38,17 +39,26 @@ public class OrchestrationService : IOrchestrationService
     private readonly ILogger<OrchestrationService> _logger;
     private readonly DxoOptions _options;
     private readonly IServiceScopeFactory _scopeFactory;
+    private readonly IStreamBufferService _streamBuffer;
 
     private static readonly System.Collections.Concurrent.ConcurrentDictionary<Guid, CancellationTokenSource> _sessionCancellations = new();
-    private static readonly System.Collections.Concurrent.ConcurrentDictionary<Guid, bool> _sessionNeedsFinalIteration = new();
+    private static readonly System.Collections.Concurrent.ConcurrentDictionary<Guid, string> _sessionNeedsFinalIteration = new(); // Quorum summary of the round that met the quorum
     
     private const string ReviewerSystemPrompt = @"You are DXO Reviewer. Critique the draft for correctness, clarity, completeness, and rubric adherence. Provide actionable revisions and a checklist.";
 
     private const string CreatorProtocolPrompt = @"PROTOCOL ENFORCEMENT:
-When you have incorporated all feedback and the content is ready for publication (after all reviewers have explicitly signed off), you MUST output the token 'FINAL:' on its own line, followed immediately by the final complete content. Do not output 'FINAL:' until all reviewers have approved.";
+When you have incorporated all feedback and the content is ready for publication (after the reviewer quorum has been met), you MUST output the token 'FINAL:' on its own line, followed immediately by the final complete content. Do not output 'FINAL:' until the reviewer quorum has been met.";
 
     private const string ReviewerProtocolPrompt = @"PROTOCOL ENFORCEMENT:
-If and only if the draft is publication-ready and meets all your criteria with no further changes needed, you MUST include the token '@@SIGNED OFF@@' on its own line at the end of your response. Do not sign off if there are any outstanding issues.";
+If and only if the draft is publication-ready and meets all your criteria with no further changes needed, you MUST include the token '{0}' on its own line at the end of your response. Do not sign off if there are any outstanding issues.";
+
+    private const string ReviewerRegexProtocolPrompt = @"PROTOCOL ENFORCEMENT:
+State your verdict exactly in the format your instructions ask for. Approval is detected automatically, so only use approving wording when the draft is publication-ready and needs no further changes.";
+
+    private const string ReviewerJsonProtocolPrompt = @"PROTOCOL ENFORCEMENT:
+End your response with your verdict as a fenced ```json block in exactly this shape:
+{""verdict"": ""approve"" or ""revise"", ""blocking_issues"": [""each issue that must be fixed before you can approve""]}
+Use ""approve"" with an empty blocking_issues list if and only if the draft is publication-ready and needs no further changes. Otherwise use ""revise"" and list every blocking issue.";
 
     private const string SafetyPrompt = @"Do not request or reveal secrets (API keys, credentials). Avoid personal data; do not invent factual claims without evidence. If requirements are unclear, ask clarifying questions or state assumptions explicitly.";
 
@@ -58,7 +68,8 @@ If and only if the draft is publication-ready and meets all your criteria with n
         IHubContext<DxoHub, IDxoHubClient> hubContext,
         IOptions<DxoOptions> options,
         ILogger<OrchestrationService> logger,
-        IServiceScopeFactory scopeFactory)
+        IServiceScopeFactory scopeFactory,
+        IStreamBufferService streamBuffer)
     {
         _dbContext = dbContext;
         _openAIService = openAIService;
@@ -66,6 +77,7 @@ If and only if the draft is publication-ready and meets all your criteria with n
         _logger = logger;
         _options = options.Value;
         _scopeFactory = scopeFactory;
+        _streamBuffer = streamBuffer;
     }
 
     public async Task<Session> CreateSessionAsync(CreateSessionRequest request, CancellationToken cancellationToken = default)
@@ -97,6 +109,9 @@ If and only if the draft is publication-ready and meets all your criteria with n
                     Id = reviewer.Id ?? Guid.NewGuid().ToString(),
                     Name = reviewer.Name ?? $"Reviewer {reviewers.Count + 1}",
                     RootPrompt = reviewer.RootPrompt ?? GetDefaultReviewerPrompt(reviewers.Count + 1),
+                    Category = reviewer.Category ?? ReviewerCategory.Standard,
+                    VerdictMode = reviewer.VerdictMode ?? VerdictMode.Keyword,
+                    VerdictPattern = string.IsNullOrWhiteSpace(reviewer.VerdictPattern) ? null : reviewer.VerdictPattern,
                     Model = reviewer.Model ?? _options.DefaultModelReviewer,
                     Temperature = reviewer.Temperature ?? 0.5,
                     MaxOutputTokens = reviewer.MaxTokens ?? 4096,
@@ -123,6 +138,17 @@ If and only if the draft is publication-ready and meets all your criteria with n
             });
         }
 
+        var promptVariables = PromptVariables.Normalize(request.PromptVariables);
+        PromptVariables.ValidatePrompt("Creator", creatorConfig.RootPrompt, promptVariables);
+
+        foreach (var reviewer in reviewers)
+        {
+            ReviewerVerdictParser.ValidateReviewer(reviewer.Name, reviewer.VerdictMode, reviewer.VerdictPattern);
+            PromptVariables.ValidatePrompt(reviewer.Name, reviewer.RootPrompt, promptVariables);
+        }
+
+        var attachments = SessionAttachments.Normalize(request.Attachments, _options.Orchestration);
+
         var session = new Session
         {
             Name = request.Name ?? "New Session",
@@ -130,17 +156,22 @@ If and only if the draft is publication-ready and meets all your criteria with n
             MaxIterations = request.MaxIterations ?? _options.Orchestration.DefaultMaxIterations,
             StopMarker = request.StopMarker ?? _options.Orchestration.DefaultStopMarker,
             StopOnReviewerApproved = request.StopOnReviewerApproved ?? _options.Orchestration.StopOnReviewerApproved,
+            ParallelReviewers = request.ParallelReviewers ?? _options.Orchestration.ParallelReviewers,
+            QuorumRule = request.QuorumRule ?? QuorumRule.All,
+            QuorumOthersRequired = Math.Max(0, request.QuorumOthersRequired ?? 1),
             RunMode = request.RunMode ?? RunMode.Auto,
             Topic = request.Topic,
             CreatorConfigJson = JsonSerializer.Serialize(creatorConfig),
-            ReviewersConfigJson = JsonSerializer.Serialize(reviewers)
+            ReviewersConfigJson = JsonSerializer.Serialize(reviewers),
+            PromptVariablesJson = JsonSerializer.Serialize(promptVariables),
+            AttachmentsJson = JsonSerializer.Serialize(attachments)
         };
 
         _dbContext.Sessions.Add(session);
         await _dbContext.SaveChangesAsync(cancellationToken);
 
-        _logger.LogInformation("Created session {SessionId} with name {Name} and {ReviewerCount} reviewers", 
-            session.SessionId, session.Name, reviewers.Count);
+        _logger.LogInformation("Created session {SessionId} with name {Name}, {ReviewerCount} reviewers and {AttachmentCount} attachments", 
+            session.SessionId, session.Name, reviewers.Count, attachments.Count);
 
         return session;
     }
@@ -152,11 +183,43 @@ If and only if the draft is publication-ready and meets all your criteria with n
             .FirstOrDefaultAsync(s => s.SessionId == sessionId, cancellationToken);
     }
 
-    public async Task<List<Session>> GetSessionsAsync(CancellationToken cancellationToken = default)
+    public async Task<SessionListResult> GetSessionsAsync(string userEmail, SessionListQuery query, CancellationToken cancellationToken = default)
     {
-        return await _dbContext.Sessions
-            .OrderByDescending(s => s.UpdatedAt)
+        var page = Math.Max(1, query.Page);
+        var pageSize = Math.Clamp(query.PageSize, 1, 100);
+
+        var sessions = _dbContext.Sessions.Where(s => s.UserEmail == userEmail);
+
+        if (!string.IsNullOrWhiteSpace(query.Search))
+        {
+            var term = query.Search.Trim().ToLower();
+            sessions = sessions.Where(s =>
+                s.Name.ToLower().Contains(term) ||
+                (s.Topic != null && s.Topic.ToLower().Contains(term)));
+        }
+
+        sessions = (query.SortBy?.ToLowerInvariant()) switch
+        {
+            "name" => query.Descending ? sessions.OrderByDescending(s => s.Name) : sessions.OrderBy(s => s.Name),
+            "created" => query.Descending ? sessions.OrderByDescending(s => s.CreatedAt) : sessions.OrderBy(s => s.CreatedAt),
+            "status" => query.Descending ? sessions.OrderByDescending(s => s.Status) : sessions.OrderBy(s => s.Status),
+            "iterations" => query.Descending ? sessions.OrderByDescending(s => s.CurrentIteration) : sessions.OrderBy(s => s.CurrentIteration),
+            _ => query.Descending ? sessions.OrderByDescending(s => s.UpdatedAt) : sessions.OrderBy(s => s.UpdatedAt)
+        };
+
+        var totalCount = await sessions.CountAsync(cancellationToken);
+        var items = await sessions
+            .Skip((page - 1) * pageSize)
+            .Take(pageSize)
             .ToListAsync(cancellationToken);
+
+        return new SessionListResult
+        {
+            Items = items.Select(SessionSummaryDto.FromSession).ToList(),
+            TotalCount = totalCount,
+            Page = page,
+            PageSize = pageSize
+        };
     }
 
     public async Task StartSessionAsync(Guid sessionId, CancellationToken cancellationToken = default)
@@ -260,6 +323,7 @@ If and only if the draft is publication-ready and meets all your criteria with n
         {
             _dbContext.Sessions.Remove(session);
             await _dbContext.SaveChangesAsync(cancellationToken);
+            _streamBuffer.ClearSession(sessionId);
             _logger.LogInformation("Deleted session {SessionId}", sessionId);
         }
     }
@@ -285,6 +349,104 @@ If and only if the draft is publication-ready and meets all your criteria with n
             .ToListAsync(cancellationToken);
     }
 
+    public async Task<Session> ForkSessionAsync(Guid sessionId, int iteration, CancellationToken cancellationToken = default)
+    {
+        var parent = await _dbContext.Sessions
+            .AsNoTracking()
+            .FirstOrDefaultAsync(s => s.SessionId == sessionId, cancellationToken)
+            ?? throw new InvalidOperationException($"Session {sessionId} not found");
+
+        var draft = await _dbContext.FeedbackRounds
+            .Where(fr => fr.SessionId == sessionId && fr.Iteration == iteration)
+            .OrderByDescending(fr => fr.CreatedAt)
+            .Select(fr => fr.DraftContent)
+            .FirstOrDefaultAsync(cancellationToken);
+
+        if (string.IsNullOrWhiteSpace(draft))
+        {
+            throw new InvalidOperationException($"Iteration {iteration} has no draft to fork from");
+        }
+
+        var name = $"{parent.Name} (fork from iteration {iteration})";
+        if (name.Length > 200)
+        {
+            name = name.Substring(0, 200);
+        }
+
+        // Same council and settings as the parent, starting over from the chosen draft
+        var fork = new Session
+        {
+            Name = name,
+            UserEmail = parent.UserEmail,
+            MaxIterations = parent.MaxIterations,
+            StopMarker = parent.StopMarker,
+            StopOnReviewerApproved = parent.StopOnReviewerApproved,
+            ParallelReviewers = parent.ParallelReviewers,
+            QuorumRule = parent.QuorumRule,
+            QuorumOthersRequired = parent.QuorumOthersRequired,
+            RunMode = parent.RunMode,
+            Topic = parent.Topic,
+            CreatorConfigJson = parent.CreatorConfigJson,
+            ReviewersConfigJson = parent.ReviewersConfigJson,
+            PromptVariablesJson = parent.PromptVariablesJson,
+            AttachmentsJson = parent.AttachmentsJson,
+            ParentSessionId = parent.SessionId,
+            ForkedFromIteration = iteration,
+            SeedDraft = draft
+        };
+
+        _dbContext.Sessions.Add(fork);
+        await _dbContext.SaveChangesAsync(cancellationToken);
+
+        _logger.LogInformation("Forked session {SessionId} from session {ParentSessionId} iteration {Iteration}",
+            fork.SessionId, parent.SessionId, iteration);
+
+        return fork;
+    }
+
+    public async Task<SessionLineageDto> GetSessionLineageAsync(Guid sessionId, CancellationToken cancellationToken = default)
+    {
+        var lineage = new SessionLineageDto();
+
+        var session = await _dbContext.Sessions
+            .AsNoTracking()
+            .FirstOrDefaultAsync(s => s.SessionId == sessionId, cancellationToken);
+        if (session == null)
+        {
+            return lineage;
+        }
+
+        lineage.Current = SessionSummaryDto.FromSession(session);
+
+        // Walk up the parent chain; the visited set guards against a corrupted cycle
+        var visited = new HashSet<Guid> { session.SessionId };
+        var parentId = session.ParentSessionId;
+        while (parentId.HasValue && visited.Add(parentId.Value))
+        {
+            var parent = await _dbContext.Sessions
+                .AsNoTracking()
+                .FirstOrDefaultAsync(s => s.SessionId == parentId.Value, cancellationToken);
+            if (parent == null)
+            {
+                lineage.ParentMissing = lineage.Ancestors.Count == 0;
+                break;
+            }
+
+            lineage.Ancestors.Insert(0, SessionSummaryDto.FromSession(parent));
+            parentId = parent.ParentSessionId;
+        }
+
+        var forks = await _dbContext.Sessions
+            .AsNoTracking()
+            .Where(s => s.ParentSessionId == sessionId)
+            .OrderBy(s => s.ForkedFromIteration)
+            .ThenBy(s => s.CreatedAt)
+            .ToListAsync(cancellationToken);
+        lineage.Forks = forks.Select(SessionSummaryDto.FromSession).ToList();
+
+        return lineage;
+    }
+
     public async Task SubmitUserFeedbackAsync(Guid sessionId, int iteration, string feedback, CancellationToken cancellationToken = default)
     {
         if (string.IsNullOrWhiteSpace(feedback))
@@ -330,7 +492,7 @@ If and only if the draft is publication-ready and meets all your criteria with n
         await _hubContext.Clients.Group(sessionId.ToString()).SessionStarted(sessionId);
 
         // Check if we need a final iteration flag
-        _sessionNeedsFinalIteration.TryGetValue(sessionId, out bool needsFinalIteration);
+        var needsFinalIteration = _sessionNeedsFinalIteration.ContainsKey(sessionId);
 
         while (!cancellationToken.IsCancellationRequested && 
                (session.CurrentIteration < session.MaxIterations || needsFinalIteration))
@@ -339,9 +501,9 @@ If and only if the draft is publication-ready and meets all your criteria with n
             if (shouldStop) break;
 
             // Update the flag after each iteration
-            _sessionNeedsFinalIteration.TryGetValue(sessionId, out needsFinalIteration);
+            needsFinalIteration = _sessionNeedsFinalIteration.ContainsKey(sessionId);
 
-            // If we just completed the final iteration after all reviewers signed off
+            // If we just completed the final iteration after the reviewer quorum was met
             if (needsFinalIteration && session.CurrentIteration > session.MaxIterations)
             {
                 session.Status = SessionStatus.Completed;
@@ -424,8 +586,10 @@ If and only if the draft is publication-ready and meets all your criteria with n
         var creatorConfig = JsonSerializer.Deserialize<PersonaConfig>(session.CreatorConfigJson) ?? new PersonaConfig();
         var reviewers = JsonSerializer.Deserialize<List<ReviewerConfig>>(session.ReviewersConfigJson) ?? new List<ReviewerConfig>();
 
-        // Step 1: Creator generates draft
-        var creatorContent = await GenerateCreatorResponseAsync(dbContext, session, creatorConfig, reviewers, cancellationToken);
+        // Step 1: Creator generates draft (a fork's first iteration reviews the draft it was forked from)
+        var creatorContent = session.CurrentIteration == 1 && !string.IsNullOrWhiteSpace(session.SeedDraft)
+            ? await AddSeedDraftMessageAsync(dbContext, session, cancellationToken)
+            : await GenerateCreatorResponseAsync(dbContext, session, creatorConfig, reviewers, cancellationToken);
         
         // Check for stop marker
         if (creatorContent.Contains(session.StopMarker))
@@ -442,6 +606,7 @@ If and only if the draft is publication-ready and meets all your criteria with n
                 DraftContent = session.FinalContent,
                 AllReviewersApproved = true,
                 ReviewerFeedbackJson = "[]", // No reviewer feedback for final output
+                AttachmentsJson = SessionAttachments.SerializeSummaries(SessionAttachments.Deserialize(session.AttachmentsJson)),
                 CreatedAt = DateTime.UtcNow
             };
             dbContext.FeedbackRounds.Add(finalFeedbackRound);
@@ -453,25 +618,36 @@ If and only if the draft is publication-ready and meets all your criteria with n
             return true;
         }
 
-        // Step 2: All reviewers critique in parallel-ish (sequentially for now, but all get the same draft)
-        var reviewerResults = new List<(ReviewerConfig Reviewer, string Content, bool Approved)>();
-        foreach (var reviewer in reviewers)
+        // Step 2: All reviewers critique the same draft, concurrently when the session opted in
+        List<(ReviewerConfig Reviewer, string Content, ReviewerVerdict Verdict)> reviewerResults;
+        if (session.ParallelReviewers && reviewers.Count > 1)
         {
-            var reviewerContent = await GenerateReviewerResponseAsync(dbContext, session, reviewer, creatorContent, cancellationToken);
-            var approved = IsApprovalDetected(reviewerContent);
-            reviewerResults.Add((reviewer, reviewerContent, approved));
+            reviewerResults = await RunReviewersInParallelAsync(dbContext, session, reviewers, creatorContent, cancellationToken);
+        }
+        else
+        {
+            reviewerResults = new List<(ReviewerConfig Reviewer, string Content, ReviewerVerdict Verdict)>();
+            foreach (var reviewer in reviewers)
+            {
+                var prompt = BuildReviewerMessages(session, reviewer, creatorContent);
+                var (reviewerContent, verdict) = await GenerateReviewerResponseAsync(dbContext, session, reviewer, prompt, null, cancellationToken);
+                reviewerResults.Add((reviewer, reviewerContent, verdict));
+            }
         }
 
-        // Check if ALL reviewers approved
-        bool allApproved = reviewerResults.Count > 0 && reviewerResults.All(r => r.Approved);
+        // Check if ALL reviewers approved, and whether the session's quorum rule is satisfied
+        bool allApproved = reviewerResults.Count > 0 && reviewerResults.All(r => r.Verdict.Approved);
+        var (quorumMet, quorumSummary) = EvaluateQuorum(session, reviewerResults.Select(r => (r.Reviewer, r.Verdict.Approved)).ToList());
 
         // Create feedback round for audit trail
         var reviewerFeedbackSummaries = reviewerResults.Select(r => new ReviewerFeedbackSummary
         {
             ReviewerId = r.Reviewer.Id,
             ReviewerName = r.Reviewer.Name,
+            Category = r.Reviewer.Category,
             Feedback = r.Content,
-            Approved = r.Approved
+            Approved = r.Verdict.Approved,
+            Verdict = r.Verdict
         }).ToList();
 
         var feedbackRound = new FeedbackRound
@@ -480,17 +656,23 @@ If and only if the draft is publication-ready and meets all your criteria with n
             Iteration = session.CurrentIteration,
             DraftContent = creatorContent,
             AllReviewersApproved = allApproved,
-            ReviewerFeedbackJson = JsonSerializer.Serialize(reviewerFeedbackSummaries)
+            QuorumMet = quorumMet,
+            QuorumSummary = quorumSummary,
+            ReviewerFeedbackJson = JsonSerializer.Serialize(reviewerFeedbackSummaries),
+            AttachmentsJson = SessionAttachments.SerializeSummaries(SessionAttachments.Deserialize(session.AttachmentsJson))
         };
 
         dbContext.FeedbackRounds.Add(feedbackRound);
         await dbContext.SaveChangesAsync(cancellationToken);
 
-        if (session.StopOnReviewerApproved && allApproved)
+        if (session.StopOnReviewerApproved && quorumMet)
         {
             // Don't stop yet - mark that we need one final Creator iteration to incorporate feedback
-            _sessionNeedsFinalIteration[session.SessionId] = true;
-            _logger.LogInformation("All reviewers signed off for session {SessionId}. Will run one final Creator iteration.", session.SessionId);
+            var unresolved = reviewerResults.Where(r => !r.Verdict.Approved).Select(r => r.Reviewer.Name).ToList();
+            _sessionNeedsFinalIteration[session.SessionId] = unresolved.Count == 0
+                ? quorumSummary
+                : $"{quorumSummary}; still requesting changes: {string.Join(", ", unresolved)}";
+            _logger.LogInformation("Reviewer quorum met for session {SessionId} ({QuorumSummary}). Will run one final Creator iteration.", session.SessionId, quorumSummary);
         }
 
         await _hubContext.Clients.Group(session.SessionId.ToString()).IterationCompleted(session.SessionId, session.CurrentIteration);
@@ -517,44 +699,130 @@ If and only if the draft is publication-ready and meets all your criteria with n
         var contentBuilder = new System.Text.StringBuilder();
         var messageId = Guid.NewGuid();
 
+        _streamBuffer.BeginMessage(session.SessionId, messageId, Persona.Creator.ToString(), session.CurrentIteration);
         await _hubContext.Clients.Group(session.SessionId.ToString()).MessageStarted(session.SessionId, messageId, Persona.Creator.ToString(), session.CurrentIteration);
 
-        await foreach (var chunk in _openAIService.StreamChatCompletionAsync(request, cancellationToken))
+        string fullContent;
+        MessageUsage usage;
+        UsageInfo? providerUsage = null;
+        try
         {
-            var content = chunk.Choices.FirstOrDefault()?.Delta?.Content;
-            if (!string.IsNullOrEmpty(content))
+            await foreach (var chunk in _openAIService.StreamChatCompletionAsync(request, cancellationToken))
             {
-                contentBuilder.Append(content);
-                await _hubContext.Clients.Group(session.SessionId.ToString()).MessageChunk(session.SessionId, messageId, content);
+                providerUsage = chunk.Usage ?? providerUsage;
+
+                var content = chunk.Choices.FirstOrDefault()?.Delta?.Content;
+                if (!string.IsNullOrEmpty(content))
+                {
+                    contentBuilder.Append(content);
+                    var sequence = _streamBuffer.AppendChunk(session.SessionId, messageId, content);
+                    await _hubContext.Clients.Group(session.SessionId.ToString()).MessageChunk(session.SessionId, messageId, content, sequence);
+                }
             }
+
+            fullContent = contentBuilder.ToString();
+            usage = await BuildMessageUsageAsync(dbContext, session.UserEmail, config.Model, providerUsage, messages, fullContent, cancellationToken);
+
+            // Save message to database
+            var message = new Message
+            {
+                MessageId = messageId,
+                SessionId = session.SessionId,
+                Persona = Persona.Creator,
+                Role = MessageRole.Assistant,
+                Content = fullContent,
+                Iteration = session.CurrentIteration,
+                ModelUsed = config.Model,
+                TokenUsageJson = JsonSerializer.Serialize(usage)
+            };
+
+            dbContext.Messages.Add(message);
+            await dbContext.SaveChangesAsync(cancellationToken);
         }
+        finally
+        {
+            // Saved (or abandoned) messages are no longer recoverable from the stream buffer
+            _streamBuffer.CompleteMessage(session.SessionId, messageId);
+        }
+
+        await _hubContext.Clients.Group(session.SessionId.ToString()).MessageCompleted(session.SessionId, messageId, fullContent, usage);
+
+        return fullContent;
+    }
 
-        var fullContent = contentBuilder.ToString();
+    /// <summary>
+    /// Records a forked session's seed draft as the Creator's first message so reviewers and the trace see it
+    /// </summary>
+    private async Task<string> AddSeedDraftMessageAsync(DxoDbContext dbContext, Session session, CancellationToken cancellationToken)
+    {
+        var seedDraft = session.SeedDraft!;
+        var usage = new MessageUsage(); // Carried over from the parent, so no tokens were spent
 
-        // Save message to database
         var message = new Message
         {
-            MessageId = messageId,
             SessionId = session.SessionId,
             Persona = Persona.Creator,
             Role = MessageRole.Assistant,
-            Content = fullContent,
+            Content = seedDraft,
             Iteration = session.CurrentIteration,
-            ModelUsed = config.Model
+            TokenUsageJson = JsonSerializer.Serialize(usage)
         };
 
         dbContext.Messages.Add(message);
         await dbContext.SaveChangesAsync(cancellationToken);
 
-        await _hubContext.Clients.Group(session.SessionId.ToString()).MessageCompleted(session.SessionId, messageId, fullContent);
+        var group = _hubContext.Clients.Group(session.SessionId.ToString());
+        await group.MessageStarted(session.SessionId, message.MessageId, Persona.Creator.ToString(), session.CurrentIteration);
+        await group.MessageCompleted(session.SessionId, message.MessageId, seedDraft, usage);
 
-        return fullContent;
+        return seedDraft;
     }
 
-    private async Task<string> GenerateReviewerResponseAsync(DxoDbContext dbContext, Session session, ReviewerConfig reviewer, string creatorDraft, CancellationToken cancellationToken)
+    /// <summary>
+    /// Streams every reviewer's critique at the same time, up to MaxParallelReviewers at once.
+    /// Results are returned in reviewer order regardless of which stream finished first.
+    /// </summary>
+    private async Task<List<(ReviewerConfig Reviewer, string Content, ReviewerVerdict Verdict)>> RunReviewersInParallelAsync(DxoDbContext dbContext, Session session, List<ReviewerConfig> reviewers, string creatorContent, CancellationToken cancellationToken)
     {
-        var messages = BuildReviewerMessages(session, reviewer, creatorDraft);
+        // Prompts read session.Messages, which grows as reviewers save, so build them all up front
+        var prompts = reviewers.Select(r => BuildReviewerMessages(session, r, creatorContent)).ToList();
+
+        using var throttle = new SemaphoreSlim(Math.Max(1, _options.Orchestration.MaxParallelReviewers));
+        using var dbLock = new SemaphoreSlim(1, 1);
+
+        // One failed reviewer cancels the rest so the error surfaces without waiting on slower streams
+        using var failureCts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+
+        var tasks = reviewers.Select(async (reviewer, index) =>
+        {
+            await throttle.WaitAsync(failureCts.Token);
+            try
+            {
+                var (content, verdict) = await GenerateReviewerResponseAsync(dbContext, session, reviewer, prompts[index], dbLock, failureCts.Token);
+                return (Reviewer: reviewer, Content: content, Verdict: verdict);
+            }
+            catch
+            {
+                failureCts.Cancel();
+                throw;
+            }
+            finally
+            {
+                throttle.Release();
+            }
+        }).ToList();
+
+        _logger.LogInformation("Running {ReviewerCount} reviewers in parallel for session {SessionId} iteration {Iteration}",
+            reviewers.Count, session.SessionId, session.CurrentIteration);
 
+        return (await Task.WhenAll(tasks)).ToList();
+    }
+
+    /// <summary>
+    /// Streams one reviewer's critique, parses its verdict and saves both. Pass a dbLock when several reviewers share the DbContext concurrently.
+    /// </summary>
+    private async Task<(string Content, ReviewerVerdict Verdict)> GenerateReviewerResponseAsync(DxoDbContext dbContext, Session session, ReviewerConfig reviewer, List<ChatMessageDto> messages, SemaphoreSlim? dbLock, CancellationToken cancellationToken)
+    {
         var request = new ChatCompletionRequest
         {
             Model = reviewer.Model,
@@ -572,47 +840,118 @@ If and only if the draft is publication-ready and meets all your criteria with n
         var messageId = Guid.NewGuid();
 
         // Use reviewer ID as persona identifier for SignalR
+        _streamBuffer.BeginMessage(session.SessionId, messageId, reviewer.Id, session.CurrentIteration);
         await _hubContext.Clients.Group(session.SessionId.ToString()).MessageStarted(session.SessionId, messageId, reviewer.Id, session.CurrentIteration);
 
-        await foreach (var chunk in _openAIService.StreamChatCompletionAsync(request, cancellationToken))
+        string fullContent;
+        MessageUsage usage;
+        ReviewerVerdict verdict;
+        UsageInfo? providerUsage = null;
+        try
         {
-            var content = chunk.Choices.FirstOrDefault()?.Delta?.Content;
-            if (!string.IsNullOrEmpty(content))
+            await foreach (var chunk in _openAIService.StreamChatCompletionAsync(request, cancellationToken))
             {
-                contentBuilder.Append(content);
-                await _hubContext.Clients.Group(session.SessionId.ToString()).MessageChunk(session.SessionId, messageId, content);
+                providerUsage = chunk.Usage ?? providerUsage;
+
+                var content = chunk.Choices.FirstOrDefault()?.Delta?.Content;
+                if (!string.IsNullOrEmpty(content))
+                {
+                    contentBuilder.Append(content);
+                    var sequence = _streamBuffer.AppendChunk(session.SessionId, messageId, content);
+                    await _hubContext.Clients.Group(session.SessionId.ToString()).MessageChunk(session.SessionId, messageId, content, sequence);
+                }
             }
+
+            fullContent = contentBuilder.ToString();
+            verdict = ReviewerVerdictParser.Parse(reviewer, fullContent);
+
+            if (dbLock != null) await dbLock.WaitAsync(cancellationToken);
+            try
+            {
+                usage = await BuildMessageUsageAsync(dbContext, session.UserEmail, reviewer.Model, providerUsage, messages, fullContent, cancellationToken);
+
+                // Save message to database - use System persona with reviewer ID in metadata
+                var message = new Message
+                {
+                    MessageId = messageId,
+                    SessionId = session.SessionId,
+                    Persona = Persona.System, // Using System as a generic reviewer persona
+                    Role = MessageRole.Assistant,
+                    Content = fullContent,
+                    Iteration = session.CurrentIteration,
+                    ModelUsed = reviewer.Model,
+                    ReviewerId = reviewer.Id,
+                    ReviewerName = reviewer.Name,
+                    TokenUsageJson = JsonSerializer.Serialize(usage),
+                    VerdictJson = JsonSerializer.Serialize(verdict)
+                };
+
+                dbContext.Messages.Add(message);
+                await dbContext.SaveChangesAsync(cancellationToken);
+            }
+            finally
+            {
+                dbLock?.Release();
+            }
+        }
+        finally
+        {
+            _streamBuffer.CompleteMessage(session.SessionId, messageId);
         }
 
-        var fullContent = contentBuilder.ToString();
+        await _hubContext.Clients.Group(session.SessionId.ToString()).MessageCompleted(session.SessionId, messageId, fullContent, usage);
+        await _hubContext.Clients.Group(session.SessionId.ToString()).ReviewerVerdictParsed(session.SessionId, messageId, verdict);
 
-        // Save message to database - use System persona with reviewer ID in metadata
-        var message = new Message
+        if (verdict.ParseError != null)
         {
-            MessageId = messageId,
-            SessionId = session.SessionId,
-            Persona = Persona.System, // Using System as a generic reviewer persona
-            Role = MessageRole.Assistant,
-            Content = fullContent,
-            Iteration = session.CurrentIteration,
-            ModelUsed = reviewer.Model,
-            ReviewerId = reviewer.Id,
-            ReviewerName = reviewer.Name
-        };
+            _logger.LogWarning("Could not read {ReviewerName}'s {VerdictMode} verdict in session {SessionId}: {ParseError}",
+                reviewer.Name, verdict.Mode, session.SessionId, verdict.ParseError);
+        }
 
-        dbContext.Messages.Add(message);
-        await dbContext.SaveChangesAsync(cancellationToken);
+        return (fullContent, verdict);
+    }
+
+    /// <summary>
+    /// Builds token usage for a generated message, estimating counts when the provider did not report them
+    /// and pricing them with the model's configured per-million-token prices
+    /// </summary>
+    private static async Task<MessageUsage> BuildMessageUsageAsync(DxoDbContext dbContext, string userEmail, string modelName, UsageInfo? providerUsage, List<ChatMessageDto> promptMessages, string completion, CancellationToken cancellationToken)
+    {
+        var usage = providerUsage != null
+            ? new MessageUsage
+            {
+                PromptTokens = providerUsage.PromptTokens,
+                CompletionTokens = providerUsage.CompletionTokens
+            }
+            : new MessageUsage
+            {
+                PromptTokens = promptMessages.Sum(m => EstimateTokens(m.Content)),
+                CompletionTokens = EstimateTokens(completion),
+                IsEstimated = true
+            };
 
-        await _hubContext.Clients.Group(session.SessionId.ToString()).MessageCompleted(session.SessionId, messageId, fullContent);
+        var model = await dbContext.ConfiguredModels
+            .AsNoTracking()
+            .FirstOrDefaultAsync(m => m.UserEmail == userEmail && m.ModelName == modelName, cancellationToken);
 
-        return fullContent;
+        if (model?.InputPricePerMillionTokens != null || model?.OutputPricePerMillionTokens != null)
+        {
+            usage.EstimatedCost =
+                (usage.PromptTokens * (model.InputPricePerMillionTokens ?? 0m) +
+                 usage.CompletionTokens * (model.OutputPricePerMillionTokens ?? 0m)) / 1_000_000m;
+        }
+
+        return usage;
     }
 
+    // Rough approximation of ~4 characters per token for English text
+    private static int EstimateTokens(string text) => (int)Math.Ceiling(text.Length / 4.0);
+
     private List<ChatMessageDto> BuildCreatorMessages(Session session, PersonaConfig config, List<ReviewerConfig> reviewers)
     {
         var messages = new List<ChatMessageDto>
         {
-            ChatMessageDto.System(config.RootPrompt),
+            ChatMessageDto.System(PromptVariables.Resolve(config.RootPrompt, session)),
             ChatMessageDto.System(CreatorProtocolPrompt),
             ChatMessageDto.System(SafetyPrompt)
         };
@@ -623,6 +962,14 @@ If and only if the draft is publication-ready and meets all your criteria with n
             messages.Add(ChatMessageDto.System($"=== CENTRAL DISCUSSION TOPIC ===\nThe following is the central topic that you should focus your work on. This topic defines what you should create content about:\n\n{session.Topic}\n\n=== END TOPIC ==="));
         }
 
+        // Add the attached reference documents so the draft is grounded in them
+        var referenceDocuments = SessionAttachments.BuildContextPrompt(SessionAttachments.Deserialize(session.AttachmentsJson),
+            "Ground your draft in them: prefer their facts over assumptions and keep names, figures and terms consistent with them.");
+        if (referenceDocuments != null)
+        {
+            messages.Add(ChatMessageDto.System(referenceDocuments));
+        }
+
         // Add context from previous turns
         var recentMessages = session.Messages
             .OrderByDescending(m => m.CreatedAt)
@@ -667,12 +1014,10 @@ If and only if the draft is publication-ready and meets all your criteria with n
         }
         else
         {
-            // Check if we are in the "final iteration" phase (all reviewers signed off previously)
-            _sessionNeedsFinalIteration.TryGetValue(session.SessionId, out bool needsFinalIteration);
-
-            if (needsFinalIteration)
+            // Check if we are in the "final iteration" phase (the reviewer quorum was met in the previous round)
+            if (_sessionNeedsFinalIteration.TryGetValue(session.SessionId, out var quorumSummary))
             {
-                messages.Add(ChatMessageDto.User("All reviewers have signed off. Please output the final content starting with 'FINAL:', exactly as requested in your system prompt. Do not add any new content or changes unless critically necessary."));
+                messages.Add(ChatMessageDto.User($"The reviewer quorum has been met ({quorumSummary}). Please output the final content starting with 'FINAL:', exactly as requested in your system prompt. Do not add any new content or changes unless critically necessary."));
             }
             else
             {
@@ -691,9 +1036,9 @@ If and only if the draft is publication-ready and meets all your criteria with n
     {
         var messages = new List<ChatMessageDto>
         {
-            ChatMessageDto.System(reviewer.RootPrompt),
+            ChatMessageDto.System(PromptVariables.Resolve(reviewer.RootPrompt, session)),
             ChatMessageDto.System($"You are DXO {reviewer.Name}. " + ReviewerSystemPrompt),
-            ChatMessageDto.System(ReviewerProtocolPrompt),
+            ChatMessageDto.System(GetReviewerProtocolPrompt(reviewer)),
             ChatMessageDto.System(SafetyPrompt)
         };
 
@@ -703,6 +1048,14 @@ If and only if the draft is publication-ready and meets all your criteria with n
             messages.Add(ChatMessageDto.System($"=== CENTRAL DISCUSSION TOPIC ===\nThe following is the central topic that the content should address. Use this to evaluate whether the draft adequately covers the intended topic:\n\n{session.Topic}\n\n=== END TOPIC ==="));
         }
 
+        // Add the attached reference documents so the reviewer can check the draft against them
+        var referenceDocuments = SessionAttachments.BuildContextPrompt(SessionAttachments.Deserialize(session.AttachmentsJson),
+            "Check the draft against them: call out claims that contradict them and important points from them that the draft misses.");
+        if (referenceDocuments != null)
+        {
+            messages.Add(ChatMessageDto.System(referenceDocuments));
+        }
+
         // Add recent context: This reviewer's previous reviews AND global System messages (User Feedback)
         // We need to fetch them chronologically
         var recentMessages = session.Messages
@@ -733,22 +1086,89 @@ If and only if the draft is publication-ready and meets all your criteria with n
     }
 
     /// <summary>
-    /// Detects if the content contains a genuine @@SIGNED OFF@@ signal.
-    /// Uses exact pattern matching and excludes negated forms.
+    /// Tells the reviewer how to state its verdict so the configured verdict mode can read it
     /// </summary>
-    private static bool IsApprovalDetected(string content)
+    private static string GetReviewerProtocolPrompt(ReviewerConfig reviewer)
     {
-        if (string.IsNullOrWhiteSpace(content))
-            return false;
-
-        // Pattern explanation:
-        // (?<![Nn][Oo][Tt]\s*) - Negative lookbehind: not preceded by "NOT " or "Not " (with optional whitespace)
-        // (?<![Nn][Oo]\s+) - Negative lookbehind: not preceded by "NO " 
-        // (?<![Nn][Ee][Vv][Ee][Rr]\s+) - Negative lookbehind: not preceded by "NEVER "
-        // @@SIGNED OFF@@ - The exact approval marker
-        var approvalPattern = @"(?<![Nn][Oo][Tt]\s*)(?<![Nn][Oo]\s+)(?<![Nn][Ee][Vv][Ee][Rr]\s+)@@SIGNED OFF@@";
-        
-        return Regex.IsMatch(content, approvalPattern, RegexOptions.IgnoreCase);
+        return reviewer.VerdictMode switch
+        {
+            VerdictMode.Regex => ReviewerRegexProtocolPrompt,
+            VerdictMode.Json => ReviewerJsonProtocolPrompt,
+            _ => string.Format(ReviewerProtocolPrompt, reviewer.VerdictPattern ?? ReviewerVerdictParser.DefaultMarker)
+        };
+    }
+
+    /// <summary>
+    /// Applies the session's quorum rule to one round of verdicts. Optional reviewers never block,
+    /// and a hard-veto reviewer that requested changes blocks under every rule.
+    /// </summary>
+    /// <returns>Whether the quorum is met, and which rule was met or what is blocking it</returns>
+    private static (bool Met, string Summary) EvaluateQuorum(Session session, List<(ReviewerConfig Reviewer, bool Approved)> verdicts)
+    {
+        var required = verdicts.Where(v => v.Reviewer.Category != ReviewerCategory.Optional).ToList();
+        if (required.Count == 0)
+        {
+            return verdicts.Count > 0
+                ? (true, "Only optional reviewers, nothing blocks completion")
+                : (false, "No reviewers");
+        }
+
+        var vetoes = required
+            .Where(v => v.Reviewer.Category == ReviewerCategory.HardVeto && !v.Approved)
+            .Select(v => v.Reviewer.Name)
+            .ToList();
+        if (vetoes.Count > 0)
+        {
+            return (false, $"Blocked by hard veto: {string.Join(", ", vetoes)}");
+        }
+
+        switch (session.QuorumRule)
+        {
+            case QuorumRule.Majority:
+            {
+                var approvedCount = required.Count(v => v.Approved);
+                var needed = required.Count / 2 + 1;
+                return approvedCount >= needed
+                    ? (true, $"Majority met: {approvedCount} of {required.Count} required reviewers approved")
+                    : (false, $"Majority not met: {approvedCount} of {required.Count} approved, {needed} needed");
+            }
+
+            case QuorumRule.HardVetoPlusN:
+            {
+                // Asking for more approvals than there are standard reviewers would never converge
+                var others = required.Where(v => v.Reviewer.Category == ReviewerCategory.Standard).ToList();
+                var needed = Math.Min(session.QuorumOthersRequired, others.Count);
+                var approvedCount = others.Count(v => v.Approved);
+                return approvedCount >= needed
+                    ? (true, $"Hard-veto reviewers plus {needed} other(s) met: {approvedCount} of {others.Count} others approved")
+                    : (false, $"Hard-veto reviewers approved, {approvedCount} of {needed} other approval(s) needed");
+            }
+
+            default:
+            {
+                var pending = required.Where(v => !v.Approved).Select(v => v.Reviewer.Name).ToList();
+                return pending.Count == 0
+                    ? (true, $"All {required.Count} required reviewers approved")
+                    : (false, $"Waiting on: {string.Join(", ", pending)}");
+            }
+        }
+    }
+
+    /// <summary>
+    /// Formats anchored comments as a numbered list of quoted passages and the comments on them
+    /// </summary>
+    private static string FormatAnchoredComments(IReadOnlyList<AnchoredComment>? anchoredComments)
+    {
+        if (anchoredComments == null || anchoredComments.Count == 0)
+            return string.Empty;
+
+        var builder = new System.Text.StringBuilder();
+        for (var i = 0; i < anchoredComments.Count; i++)
+        {
+            builder.AppendLine($"{i + 1}. On \"{anchoredComments[i].Quote.Trim()}\"");
+            builder.AppendLine($"   Comment: {anchoredComments[i].Comment.Trim()}");
+        }
+        return builder.ToString();
     }
 
     private static string ExtractFinalContent(string content, string stopMarker)
@@ -806,6 +1226,7 @@ Output format:
     public async Task<Session> IterateWithFeedbackAsync(
         Guid sessionId,
         string comments,
+        IReadOnlyList<AnchoredComment>? anchoredComments,
         string? tone,
         string? length,
         string? audience,
@@ -836,8 +1257,20 @@ Output format:
         feedbackInstruction.AppendLine("=== USER FEEDBACK ===");
         feedbackInstruction.AppendLine("The user has reviewed your output and provided the following feedback:");
         feedbackInstruction.AppendLine();
-        feedbackInstruction.AppendLine(comments);
-        feedbackInstruction.AppendLine();
+
+        if (!string.IsNullOrWhiteSpace(comments))
+        {
+            feedbackInstruction.AppendLine(comments);
+            feedbackInstruction.AppendLine();
+        }
+
+        var inlineComments = FormatAnchoredComments(anchoredComments);
+        if (inlineComments.Length > 0)
+        {
+            feedbackInstruction.AppendLine("INLINE COMMENTS: each comment applies to the quoted passage of your output. Revise that passage accordingly.");
+            feedbackInstruction.Append(inlineComments);
+            feedbackInstruction.AppendLine();
+        }
 
         if (!string.IsNullOrEmpty(tone))
         {
@@ -899,7 +1332,9 @@ Output format:
 
         if (lastFeedbackRound != null)
         {
-            lastFeedbackRound.UserFeedback = comments;
+            lastFeedbackRound.UserFeedback = inlineComments.Length > 0
+                ? $"{comments}\n\nInline comments:\n{inlineComments}".Trim()
+                : comments;
             lastFeedbackRound.UserFeedbackAt = DateTime.UtcNow;
             await dbContext.SaveChangesAsync(cancellationToken);
         }
@@ -984,6 +1419,9 @@ public class CreateSessionRequest
     public int? MaxIterations { get; set; }
     public string? StopMarker { get; set; }
     public bool? StopOnReviewerApproved { get; set; }
+    public bool? ParallelReviewers { get; set; }
+    public QuorumRule? QuorumRule { get; set; }
+    public int? QuorumOthersRequired { get; set; }
     public RunMode? RunMode { get; set; }
     
     /// <summary>
@@ -1004,6 +1442,41 @@ public class CreateSessionRequest
     /// Dynamic list of reviewers
     /// </summary>
     public List<ReviewerRequest>? Reviewers { get; set; }
+
+    /// <summary>
+    /// User-defined prompt variables, name to value, for {{name}} placeholders in the persona prompts
+    /// </summary>
+    public Dictionary<string, string>? PromptVariables { get; set; }
+
+    /// <summary>
+    /// Reference documents given to the Creator and reviewers as grounding context
+    /// </summary>
+    public List<AttachmentRequest>? Attachments { get; set; }
+}
+
+/// <summary>
+/// Request model for a reference document, with the text returned by /api/attachments/extract
+/// </summary>
+public class AttachmentRequest
+{
+    public string? Name { get; set; }
+    public string? Content { get; set; }
+}
+
+/// <summary>
+/// Search, sort and paging options for listing sessions
+/// </summary>
+public class SessionListQuery
+{
+    public string? Search { get; set; }
+
+    /// <summary>
+    /// Sort field: updated (default), created, name, status or iterations
+    /// </summary>
+    public string? SortBy { get; set; }
+    public bool Descending { get; set; } = true;
+    public int Page { get; set; } = 1;
+    public int PageSize { get; set; } = 10;
 }
 
 /// <summary>
@@ -1014,6 +1487,9 @@ public class ReviewerRequest
     public string? Id { get; set; }
     public string? Name { get; set; }
     public string? RootPrompt { get; set; }
+    public ReviewerCategory? Category { get; set; }
+    public VerdictMode? VerdictMode { get; set; }
+    public string? VerdictPattern { get; set; }
     public string? Model { get; set; }
     public double? Temperature { get; set; }
     public int? MaxTokens { get; set; }
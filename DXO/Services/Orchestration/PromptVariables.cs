@@ -0,0 +1,129 @@
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using DXO.Models;
+
+namespace DXO.Services.Orchestration;
+
+/// <summary>
+/// Fills {{name}} placeholders in persona prompts from the session's built-in values and its user-defined variables.
+/// Names are case-insensitive.
+/// </summary>
+public static class PromptVariables
+{
+    /// <summary>
+    /// Variables every session defines. They are filled in on each call, so {{iteration}} follows the run.
+    /// </summary>
+    public static readonly IReadOnlyList<string> BuiltInNames = new[] { "topic", "iteration", "maxIterations", "sessionName" };
+
+    private const int MaxVariables = 50;
+    private const int MaxValueLength = 10000;
+
+    private static readonly Regex PlaceholderPattern = new(@"\{\{\s*(?<name>[A-Za-z_][A-Za-z0-9_]*)\s*\}\}");
+    private static readonly Regex NamePattern = new(@"^[A-Za-z_][A-Za-z0-9_]*$");
+
+    /// <summary>
+    /// Checks user-defined variables and returns them keyed case-insensitively
+    /// </summary>
+    public static Dictionary<string, string> Normalize(Dictionary<string, string>? variables)
+    {
+        var normalized = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+        if (variables == null)
+        {
+            return normalized;
+        }
+
+        if (variables.Count > MaxVariables)
+        {
+            throw new InvalidOperationException($"A session can define at most {MaxVariables} prompt variables");
+        }
+
+        foreach (var (rawName, value) in variables)
+        {
+            var name = rawName.Trim();
+            if (!NamePattern.IsMatch(name))
+            {
+                throw new InvalidOperationException($"\"{rawName}\" is not a valid variable name. Use letters, digits and underscores, starting with a letter.");
+            }
+
+            if (BuiltInNames.Contains(name, StringComparer.OrdinalIgnoreCase))
+            {
+                throw new InvalidOperationException($"{{{{{name}}}}} is a built-in variable and cannot be redefined");
+            }
+
+            if ((value ?? string.Empty).Length > MaxValueLength)
+            {
+                throw new InvalidOperationException($"The value of {{{{{name}}}}} cannot exceed {MaxValueLength} characters");
+            }
+
+            if (!normalized.TryAdd(name, value ?? string.Empty))
+            {
+                throw new InvalidOperationException($"{{{{{name}}}}} is defined more than once");
+            }
+        }
+
+        return normalized;
+    }
+
+    /// <summary>
+    /// Throws when a persona's prompt uses a placeholder that is neither built in nor defined, so the mistake surfaces at session creation
+    /// </summary>
+    public static void ValidatePrompt(string personaName, string prompt, IReadOnlyDictionary<string, string> variables)
+    {
+        var undefined = PlaceholderPattern.Matches(prompt)
+            .Select(m => m.Groups["name"].Value)
+            .Where(name => !BuiltInNames.Contains(name, StringComparer.OrdinalIgnoreCase) && !variables.ContainsKey(name))
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .ToList();
+
+        if (undefined.Count > 0)
+        {
+            var names = string.Join(", ", undefined.Select(name => $"{{{{{name}}}}}"));
+            throw new InvalidOperationException($"{personaName}'s prompt uses undefined variables: {names}. Define them in Session Settings.");
+        }
+    }
+
+    /// <summary>
+    /// Replaces the placeholders in a prompt for the session's current iteration.
+    /// Values are inserted as-is, so a value containing {{...}} is not expanded again.
+    /// </summary>
+    public static string Resolve(string prompt, Session session)
+    {
+        if (string.IsNullOrEmpty(prompt) || !prompt.Contains("{{"))
+        {
+            return prompt;
+        }
+
+        var variables = Deserialize(session.PromptVariablesJson);
+        return PlaceholderPattern.Replace(prompt, match =>
+        {
+            var name = match.Groups["name"].Value;
+            return name.ToLowerInvariant() switch
+            {
+                "topic" => session.Topic ?? string.Empty,
+                "iteration" => session.CurrentIteration.ToString(),
+                "maxiterations" => session.MaxIterations.ToString(),
+                "sessionname" => session.Name,
+                // Sessions created before the variable existed keep the placeholder rather than losing text
+                _ => variables.TryGetValue(name, out var value) ? value : match.Value
+            };
+        });
+    }
+
+    public static Dictionary<string, string> Deserialize(string? json)
+    {
+        if (string.IsNullOrWhiteSpace(json))
+        {
+            return new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+        }
+
+        try
+        {
+            var variables = JsonSerializer.Deserialize<Dictionary<string, string>>(json);
+            return new Dictionary<string, string>(variables ?? new(), StringComparer.OrdinalIgnoreCase);
+        }
+        catch (JsonException)
+        {
+            return new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+        }
+    }
+}
@@ -0,0 +1,233 @@
+using System.Text;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using DXO.Models;
+
+namespace DXO.Services.Orchestration;
+
+/// <summary>
+/// Reads a reviewer's verdict from its response according to the reviewer's verdict mode
+/// </summary>
+public static class ReviewerVerdictParser
+{
+    public const string DefaultMarker = "@@SIGNED OFF@@";
+
+    private const int MaxPatternLength = 500;
+    private static readonly TimeSpan PatternTimeout = TimeSpan.FromSeconds(1);
+
+    // The last fenced block in a response is the verdict, earlier ones may quote code from the draft
+    private static readonly Regex FencedBlockPattern = new(@"```(?:json)?[ \t]*\r?\n(?<body>[\s\S]*?)```", RegexOptions.IgnoreCase);
+
+    /// <summary>
+    /// Throws when a reviewer's marker or pattern can never produce a verdict, so the mistake surfaces at session creation
+    /// </summary>
+    public static void ValidateReviewer(string reviewerName, VerdictMode mode, string? pattern)
+    {
+        if (mode == VerdictMode.Regex && string.IsNullOrEmpty(pattern))
+        {
+            throw new InvalidOperationException($"{reviewerName} uses regex verdicts but has no approval pattern");
+        }
+
+        if (mode == VerdictMode.Json || string.IsNullOrEmpty(pattern))
+        {
+            return;
+        }
+
+        if (pattern.Length > MaxPatternLength)
+        {
+            throw new InvalidOperationException($"{reviewerName}'s approval pattern cannot exceed {MaxPatternLength} characters");
+        }
+
+        if (mode == VerdictMode.Regex)
+        {
+            try
+            {
+                _ = new Regex(pattern, RegexOptions.None, PatternTimeout);
+            }
+            catch (ArgumentException ex)
+            {
+                throw new InvalidOperationException($"{reviewerName}'s approval pattern is not a valid regular expression: {ex.Message}");
+            }
+        }
+    }
+
+    public static ReviewerVerdict Parse(ReviewerConfig reviewer, string content)
+    {
+        return reviewer.VerdictMode switch
+        {
+            VerdictMode.Regex => ParseRegex(reviewer.VerdictPattern, content),
+            VerdictMode.Json => ParseJson(content),
+            _ => ParseKeyword(reviewer.VerdictPattern, content)
+        };
+    }
+
+    /// <summary>
+    /// Detects a genuine approval marker. Excludes negated forms such as "NOT @@SIGNED OFF@@".
+    /// </summary>
+    private static ReviewerVerdict ParseKeyword(string? marker, string content)
+    {
+        var verdict = new ReviewerVerdict { Mode = VerdictMode.Keyword };
+        if (string.IsNullOrWhiteSpace(content))
+        {
+            return verdict;
+        }
+
+        // Pattern explanation:
+        // (?<![Nn][Oo][Tt]\s*) - Negative lookbehind: not preceded by "NOT " or "Not " (with optional whitespace)
+        // (?<![Nn][Oo]\s+) - Negative lookbehind: not preceded by "NO "
+        // (?<![Nn][Ee][Vv][Ee][Rr]\s+) - Negative lookbehind: not preceded by "NEVER "
+        var approvalPattern = @"(?<![Nn][Oo][Tt]\s*)(?<![Nn][Oo]\s+)(?<![Nn][Ee][Vv][Ee][Rr]\s+)"
+            + Regex.Escape(string.IsNullOrEmpty(marker) ? DefaultMarker : marker);
+
+        verdict.Approved = Regex.IsMatch(content, approvalPattern, RegexOptions.IgnoreCase);
+        return verdict;
+    }
+
+    private static ReviewerVerdict ParseRegex(string? pattern, string content)
+    {
+        var verdict = new ReviewerVerdict { Mode = VerdictMode.Regex };
+        if (string.IsNullOrEmpty(pattern))
+        {
+            verdict.ParseError = "No approval pattern is configured";
+            return verdict;
+        }
+
+        try
+        {
+            verdict.Approved = Regex.IsMatch(content, pattern, RegexOptions.IgnoreCase | RegexOptions.Multiline, PatternTimeout);
+        }
+        catch (ArgumentException ex)
+        {
+            verdict.ParseError = $"Invalid approval pattern: {ex.Message}";
+        }
+        catch (RegexMatchTimeoutException)
+        {
+            verdict.ParseError = "Approval pattern timed out";
+        }
+
+        return verdict;
+    }
+
+    /// <summary>
+    /// Reads a {"verdict": "approve|revise", "blocking_issues": [...]} block, preferring the last fenced block
+    /// and falling back to the last bare object that has a verdict property
+    /// </summary>
+    private static ReviewerVerdict ParseJson(string content)
+    {
+        var verdict = new ReviewerVerdict { Mode = VerdictMode.Json };
+
+        JsonElement? block = null;
+        try
+        {
+            block = FindVerdictBlock(content ?? string.Empty);
+        }
+        catch (JsonException ex)
+        {
+            verdict.ParseError = $"Verdict block is not valid JSON: {ex.Message}";
+            return verdict;
+        }
+
+        if (block == null)
+        {
+            verdict.ParseError = "No JSON verdict block found";
+            return verdict;
+        }
+
+        verdict.ParseError = ValidateVerdictBlock(block.Value, verdict);
+        verdict.Approved = verdict.ParseError == null && verdict.Verdict == "approve";
+        return verdict;
+    }
+
+    private static JsonElement? FindVerdictBlock(string content)
+    {
+        var fenced = FencedBlockPattern.Matches(content)
+            .Select(m => m.Groups["body"].Value)
+            .LastOrDefault(body => body.Contains("\"verdict\""));
+        if (fenced != null)
+        {
+            // A malformed fenced block is reported rather than skipped, it is clearly the intended verdict
+            using var document = JsonDocument.Parse(fenced);
+            return document.RootElement.Clone();
+        }
+
+        var verdictIndex = content.LastIndexOf("\"verdict\"", StringComparison.Ordinal);
+        if (verdictIndex < 0)
+        {
+            return null;
+        }
+
+        // Walk back from the verdict property to the opening brace of the object that contains it
+        var bytes = Encoding.UTF8.GetBytes(content);
+        for (var start = content.LastIndexOf('{', verdictIndex); start >= 0; start = start > 0 ? content.LastIndexOf('{', start - 1) : -1)
+        {
+            // Reads exactly one value, so the prose after the object does not matter
+            var reader = new Utf8JsonReader(bytes.AsSpan(Encoding.UTF8.GetByteCount(content.AsSpan(0, start))));
+            JsonDocument? document;
+            try
+            {
+                if (!JsonDocument.TryParseValue(ref reader, out document) || document == null)
+                {
+                    continue;
+                }
+            }
+            catch (JsonException)
+            {
+                continue;
+            }
+
+            using (document)
+            {
+                if (document.RootElement.ValueKind == JsonValueKind.Object && document.RootElement.TryGetProperty("verdict", out _))
+                {
+                    return document.RootElement.Clone();
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Checks the block against the verdict schema, filling in the verdict as it goes
+    /// </summary>
+    /// <returns>The first schema violation, or null when the block is valid</returns>
+    private static string? ValidateVerdictBlock(JsonElement block, ReviewerVerdict verdict)
+    {
+        if (block.ValueKind != JsonValueKind.Object)
+        {
+            return "Verdict block must be a JSON object";
+        }
+
+        if (!block.TryGetProperty("verdict", out var verdictValue) || verdictValue.ValueKind != JsonValueKind.String)
+        {
+            return "Verdict block needs a \"verdict\" string";
+        }
+
+        var stated = verdictValue.GetString()!.Trim().ToLowerInvariant();
+        if (stated != "approve" && stated != "revise")
+        {
+            return $"\"verdict\" must be \"approve\" or \"revise\", not \"{verdictValue.GetString()}\"";
+        }
+        verdict.Verdict = stated;
+
+        if (block.TryGetProperty("blocking_issues", out var issues))
+        {
+            if (issues.ValueKind != JsonValueKind.Array || issues.EnumerateArray().Any(i => i.ValueKind != JsonValueKind.String))
+            {
+                return "\"blocking_issues\" must be an array of strings";
+            }
+
+            verdict.BlockingIssues = issues.EnumerateArray()
+                .Select(i => i.GetString()!.Trim())
+                .Where(i => i.Length > 0)
+                .ToList();
+        }
+
+        if (stated == "approve" && verdict.BlockingIssues.Count > 0)
+        {
+            return "Verdict is \"approve\" but lists blocking issues";
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,286 @@
+using System.Collections.Concurrent;
+
+namespace DXO.Services.Orchestration;
+
+/// <summary>
+/// A person watching a session, merged across their open tabs
+/// </summary>
+public class PresenceParticipant
+{
+    public string UserEmail { get; set; } = string.Empty;
+    public string DisplayName { get; set; } = string.Empty;
+    public bool IsEditingFeedback { get; set; }
+}
+
+/// <summary>
+/// Who is in a session and who controls it
+/// </summary>
+public class SessionPresence
+{
+    public Guid SessionId { get; set; }
+    public List<PresenceParticipant> Participants { get; set; } = new();
+
+    /// <summary>
+    /// Email of the participant allowed to start, step, stop and iterate the session; null when nobody holds control
+    /// </summary>
+    public string? ControllerEmail { get; set; }
+}
+
+/// <summary>
+/// Outcome of trying to take control of a session
+/// </summary>
+/// <param name="Granted">Whether the caller controls the session now</param>
+/// <param name="Changed">Whether control moved to the caller, so participants need an update</param>
+/// <param name="ControllerName">Display name of whoever holds control when it was not granted</param>
+public record ControlClaim(bool Granted, bool Changed, string? ControllerName);
+
+/// <summary>
+/// Tracks the participants of each session's SignalR group and the soft lock on who controls the session.
+/// Control is held per user, so several tabs of the same person share it, and is released when their last tab leaves.
+/// </summary>
+public interface ISessionPresenceService
+{
+    SessionPresence Join(Guid sessionId, string connectionId, string userEmail, string displayName);
+    SessionPresence? Leave(Guid sessionId, string connectionId);
+
+    /// <summary>
+    /// Removes a closed connection from every session and returns the sessions whose presence changed
+    /// </summary>
+    List<SessionPresence> LeaveAll(string connectionId);
+
+    /// <summary>
+    /// Returns the updated presence, or null when the flag was already set that way
+    /// </summary>
+    SessionPresence? SetEditingFeedback(Guid sessionId, string connectionId, bool editing);
+
+    /// <summary>
+    /// Takes control when nobody holds it. A user who already controls the session keeps it.
+    /// </summary>
+    ControlClaim TryAcquireControl(Guid sessionId, string userEmail);
+
+    /// <summary>
+    /// Passes control to another participant. Only the current controller can hand off.
+    /// </summary>
+    bool HandOffControl(Guid sessionId, string fromEmail, string toEmail);
+
+    bool ReleaseControl(Guid sessionId, string userEmail);
+    SessionPresence GetPresence(Guid sessionId);
+    List<string> GetConnectionIds(Guid sessionId, string userEmail);
+}
+
+public class SessionPresenceService : ISessionPresenceService
+{
+    private readonly ConcurrentDictionary<Guid, SessionState> _sessions = new();
+
+    private class SessionState
+    {
+        public Dictionary<string, Connection> Connections { get; } = new();
+        public string? ControllerEmail { get; set; }
+    }
+
+    private class Connection
+    {
+        public required string UserEmail { get; init; }
+        public required string DisplayName { get; init; }
+        public DateTime JoinedAt { get; } = DateTime.UtcNow;
+        public bool IsEditingFeedback { get; set; }
+    }
+
+    public SessionPresence Join(Guid sessionId, string connectionId, string userEmail, string displayName)
+    {
+        return WithState(sessionId, state =>
+        {
+            state.Connections[connectionId] = new Connection { UserEmail = userEmail, DisplayName = displayName };
+            return Snapshot(sessionId, state);
+        });
+    }
+
+    public SessionPresence? Leave(Guid sessionId, string connectionId)
+    {
+        if (!_sessions.TryGetValue(sessionId, out var state))
+        {
+            return null;
+        }
+
+        lock (state)
+        {
+            if (!state.Connections.Remove(connectionId, out var connection))
+            {
+                return null;
+            }
+
+            // The controller's last tab closing frees the session for whoever acts next
+            if (connection.UserEmail == state.ControllerEmail && !state.Connections.Values.Any(c => c.UserEmail == connection.UserEmail))
+            {
+                state.ControllerEmail = null;
+            }
+
+            if (state.Connections.Count == 0)
+            {
+                _sessions.TryRemove(sessionId, out _);
+            }
+
+            return Snapshot(sessionId, state);
+        }
+    }
+
+    public List<SessionPresence> LeaveAll(string connectionId)
+    {
+        var changed = new List<SessionPresence>();
+        foreach (var sessionId in _sessions.Keys)
+        {
+            var presence = Leave(sessionId, connectionId);
+            if (presence != null)
+            {
+                changed.Add(presence);
+            }
+        }
+        return changed;
+    }
+
+    public SessionPresence? SetEditingFeedback(Guid sessionId, string connectionId, bool editing)
+    {
+        if (!_sessions.TryGetValue(sessionId, out var state))
+        {
+            return null;
+        }
+
+        lock (state)
+        {
+            if (!state.Connections.TryGetValue(connectionId, out var connection) || connection.IsEditingFeedback == editing)
+            {
+                return null;
+            }
+
+            connection.IsEditingFeedback = editing;
+            return Snapshot(sessionId, state);
+        }
+    }
+
+    public ControlClaim TryAcquireControl(Guid sessionId, string userEmail)
+    {
+        // Nobody is watching, so there is no lock to respect
+        if (!_sessions.TryGetValue(sessionId, out var state))
+        {
+            return new ControlClaim(true, false, null);
+        }
+
+        lock (state)
+        {
+            if (state.ControllerEmail == userEmail)
+            {
+                return new ControlClaim(true, false, null);
+            }
+
+            // A controller with no open tab (e.g. one who only called the API) does not hold the lock
+            var controller = state.Connections.Values.FirstOrDefault(c => c.UserEmail == state.ControllerEmail);
+            if (controller != null)
+            {
+                return new ControlClaim(false, false, controller.DisplayName);
+            }
+
+            state.ControllerEmail = userEmail;
+            return new ControlClaim(true, true, null);
+        }
+    }
+
+    public bool HandOffControl(Guid sessionId, string fromEmail, string toEmail)
+    {
+        if (!_sessions.TryGetValue(sessionId, out var state))
+        {
+            return false;
+        }
+
+        lock (state)
+        {
+            if (state.ControllerEmail != fromEmail || !state.Connections.Values.Any(c => c.UserEmail == toEmail))
+            {
+                return false;
+            }
+
+            state.ControllerEmail = toEmail;
+            return true;
+        }
+    }
+
+    public bool ReleaseControl(Guid sessionId, string userEmail)
+    {
+        if (!_sessions.TryGetValue(sessionId, out var state))
+        {
+            return false;
+        }
+
+        lock (state)
+        {
+            if (state.ControllerEmail != userEmail)
+            {
+                return false;
+            }
+
+            state.ControllerEmail = null;
+            return true;
+        }
+    }
+
+    public SessionPresence GetPresence(Guid sessionId)
+    {
+        if (!_sessions.TryGetValue(sessionId, out var state))
+        {
+            return new SessionPresence { SessionId = sessionId };
+        }
+
+        lock (state)
+        {
+            return Snapshot(sessionId, state);
+        }
+    }
+
+    public List<string> GetConnectionIds(Guid sessionId, string userEmail)
+    {
+        if (!_sessions.TryGetValue(sessionId, out var state))
+        {
+            return new List<string>();
+        }
+
+        lock (state)
+        {
+            return state.Connections.Where(kvp => kvp.Value.UserEmail == userEmail).Select(kvp => kvp.Key).ToList();
+        }
+    }
+
+    // Empty sessions are dropped on leave, so retry when the state was removed between the lookup and the lock
+    private T WithState<T>(Guid sessionId, Func<SessionState, T> action)
+    {
+        while (true)
+        {
+            var state = _sessions.GetOrAdd(sessionId, _ => new SessionState());
+            lock (state)
+            {
+                if (_sessions.TryGetValue(sessionId, out var current) && ReferenceEquals(current, state))
+                {
+                    return action(state);
+                }
+            }
+        }
+    }
+
+    // Callers hold the state lock
+    private static SessionPresence Snapshot(Guid sessionId, SessionState state)
+    {
+        return new SessionPresence
+        {
+            SessionId = sessionId,
+            ControllerEmail = state.ControllerEmail,
+            Participants = state.Connections.Values
+                .GroupBy(c => c.UserEmail)
+                .OrderBy(g => g.Min(c => c.JoinedAt))
+                .Select(g => new PresenceParticipant
+                {
+                    UserEmail = g.Key,
+                    DisplayName = g.First().DisplayName,
+                    IsEditingFeedback = g.Any(c => c.IsEditingFeedback)
+                })
+                .ToList()
+        };
+    }
+}
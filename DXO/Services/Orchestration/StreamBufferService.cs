@@ -0,0 +1,128 @@
+using System.Collections.Concurrent;
+using System.Text;
+
+namespace DXO.Services.Orchestration;
+
+/// <summary>
+/// Snapshot of a message that is still streaming
+/// </summary>
+public class StreamingMessageSnapshot
+{
+    public Guid MessageId { get; set; }
+    public string Persona { get; set; } = string.Empty;
+    public int Iteration { get; set; }
+    public string Content { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Sequence number of the last chunk included in Content
+    /// </summary>
+    public int Sequence { get; set; }
+}
+
+/// <summary>
+/// Tracks in-flight streamed messages so clients can recover chunks missed during a reconnect
+/// </summary>
+public interface IStreamBufferService
+{
+    void BeginMessage(Guid sessionId, Guid messageId, string persona, int iteration);
+
+    /// <summary>
+    /// Appends a chunk and returns its sequence number (starting at 1)
+    /// </summary>
+    int AppendChunk(Guid sessionId, Guid messageId, string content);
+
+    void CompleteMessage(Guid sessionId, Guid messageId);
+    List<StreamingMessageSnapshot> GetStreamingMessages(Guid sessionId);
+    void ClearSession(Guid sessionId);
+}
+
+public class StreamBufferService : IStreamBufferService
+{
+    private readonly ConcurrentDictionary<Guid, ConcurrentDictionary<Guid, StreamingMessage>> _sessions = new();
+
+    private class StreamingMessage
+    {
+        public required string Persona { get; init; }
+        public required int Iteration { get; init; }
+        public StringBuilder Content { get; } = new();
+        public int Sequence { get; set; }
+    }
+
+    public void BeginMessage(Guid sessionId, Guid messageId, string persona, int iteration)
+    {
+        // A session's entry is dropped when its last message completes, so retry when it was removed between the lookup and the lock
+        while (true)
+        {
+            var messages = _sessions.GetOrAdd(sessionId, _ => new ConcurrentDictionary<Guid, StreamingMessage>());
+            lock (messages)
+            {
+                if (_sessions.TryGetValue(sessionId, out var current) && ReferenceEquals(current, messages))
+                {
+                    messages[messageId] = new StreamingMessage { Persona = persona, Iteration = iteration };
+                    return;
+                }
+            }
+        }
+    }
+
+    public int AppendChunk(Guid sessionId, Guid messageId, string content)
+    {
+        if (!_sessions.TryGetValue(sessionId, out var messages) || !messages.TryGetValue(messageId, out var message))
+        {
+            return 0;
+        }
+
+        // Chunks for one message are appended by a single producer, the lock guards concurrent snapshots
+        lock (message)
+        {
+            message.Content.Append(content);
+            return ++message.Sequence;
+        }
+    }
+
+    public void CompleteMessage(Guid sessionId, Guid messageId)
+    {
+        if (!_sessions.TryGetValue(sessionId, out var messages))
+        {
+            return;
+        }
+
+        // Drop the session once nothing is streaming, so the buffer does not keep an entry for every session ever run
+        lock (messages)
+        {
+            messages.TryRemove(messageId, out _);
+            if (messages.IsEmpty)
+            {
+                _sessions.TryRemove(new KeyValuePair<Guid, ConcurrentDictionary<Guid, StreamingMessage>>(sessionId, messages));
+            }
+        }
+    }
+
+    public List<StreamingMessageSnapshot> GetStreamingMessages(Guid sessionId)
+    {
+        if (!_sessions.TryGetValue(sessionId, out var messages))
+        {
+            return new List<StreamingMessageSnapshot>();
+        }
+
+        return messages.Select(kvp =>
+        {
+            lock (kvp.Value)
+            {
+                return new StreamingMessageSnapshot
+                {
+                    MessageId = kvp.Key,
+                    Persona = kvp.Value.Persona,
+                    Iteration = kvp.Value.Iteration,
+                    Content = kvp.Value.Content.ToString(),
+                    Sequence = kvp.Value.Sequence
+                };
+            }
+        }).ToList();
+    }
+
+    public void ClearSession(Guid sessionId)
+    {
+        _sessions.TryRemove(sessionId, out _);
+    }
+}
@@ -0,0 +1,168 @@
+using System.Text.Json;
+using Microsoft.EntityFrameworkCore;
+using DXO.Data;
+using DXO.Models;
+
+namespace DXO.Services.Presets;
+
+/// <summary>
+/// Service for managing saved council presets per user
+/// </summary>
+public interface ICouncilPresetService
+{
+    Task<List<CouncilPreset>> GetPresetsAsync(string userEmail, CancellationToken cancellationToken = default);
+    Task<CouncilPreset> CreatePresetAsync(string userEmail, string name, JsonElement config, CancellationToken cancellationToken = default);
+    Task<CouncilPreset?> RenamePresetAsync(string userEmail, int id, string name, CancellationToken cancellationToken = default);
+    Task<CouncilPreset?> DuplicatePresetAsync(string userEmail, int id, CancellationToken cancellationToken = default);
+    Task<bool> DeletePresetAsync(string userEmail, int id, CancellationToken cancellationToken = default);
+}
+
+public class CouncilPresetService : ICouncilPresetService
+{
+    private const int MaxNameLength = 200;
+
+    private readonly DxoDbContext _dbContext;
+    private readonly ILogger<CouncilPresetService> _logger;
+
+    public CouncilPresetService(DxoDbContext dbContext, ILogger<CouncilPresetService> logger)
+    {
+        _dbContext = dbContext;
+        _logger = logger;
+    }
+
+    public async Task<List<CouncilPreset>> GetPresetsAsync(string userEmail, CancellationToken cancellationToken = default)
+    {
+        return await _dbContext.CouncilPresets
+            .Where(p => p.UserEmail == userEmail)
+            .OrderBy(p => p.Name)
+            .ToListAsync(cancellationToken);
+    }
+
+    public async Task<CouncilPreset> CreatePresetAsync(string userEmail, string name, JsonElement config, CancellationToken cancellationToken = default)
+    {
+        name = ValidateName(name);
+
+        if (config.ValueKind != JsonValueKind.Object)
+        {
+            throw new InvalidOperationException("Preset configuration must be a JSON object");
+        }
+
+        if (await NameExistsAsync(userEmail, name, null, cancellationToken))
+        {
+            throw new InvalidOperationException($"A preset named '{name}' already exists");
+        }
+
+        var preset = new CouncilPreset
+        {
+            UserEmail = userEmail,
+            Name = name,
+            ConfigJson = config.GetRawText()
+        };
+
+        _dbContext.CouncilPresets.Add(preset);
+        await _dbContext.SaveChangesAsync(cancellationToken);
+
+        _logger.LogInformation("Created council preset {PresetId} '{Name}' for user {UserEmail}", preset.Id, preset.Name, userEmail);
+        return preset;
+    }
+
+    public async Task<CouncilPreset?> RenamePresetAsync(string userEmail, int id, string name, CancellationToken cancellationToken = default)
+    {
+        name = ValidateName(name);
+
+        var preset = await _dbContext.CouncilPresets
+            .FirstOrDefaultAsync(p => p.Id == id && p.UserEmail == userEmail, cancellationToken);
+        if (preset == null)
+        {
+            return null;
+        }
+
+        if (await NameExistsAsync(userEmail, name, id, cancellationToken))
+        {
+            throw new InvalidOperationException($"A preset named '{name}' already exists");
+        }
+
+        preset.Name = name;
+        preset.UpdatedAt = DateTime.UtcNow;
+        await _dbContext.SaveChangesAsync(cancellationToken);
+
+        return preset;
+    }
+
+    public async Task<CouncilPreset?> DuplicatePresetAsync(string userEmail, int id, CancellationToken cancellationToken = default)
+    {
+        var source = await _dbContext.CouncilPresets
+            .AsNoTracking()
+            .FirstOrDefaultAsync(p => p.Id == id && p.UserEmail == userEmail, cancellationToken);
+        if (source == null)
+        {
+            return null;
+        }
+
+        // Find the first free "Copy of ..." name
+        var baseName = $"Copy of {source.Name}";
+        var name = WithSuffix(baseName, string.Empty);
+        for (var suffix = 2; await NameExistsAsync(userEmail, name, null, cancellationToken); suffix++)
+        {
+            name = WithSuffix(baseName, $" ({suffix})");
+        }
+
+        var copy = new CouncilPreset
+        {
+            UserEmail = userEmail,
+            Name = name,
+            ConfigJson = source.ConfigJson
+        };
+
+        _dbContext.CouncilPresets.Add(copy);
+        await _dbContext.SaveChangesAsync(cancellationToken);
+
+        return copy;
+    }
+
+    public async Task<bool> DeletePresetAsync(string userEmail, int id, CancellationToken cancellationToken = default)
+    {
+        var preset = await _dbContext.CouncilPresets
+            .FirstOrDefaultAsync(p => p.Id == id && p.UserEmail == userEmail, cancellationToken);
+        if (preset == null)
+        {
+            return false;
+        }
+
+        _dbContext.CouncilPresets.Remove(preset);
+        await _dbContext.SaveChangesAsync(cancellationToken);
+
+        _logger.LogInformation("Deleted council preset {PresetId} for user {UserEmail}", id, userEmail);
+        return true;
+    }
+
+    private static string ValidateName(string? name)
+    {
+        var trimmed = name?.Trim() ?? string.Empty;
+        if (string.IsNullOrEmpty(trimmed))
+        {
+            throw new InvalidOperationException("Preset name is required");
+        }
+
+        if (trimmed.Length > MaxNameLength)
+        {
+            throw new InvalidOperationException($"Preset name cannot exceed {MaxNameLength} characters");
+        }
+
+        return trimmed;
+    }
+
+    // Shortens the name so that it still fits within the limit once the suffix is appended
+    private static string WithSuffix(string baseName, string suffix)
+    {
+        var maxBaseLength = MaxNameLength - suffix.Length;
+        var trimmedBase = baseName.Length > maxBaseLength ? baseName.Substring(0, maxBaseLength).TrimEnd() : baseName;
+        return trimmedBase + suffix;
+    }
+
+    private async Task<bool> NameExistsAsync(string userEmail, string name, int? excludeId, CancellationToken cancellationToken)
+    {
+        return await _dbContext.CouncilPresets
+            .AnyAsync(p => p.UserEmail == userEmail && p.Name == name && (excludeId == null || p.Id != excludeId), cancellationToken);
+    }
+}
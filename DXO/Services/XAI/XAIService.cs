@@ -183,12 +183,7 @@ public class XAIService : IXAIService
 
         if (root.TryGetProperty("usage", out var usage))
         {
-            response.Usage = new UsageInfo
-            {
-                PromptTokens = usage.TryGetProperty("prompt_tokens", out var promptTokens) ? promptTokens.GetInt32() : 0,
-                CompletionTokens = usage.TryGetProperty("completion_tokens", out var completionTokens) ? completionTokens.GetInt32() : 0,
-                TotalTokens = usage.TryGetProperty("total_tokens", out var totalTokens) ? totalTokens.GetInt32() : 0
-            };
+            response.Usage = ParseUsage(usage);
             _logger.LogInformation("[XAI] Usage - Prompt: {Prompt}, Completion: {Completion}, Total: {Total}", 
                 response.Usage.PromptTokens, response.Usage.CompletionTokens, response.Usage.TotalTokens);
         }
@@ -238,7 +233,8 @@ public class XAIService : IXAIService
             temperature = request.Temperature,
             max_tokens = request.MaxTokens,
             top_p = request.TopP,
-            stream = true
+            stream = true,
+            stream_options = new { include_usage = true }
         };
 
         var jsonContent = JsonSerializer.Serialize(requestBody, new JsonSerializerOptions { WriteIndented = true });
@@ -327,6 +323,19 @@ public class XAIService : IXAIService
                         }
                     }
                 }
+
+                // Usage is reported on the final chunk when stream_options.include_usage is set
+                if (root.TryGetProperty("usage", out var usage) && usage.ValueKind == JsonValueKind.Object)
+                {
+                    chunk ??= new ChatCompletionChunk
+                    {
+                        Id = root.TryGetProperty("id", out var usageIdProp) ? usageIdProp.GetString() ?? string.Empty : string.Empty,
+                        Model = request.Model
+                    };
+                    chunk.Usage = ParseUsage(usage);
+                    _logger.LogInformation("[XAI] Streaming usage - Prompt: {Prompt}, Completion: {Completion}",
+                        chunk.Usage.PromptTokens, chunk.Usage.CompletionTokens);
+                }
             }
             catch (JsonException ex)
             {
@@ -341,6 +350,16 @@ public class XAIService : IXAIService
 
         _logger.LogInformation("[XAI] Streaming completed with {ChunkCount} chunks", chunkCount);
     }
+
+    private static UsageInfo ParseUsage(JsonElement usage)
+    {
+        return new UsageInfo
+        {
+            PromptTokens = usage.TryGetProperty("prompt_tokens", out var promptTokens) ? promptTokens.GetInt32() : 0,
+            CompletionTokens = usage.TryGetProperty("completion_tokens", out var completionTokens) ? completionTokens.GetInt32() : 0,
+            TotalTokens = usage.TryGetProperty("total_tokens", out var totalTokens) ? totalTokens.GetInt32() : 0
+        };
+    }
 }
 
 /// <summary>
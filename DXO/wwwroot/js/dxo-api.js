@@ -0,0 +1,236 @@
+/* AI Decision Council - API client for the session, model and configuration endpoints */
+
+(function () {
+    'use strict';
+
+    const DEFAULT_TIMEOUT_MS = 30000;
+    const GET_RETRIES = 2;
+    const RETRY_BASE_DELAY_MS = 500;
+    const MAX_RETRY_DELAY_MS = 8000;
+
+    // Statuses where the same request may succeed once the server or the rate limit recovers
+    const RETRYABLE_STATUS = new Set([408, 429, 502, 503, 504]);
+
+    const STATUS_MESSAGES = {
+        401: 'Your sign-in has expired. Refresh the page to sign in again.',
+        403: 'You do not have access to this resource.',
+        429: 'Too many requests. Wait a moment and try again.'
+    };
+
+    /**
+     * A failed API call. `code` says how it failed: 'http' (the server answered with an error status),
+     * 'network' (no response), 'timeout' or 'aborted' (cancelled through the caller's signal).
+     */
+    class ApiError extends Error {
+        constructor(message, { status = 0, code = 'http', details = null } = {}) {
+            super(message);
+            this.name = 'ApiError';
+            this.status = status;
+            this.code = code;
+            this.details = details;
+        }
+
+        get isAborted() {
+            return this.code === 'aborted';
+        }
+    }
+
+    // Pull a readable message out of an { error } body or an RFC 7807 problem-details body
+    function messageFromBody(body) {
+        if (!body || typeof body !== 'object') return null;
+        if (typeof body.error === 'string' && body.error) return body.error;
+
+        // Validation problems list their messages per field
+        const fieldErrors = body.errors && typeof body.errors === 'object'
+            ? Object.values(body.errors).flat().filter(e => typeof e === 'string')
+            : [];
+        if (fieldErrors.length > 0) return fieldErrors.join(' ');
+
+        return body.detail || body.title || null;
+    }
+
+    async function readError(response, fallbackMessage) {
+        let details = null;
+        try {
+            const text = await response.text();
+            details = text ? JSON.parse(text) : null;
+        } catch {
+            // Not JSON (an HTML error page or plain text), fall back to the status message
+        }
+
+        const message = messageFromBody(details) || STATUS_MESSAGES[response.status] || fallbackMessage;
+        return new ApiError(message, { status: response.status, details });
+    }
+
+    async function readBody(response) {
+        if (response.status === 204) return null;
+
+        const text = await response.text();
+        if (!text) return null;
+
+        const contentType = response.headers.get('Content-Type') || '';
+        return contentType.includes('json') ? JSON.parse(text) : text;
+    }
+
+    // Honour Retry-After when the server sends it, otherwise back off exponentially with jitter
+    function retryDelay(response, attempt) {
+        const retryAfter = Number(response?.headers.get('Retry-After'));
+        const delay = retryAfter > 0
+            ? retryAfter * 1000
+            : RETRY_BASE_DELAY_MS * 2 ** attempt + Math.random() * RETRY_BASE_DELAY_MS;
+        return Math.min(delay, MAX_RETRY_DELAY_MS);
+    }
+
+    function wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new ApiError('Request cancelled', { code: 'aborted' }));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    // One attempt, aborted by either the caller's signal or the timeout
+    async function send(method, url, body, signal, timeout) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            const options = { method, signal: controller.signal };
+            if (body instanceof FormData) {
+                // The browser sets the multipart Content-Type with its boundary
+                options.body = body;
+            } else if (body !== undefined) {
+                options.headers = { 'Content-Type': 'application/json' };
+                options.body = JSON.stringify(body);
+            }
+            return await fetch(url, options);
+        } catch (error) {
+            if (signal?.aborted) {
+                throw new ApiError('Request cancelled', { code: 'aborted' });
+            }
+            if (timedOut) {
+                throw new ApiError('The server took too long to respond. Please try again.', { code: 'timeout' });
+            }
+            throw new ApiError('Could not reach the server. Check your connection and try again.', { code: 'network' });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Send a request and return the parsed response body.
+     * GETs are retried with backoff on network errors, timeouts and retryable statuses; other methods
+     * are sent once, since repeating them could apply a change twice.
+     * @param {string} method - HTTP method
+     * @param {string} url - Request URL
+     * @param {Object} [options]
+     * @param {*} [options.body] - Sent as JSON when present, or as multipart form data when it is a FormData
+     * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+     * @param {number} [options.timeout] - Per-attempt timeout in milliseconds
+     * @param {number} [options.retries] - Retries for a GET, ignored for other methods
+     * @param {string} [options.errorMessage] - Message used when the server does not explain the failure
+     * @returns {Promise<*>} - Parsed JSON, text, or null for an empty body
+     * @throws {ApiError}
+     */
+    async function request(method, url, options = {}) {
+        const {
+            body,
+            signal,
+            timeout = DEFAULT_TIMEOUT_MS,
+            retries = GET_RETRIES,
+            errorMessage = 'Request failed'
+        } = options;
+        const maxAttempts = method === 'GET' ? retries + 1 : 1;
+
+        if (signal?.aborted) {
+            throw new ApiError('Request cancelled', { code: 'aborted' });
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            const canRetry = attempt + 1 < maxAttempts;
+            let response;
+            try {
+                response = await send(method, url, body, signal, timeout);
+            } catch (error) {
+                if (error.isAborted || !canRetry) throw error;
+                await wait(retryDelay(null, attempt), signal);
+                continue;
+            }
+
+            if (response.ok) {
+                try {
+                    return await readBody(response);
+                } catch {
+                    throw new ApiError('The server sent a response that could not be read', { status: response.status });
+                }
+            }
+
+            if (!canRetry || !RETRYABLE_STATUS.has(response.status)) {
+                throw await readError(response, errorMessage);
+            }
+            await wait(retryDelay(response, attempt), signal);
+        }
+    }
+
+    const get = (url, options) => request('GET', url, options);
+    const post = (url, body, options) => request('POST', url, { ...options, body });
+    const put = (url, body, options) => request('PUT', url, { ...options, body });
+    const del = (url, options) => request('DELETE', url, options);
+
+    const sessionUrl = id => `/api/session/${encodeURIComponent(id)}`;
+
+    const session = {
+        create: (body, options) => post('/api/session/create', body, { errorMessage: 'Failed to create session', ...options }),
+        get: (id, options) => get(sessionUrl(id), { errorMessage: 'Session not found', ...options }),
+        list: (params, options) => get(`/api/sessions?${new URLSearchParams(params)}`, { errorMessage: 'Failed to load sessions', ...options }),
+        remove: (id, options) => del(sessionUrl(id), { errorMessage: 'Failed to delete session', ...options }),
+        start: (id, options) => post(`${sessionUrl(id)}/start`, undefined, { errorMessage: 'Failed to start session', ...options }),
+        step: (id, options) => post(`${sessionUrl(id)}/step`, undefined, { errorMessage: 'Failed to step session', ...options }),
+        stop: (id, options) => post(`${sessionUrl(id)}/stop`, undefined, { errorMessage: 'Failed to stop session', ...options }),
+        resetMemory: (id, persona, options) => post(`${sessionUrl(id)}/reset-memory/${encodeURIComponent(persona)}`, undefined,
+            { errorMessage: 'Failed to reset memory', ...options }),
+        feedbackRounds: (id, options) => get(`${sessionUrl(id)}/feedback-rounds`, { errorMessage: 'Failed to load feedback history', ...options }),
+        submitFeedback: (id, body, options) => post(`${sessionUrl(id)}/feedback`, body, { errorMessage: 'Failed to submit feedback', ...options }),
+        iterateWithFeedback: (id, body, options) => post(`${sessionUrl(id)}/iterate-with-feedback`, body,
+            { errorMessage: 'Failed to submit feedback', ...options }),
+        fork: (id, body, options) => post(`${sessionUrl(id)}/fork`, body, { errorMessage: 'Failed to fork session', ...options }),
+        lineage: (id, options) => get(`${sessionUrl(id)}/lineage`, { errorMessage: 'Failed to load session lineage', ...options })
+    };
+
+    const models = {
+        list: options => get('/api/models', { errorMessage: 'Failed to load models', ...options }),
+        status: options => get('/api/models/status', { errorMessage: 'Failed to fetch model status', ...options }),
+        add: (body, options) => post('/api/models', body, { errorMessage: 'Failed to save model', ...options }),
+        update: (id, body, options) => put(`/api/models/${encodeURIComponent(id)}`, body, { errorMessage: 'Failed to save model', ...options }),
+        updatePricing: (id, body, options) => put(`/api/models/${encodeURIComponent(id)}/pricing`, body,
+            { errorMessage: 'Failed to save prices', ...options }),
+        remove: (id, options) => del(`/api/models/${encodeURIComponent(id)}`, { errorMessage: 'Failed to delete model', ...options })
+    };
+
+    const config = {
+        get: options => get('/api/config', { errorMessage: 'Failed to load configuration', ...options })
+    };
+
+    const attachments = {
+        extract: (file, options) => {
+            const form = new FormData();
+            form.append('file', file);
+            return post('/api/attachments/extract', form, { errorMessage: `Failed to read ${file.name}`, timeout: 120000, ...options });
+        }
+    };
+
+    window.DxoApi = { ApiError, request, get, post, put, del, session, models, config, attachments };
+})();
@@ -0,0 +1,485 @@
+/* AI Decision Council - Document Export (standalone HTML, print report, DOCX) */
+
+(function () {
+    'use strict';
+
+    /*
+     * Report shape shared by all builders:
+     * {
+     *   title, subtitle,
+     *   metadata: [[label, value], ...],
+     *   council: { creator: { model, temperature }, reviewers: [{ name, model, temperature }] } | null,
+     *   approvals: { reviewers: [name], rows: [{ iteration, approvals: { name: bool }, allApproved }] } | null,
+     *   finalOutput: markdown string,
+     *   transcript: [{ iteration, persona, timestamp, content }] | null
+     * }
+     */
+
+    function escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Exported documents embed model output too, so they use the same sanitizing pipeline as the page
+    function markdownToHtml(markdown) {
+        if (!markdown) return '';
+        if (typeof DxoMarkdown !== 'undefined') {
+            return DxoMarkdown.toHtml(markdown);
+        }
+        return `<pre>${escapeHtml(markdown)}</pre>`;
+    }
+
+    function approvalLabel(value) {
+        if (value === undefined) return '—';
+        return value ? '✓ Approved' : '✗ Changes requested';
+    }
+
+    // #region HTML
+
+    const reportStyles = `
+        body { font-family: 'Inter', -apple-system, 'Segoe UI', Roboto, sans-serif; color: #0f172a; background: #f8fafc; margin: 0; line-height: 1.6; }
+        .report { max-width: 900px; margin: 0 auto; padding: 3rem 2.5rem; background: #ffffff; }
+        header { border-bottom: 3px solid #6366f1; padding-bottom: 1rem; margin-bottom: 2rem; }
+        header h1 { margin: 0 0 0.25rem; font-size: 2rem; }
+        header p { margin: 0; color: #475569; }
+        h2 { font-size: 1.375rem; margin: 2.5rem 0 1rem; padding-bottom: 0.375rem; border-bottom: 1px solid #e2e8f0; }
+        h3 { font-size: 1.125rem; margin: 1.75rem 0 0.75rem; }
+        table { border-collapse: collapse; width: 100%; margin: 0.75rem 0 1.25rem; font-size: 0.9375rem; }
+        th, td { border: 1px solid #e2e8f0; padding: 0.5rem 0.75rem; text-align: left; vertical-align: top; }
+        th { background: #f1f5f9; font-weight: 600; }
+        .meta th { width: 30%; }
+        .approved { color: #047857; font-weight: 600; }
+        .rejected { color: #b91c1c; }
+        .content pre, .message pre { background: #f1f5f9; padding: 0.75rem 1rem; border-radius: 6px; overflow-x: auto; }
+        .content code, .message code { font-family: 'SF Mono', 'Monaco', 'Menlo', monospace; font-size: 0.875em; }
+        .hljs-keyword, .hljs-built_in, .hljs-literal { color: #7c3aed; } .hljs-string, .hljs-attr { color: #047857; }
+        .hljs-comment { color: #64748b; font-style: italic; } .hljs-number, .hljs-type { color: #b45309; } .hljs-title, .hljs-function { color: #2563eb; }
+        .content blockquote, .message blockquote { margin: 0; padding-left: 1rem; border-left: 3px solid #cbd5e1; color: #475569; }
+        .message { border: 1px solid #e2e8f0; border-radius: 8px; padding: 0.75rem 1.25rem; margin: 0 0 1rem; }
+        .message-header { display: flex; justify-content: space-between; font-weight: 600; color: #4f46e5; border-bottom: 1px solid #f1f5f9; padding-bottom: 0.375rem; }
+        .message-header span:last-child { font-weight: 400; color: #94a3b8; font-size: 0.875rem; }
+        footer { margin-top: 3rem; color: #94a3b8; font-size: 0.8125rem; text-align: center; }
+    `;
+
+    const printStyles = `
+        body { background: #ffffff; }
+        .report { max-width: none; padding: 0; }
+        @page { margin: 2cm; }
+        @media print {
+            h2 { page-break-after: avoid; }
+            h2.page-start { page-break-before: always; }
+            .message, table, pre { page-break-inside: avoid; }
+            a { color: inherit; text-decoration: none; }
+        }
+    `;
+
+    function renderMetadataHtml(metadata) {
+        const rows = metadata
+            .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+            .join('');
+        return `<table class="meta">${rows}</table>`;
+    }
+
+    function renderCouncilHtml(council) {
+        const rows = [
+            `<tr><td>Creator</td><td>${escapeHtml(council.creator.model)}</td><td>${escapeHtml(council.creator.temperature)}</td></tr>`,
+            ...council.reviewers.map(r =>
+                `<tr><td>${escapeHtml(r.name)}</td><td>${escapeHtml(r.model)}</td><td>${escapeHtml(r.temperature)}</td></tr>`)
+        ].join('');
+        return `<table><thead><tr><th>Agent</th><th>Model</th><th>Temperature</th></tr></thead><tbody>${rows}</tbody></table>`;
+    }
+
+    function renderApprovalsHtml(approvals) {
+        const header = ['Iteration', ...approvals.reviewers, 'All approved']
+            .map(label => `<th>${escapeHtml(label)}</th>`)
+            .join('');
+        const rows = approvals.rows.map(row => {
+            const cells = approvals.reviewers.map(name => {
+                const value = row.approvals[name];
+                const cls = value === undefined ? '' : (value ? 'approved' : 'rejected');
+                return `<td class="${cls}">${escapeHtml(approvalLabel(value))}</td>`;
+            }).join('');
+            return `<tr><td>${row.iteration}</td>${cells}<td class="${row.allApproved ? 'approved' : ''}">${row.allApproved ? 'Yes' : 'No'}</td></tr>`;
+        }).join('');
+        return `<table><thead><tr>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+    }
+
+    function renderTranscriptHtml(transcript) {
+        let html = '';
+        let lastIteration = null;
+        transcript.forEach(message => {
+            if (message.iteration !== lastIteration) {
+                html += `<h3>Iteration ${escapeHtml(message.iteration)}</h3>`;
+                lastIteration = message.iteration;
+            }
+            html += `
+                <div class="message">
+                    <div class="message-header"><span>${escapeHtml(message.persona)}</span><span>${escapeHtml(message.timestamp)}</span></div>
+                    ${markdownToHtml(message.content)}
+                </div>`;
+        });
+        return html;
+    }
+
+    /**
+     * Build a self-contained HTML document for a report
+     * @param {Object} report - See report shape above
+     * @param {boolean} print - Use print-optimized layout (page breaks, no background)
+     * @returns {string} HTML document
+     */
+    function buildHtml(report, print = false) {
+        let body = '';
+
+        if (report.metadata?.length) {
+            body += `<h2>Session Details</h2>${renderMetadataHtml(report.metadata)}`;
+        }
+        if (report.council) {
+            body += `<h2>Council Configuration</h2>${renderCouncilHtml(report.council)}`;
+        }
+        if (report.approvals?.rows.length) {
+            body += `<h2>Approval Status by Iteration</h2>${renderApprovalsHtml(report.approvals)}`;
+        }
+        if (report.finalOutput) {
+            const heading = report.transcript ? '<h2 class="page-start">Final Output</h2>' : '';
+            body += `${heading}<div class="content">${markdownToHtml(report.finalOutput)}</div>`;
+        }
+        if (report.transcript?.length) {
+            body += `<h2 class="page-start">Transcript</h2>${renderTranscriptHtml(report.transcript)}`;
+        }
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeHtml(report.title)}</title>
+<style>${reportStyles}${print ? printStyles : ''}</style>
+</head>
+<body>
+<div class="report">
+<header><h1>${escapeHtml(report.title)}</h1>${report.subtitle ? `<p>${escapeHtml(report.subtitle)}</p>` : ''}</header>
+${body}
+<footer>Generated by AI Decision Council</footer>
+</div>
+</body>
+</html>`;
+    }
+
+    // #endregion
+
+    // #region DOCX
+
+    function escapeXml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            // Strip control characters that are invalid in XML
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    }
+
+    function run(text, format = {}) {
+        const props = [
+            format.bold ? '<w:b/>' : '',
+            format.italic ? '<w:i/>' : '',
+            format.strike ? '<w:strike/>' : '',
+            format.code ? '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas"/>' : '',
+            format.color ? `<w:color w:val="${format.color}"/>` : ''
+        ].join('');
+        const lines = String(text).split('\n');
+        return lines.map((line, i) =>
+            `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${i > 0 ? '<w:br/>' : ''}<w:t xml:space="preserve">${escapeXml(line)}</w:t></w:r>`
+        ).join('');
+    }
+
+    function paragraph(runs, style = null, extraProps = '') {
+        const pPr = style || extraProps ? `<w:pPr>${style ? `<w:pStyle w:val="${style}"/>` : ''}${extraProps}</w:pPr>` : '';
+        return `<w:p>${pPr}${runs}</w:p>`;
+    }
+
+    // Convert marked inline tokens to runs
+    function inlineRuns(tokens, format = {}) {
+        if (!tokens) return '';
+        return tokens.map(token => {
+            switch (token.type) {
+                case 'strong':
+                    return inlineRuns(token.tokens, { ...format, bold: true });
+                case 'em':
+                    return inlineRuns(token.tokens, { ...format, italic: true });
+                case 'del':
+                    return inlineRuns(token.tokens, { ...format, strike: true });
+                case 'codespan':
+                    return run(decodeEntities(token.text), { ...format, code: true });
+                case 'br':
+                    return '<w:r><w:br/></w:r>';
+                case 'link':
+                    return inlineRuns(token.tokens, { ...format, color: '4F46E5' });
+                default:
+                    return token.tokens
+                        ? inlineRuns(token.tokens, format)
+                        : run(decodeEntities(token.text ?? token.raw ?? ''), format);
+            }
+        }).join('');
+    }
+
+    // marked escapes entities in token text; Word needs the literal characters
+    function decodeEntities(text) {
+        return String(text)
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    function table(headerCells, rows) {
+        const cell = (content, header) =>
+            `<w:tc><w:tcPr>${header ? '<w:shd w:val="clear" w:color="auto" w:fill="F1F5F9"/>' : ''}</w:tcPr>${paragraph(content)}</w:tc>`;
+        const headerRow = `<w:tr>${headerCells.map(c => cell(c, true)).join('')}</w:tr>`;
+        const bodyRows = rows.map(r => `<w:tr>${r.map(c => cell(c, false)).join('')}</w:tr>`).join('');
+        return `<w:tbl><w:tblPr><w:tblStyle w:val="ReportTable"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr>${headerRow}${bodyRows}</w:tbl>${paragraph('')}`;
+    }
+
+    // Convert markdown block tokens to WordprocessingML
+    function markdownToDocx(markdown) {
+        if (!markdown) return '';
+        if (typeof marked === 'undefined') {
+            return paragraph(run(markdown));
+        }
+
+        const renderBlocks = (tokens, listDepth = 0) => tokens.map(token => {
+            switch (token.type) {
+                case 'heading':
+                    return paragraph(inlineRuns(token.tokens), `Heading${Math.min(token.depth, 3)}`);
+                case 'paragraph':
+                case 'text':
+                    return paragraph(token.tokens ? inlineRuns(token.tokens) : run(decodeEntities(token.text)));
+                case 'code':
+                    return paragraph(run(token.text, { code: true }), 'CodeBlock');
+                case 'blockquote':
+                    return token.tokens.map(t =>
+                        paragraph(t.tokens ? inlineRuns(t.tokens) : run(decodeEntities(t.text ?? '')), 'Quote')).join('');
+                case 'list':
+                    return token.items.map((item, index) => {
+                        const marker = token.ordered ? `${(token.start || 1) + index}.` : '•';
+                        const indent = `<w:ind w:left="${360 * (listDepth + 1)}" w:hanging="360"/>`;
+                        const [first, ...rest] = item.tokens;
+                        const firstRuns = first?.tokens ? inlineRuns(first.tokens) : run(decodeEntities(first?.text ?? ''));
+                        const nested = rest.map(t => t.type === 'list' ? renderBlocks([t], listDepth + 1) : renderBlocks([t], listDepth)).join('');
+                        return paragraph(run(`${marker}\t`) + firstRuns, null, indent) + nested;
+                    }).join('');
+                case 'table':
+                    return table(
+                        token.header.map(c => inlineRuns(c.tokens, { bold: true })),
+                        token.rows.map(row => row.map(c => inlineRuns(c.tokens)))
+                    );
+                case 'hr':
+                    return paragraph('', null, '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="CBD5E1"/></w:pBdr>');
+                case 'space':
+                    return '';
+                default:
+                    return token.text ? paragraph(run(decodeEntities(token.text))) : '';
+            }
+        }).join('');
+
+        return renderBlocks(marked.lexer(markdown));
+    }
+
+    function buildDocumentXml(report) {
+        let body = paragraph(run(report.title), 'Title');
+        if (report.subtitle) {
+            body += paragraph(run(report.subtitle, { color: '475569' }));
+        }
+
+        if (report.metadata?.length) {
+            body += paragraph(run('Session Details'), 'Heading1');
+            body += table(
+                [run('Field', { bold: true }), run('Value', { bold: true })],
+                report.metadata.map(([label, value]) => [run(label), run(value ?? '')])
+            );
+        }
+
+        if (report.council) {
+            body += paragraph(run('Council Configuration'), 'Heading1');
+            body += table(
+                ['Agent', 'Model', 'Temperature'].map(h => run(h, { bold: true })),
+                [
+                    [run('Creator'), run(report.council.creator.model ?? ''), run(report.council.creator.temperature ?? '')],
+                    ...report.council.reviewers.map(r => [run(r.name), run(r.model ?? ''), run(r.temperature ?? '')])
+                ]
+            );
+        }
+
+        if (report.approvals?.rows.length) {
+            body += paragraph(run('Approval Status by Iteration'), 'Heading1');
+            body += table(
+                ['Iteration', ...report.approvals.reviewers, 'All approved'].map(h => run(h, { bold: true })),
+                report.approvals.rows.map(row => [
+                    run(row.iteration),
+                    ...report.approvals.reviewers.map(name => {
+                        const value = row.approvals[name];
+                        return run(approvalLabel(value), { color: value === undefined ? null : (value ? '047857' : 'B91C1C') });
+                    }),
+                    run(row.allApproved ? 'Yes' : 'No', { bold: row.allApproved })
+                ])
+            );
+        }
+
+        if (report.finalOutput) {
+            if (report.transcript) {
+                body += paragraph(run('Final Output'), 'Heading1', '<w:pageBreakBefore/>');
+            }
+            body += markdownToDocx(report.finalOutput);
+        }
+
+        if (report.transcript?.length) {
+            body += paragraph(run('Transcript'), 'Heading1', '<w:pageBreakBefore/>');
+            let lastIteration = null;
+            report.transcript.forEach(message => {
+                if (message.iteration !== lastIteration) {
+                    body += paragraph(run(`Iteration ${message.iteration}`), 'Heading2');
+                    lastIteration = message.iteration;
+                }
+                body += paragraph(run(message.persona, { bold: true, color: '4F46E5' }) + run(`  ${message.timestamp}`, { color: '94A3B8' }));
+                body += markdownToDocx(message.content);
+            });
+        }
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body>
+</w:document>`;
+    }
+
+    const stylesXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="240"/><w:pBdr><w:bottom w:val="single" w:sz="12" w:space="4" w:color="6366F1"/></w:pBdr></w:pPr><w:rPr><w:b/><w:sz w:val="48"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="32"/><w:color w:val="0F172A"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="28"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="200" w:after="80"/><w:outlineLvl w:val="2"/></w:pPr><w:rPr><w:b/><w:sz w:val="24"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="CodeBlock"><w:name w:val="Code Block"/><w:basedOn w:val="Normal"/><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F1F5F9"/><w:spacing w:after="120" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas"/><w:sz w:val="18"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:left="567"/><w:pBdr><w:left w:val="single" w:sz="12" w:space="8" w:color="CBD5E1"/></w:pBdr></w:pPr><w:rPr><w:i/><w:color w:val="475569"/></w:rPr></w:style>
+<w:style w:type="table" w:styleId="ReportTable"><w:name w:val="Report Table"/><w:tblPr><w:tblBorders><w:top w:val="single" w:sz="4" w:color="E2E8F0"/><w:left w:val="single" w:sz="4" w:color="E2E8F0"/><w:bottom w:val="single" w:sz="4" w:color="E2E8F0"/><w:right w:val="single" w:sz="4" w:color="E2E8F0"/><w:insideH w:val="single" w:sz="4" w:color="E2E8F0"/><w:insideV w:val="single" w:sz="4" w:color="E2E8F0"/></w:tblBorders><w:tblCellMar><w:left w:w="100" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+
+    const contentTypesXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+</Types>`;
+
+    const packageRelsXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`;
+
+    const documentRelsXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+    // #endregion
+
+    // #region ZIP (stored, uncompressed - enough for a DOCX container)
+
+    const crcTable = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    function buildZip(files) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        files.forEach(({ name, content }) => {
+            const nameBytes = encoder.encode(name);
+            const data = encoder.encode(content);
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true); // Local file header signature
+            local.setUint16(4, 20, true);         // Version needed
+            local.setUint16(6, 0x0800, true);     // UTF-8 file names
+            local.setUint16(8, 0, true);          // Stored
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true); // Central directory signature
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+            centralDirectory.push(new Uint8Array(central.buffer), nameBytes);
+
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const centralSize = centralDirectory.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true); // End of central directory signature
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...chunks, ...centralDirectory, new Uint8Array(end.buffer)], {
+            type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+        });
+    }
+
+    // #endregion
+
+    /**
+     * Build a DOCX document for a report
+     * @param {Object} report - See report shape above
+     * @returns {Blob} DOCX file
+     */
+    function buildDocx(report) {
+        return buildZip([
+            { name: '[Content_Types].xml', content: contentTypesXml },
+            { name: '_rels/.rels', content: packageRelsXml },
+            { name: 'word/_rels/document.xml.rels', content: documentRelsXml },
+            { name: 'word/styles.xml', content: stylesXml },
+            { name: 'word/document.xml', content: buildDocumentXml(report) }
+        ]);
+    }
+
+    window.DxoExport = { buildHtml, buildDocx };
+})();
@@ -0,0 +1,123 @@
+/* AI Decision Council - Shared markdown rendering (marked + DOMPurify + highlight.js) */
+
+(function () {
+    'use strict';
+
+    /*
+     * Model output is untrusted: a prompt-injected draft can contain raw HTML, so everything that
+     * turns markdown into HTML goes through toHtml(), which sanitizes against an allowlist.
+     * Images are deliberately not allowed, since a remote image URL can leak data to a third party.
+     */
+    const ALLOWED_TAGS = [
+        'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'strong', 'em', 'del', 's', 'code', 'pre', 'blockquote', 'span',
+        'ul', 'ol', 'li', 'input', 'a', 'sup', 'sub',
+        'table', 'thead', 'tbody', 'tr', 'th', 'td'
+    ];
+    const ALLOWED_ATTR = ['href', 'title', 'class', 'start', 'align', 'type', 'checked', 'disabled'];
+    const ALLOWED_URI_REGEXP = /^(?:https?:|mailto:|#)/i;
+
+    // Only highlight.js and language classes survive sanitization
+    const ALLOWED_CLASS = /^(?:hljs(?:-[\w-]+)?|language-[\w-]+|[a-z]+_)$/;
+
+    function escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Highlight fenced code blocks that name a known language; returning false keeps marked's default output
+    function renderCode(code, infostring) {
+        const language = (infostring || '').trim().split(/\s+/)[0].toLowerCase();
+        if (typeof hljs === 'undefined' || !language || !hljs.getLanguage(language)) {
+            return false;
+        }
+
+        try {
+            const highlighted = hljs.highlight(code, { language, ignoreIllegals: true }).value;
+            return `<pre><code class="hljs language-${escapeHtml(language)}">${highlighted}</code></pre>\n`;
+        } catch (e) {
+            console.error('Code highlighting error:', e);
+            return false;
+        }
+    }
+
+    let parser = null;
+    let purifier = null;
+
+    // Created on first use so script load order within the page doesn't matter
+    function getParser() {
+        if (!parser && typeof marked !== 'undefined') {
+            // A dedicated instance keeps these options out of the global marked used elsewhere
+            parser = new marked.Marked({ gfm: true, renderer: { code: renderCode } });
+        }
+        return parser;
+    }
+
+    function getPurifier() {
+        if (!purifier && typeof DOMPurify !== 'undefined') {
+            purifier = DOMPurify(window);
+
+            purifier.addHook('uponSanitizeAttribute', (node, data) => {
+                if (data.attrName === 'class') {
+                    data.attrValue = data.attrValue.split(/\s+/).filter(c => ALLOWED_CLASS.test(c)).join(' ');
+                    data.keepAttr = data.attrValue.length > 0;
+                }
+            });
+
+            purifier.addHook('afterSanitizeAttributes', (node) => {
+                if (node.tagName === 'A' && node.hasAttribute('href') && !node.getAttribute('href').startsWith('#')) {
+                    node.setAttribute('target', '_blank');
+                    node.setAttribute('rel', 'noopener noreferrer');
+                }
+
+                // Task list items are the only inputs markdown produces
+                if (node.tagName === 'INPUT') {
+                    node.setAttribute('type', 'checkbox');
+                    node.setAttribute('disabled', '');
+                }
+            });
+        }
+        return purifier;
+    }
+
+    /**
+     * Convert markdown to sanitized HTML. Falls back to escaped text when a library is missing or parsing fails.
+     * @param {string} markdown - Markdown or plain text
+     * @returns {string} - HTML safe to assign to innerHTML
+     */
+    function toHtml(markdown) {
+        if (!markdown) return '';
+
+        const markdownParser = getParser();
+        const sanitizer = getPurifier();
+        if (!markdownParser || !sanitizer) {
+            return escapeHtml(markdown);
+        }
+
+        try {
+            return sanitizer.sanitize(markdownParser.parse(markdown), {
+                ALLOWED_TAGS,
+                ALLOWED_ATTR,
+                ALLOWED_URI_REGEXP,
+                ALLOW_DATA_ATTR: false
+            });
+        } catch (e) {
+            console.error('Markdown parse error:', e);
+            return escapeHtml(markdown);
+        }
+    }
+
+    /**
+     * Render markdown into a container
+     * @param {HTMLElement} container - Target element
+     * @param {string} markdown - Markdown or plain text
+     */
+    function render(container, markdown) {
+        container.innerHTML = toHtml(markdown);
+    }
+
+    window.DxoMarkdown = { toHtml, render };
+})();
@@ -1,13 +1,23 @@
 // DXO - Creator-Reviewer Orchestration JavaScript
 
+const SHORTCUTS_KEY = 'dxo-shortcuts'; // localStorage key for keyboard shortcut overrides
+const APPROVAL_PATTERN = /(?<!not\s*)(?<!no\s+)(?<!never\s+)@@SIGNED OFF@@/i; // Fallback for messages saved without a parsed verdict
+const REVIEWER_CATEGORIES = { HardVeto: 'Hard veto', Standard: 'Standard', Optional: 'Optional' }; // Mirrors the ReviewerCategory enum
+const VERDICT_MODES = { Keyword: 'Keyword', Regex: 'Regex', Json: 'JSON' }; // Mirrors the VerdictMode enum
+const PROMPT_VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g; // {{name}} placeholders, mirrors PromptVariables on the server
+const BUILT_IN_PROMPT_VARIABLES = ['topic', 'iteration', 'maxIterations', 'sessionName']; // Filled in by the server on each call
+const ATTACHMENT_KIND_ICONS = { markdown: '📝', text: '📄', json: '🧾', csv: '📊', code: '💻', pdf: '📕' }; // Kinds from SessionAttachments on the server
+
 class DXOApp {
     constructor() {
         this.connection = null;
         this.currentSessionId = null;
         this.config = null;
         this.messages = [];
+        this.sessionUsage = new Map(); // Token usage of the session's messages by message ID; kept when the trace is cleared
         this.isRunning = false;
-        this.currentStreamingMessage = null;
+        this.parallelReviewers = false; // Whether the current session's reviewers run concurrently (shown as lanes)
+        this.pendingFork = false; // The loaded session is a fork that has not been started yet
         this.reviewers = []; // Dynamic reviewers array
         this.reviewerCounter = 0; // Counter for generating unique IDs
         this.connectionState = 'disconnected'; // Track connection state
@@ -17,6 +27,35 @@ class DXOApp {
         this.timerStartTime = null; // Track when timer started
         this.timerInterval = null; // Track timer interval
         this.timerElapsedSeconds = 0; // Track total elapsed time
+        this.streamingMessages = new Map(); // Persona, iteration, last chunk sequence and streamed text per streaming message
+        this.streamFlushFrame = null; // Pending animation frame that renders buffered chunks
+        this.traceCards = new Map(); // Completed message cards and their placeholders, by message ID
+        this.traceWindowFrame = null; // Pending animation frame that updates which trace cards are in the DOM
+        this.traceFilter = { persona: '', from: null, to: null, verdict: '' }; // Interaction stream filters
+        this.traceSearch = { query: '', matches: [], index: -1 }; // Interaction stream search results
+        this.resyncPromise = null; // In-flight session resync after a reconnect or missed chunk
+        this.pendingStreamEvents = []; // Message events received while a resync is being applied
+        this.councilPresets = []; // Saved council presets for the current user
+        this.feedbackRounds = []; // Last loaded feedback rounds (used by the draft diff viewer)
+        this.draftDiffMode = 'side-by-side'; // Draft diff layout: 'side-by-side' or 'inline'
+        this.sessionLibrary = { page: 1, pageSize: 10, search: '', sortBy: 'updated', descending: true, totalCount: 0 }; // Session library query state
+        this.inlineComments = []; // Comments anchored to passages of the final output: { id, quote, start, comment }
+        this.pendingInlineComment = null; // Selected passage waiting for its comment text
+        this.editingInlineCommentId = null; // Comment open in the popover, null for a new one
+        this.shortcuts = {}; // Keyboard shortcut combo per command id
+        this.recordingShortcut = null; // Command id whose shortcut is being changed
+        this.commandPalette = { items: [], activeIndex: 0, templates: null, sessions: [], searchTimer: null, searchAbort: null }; // Command palette state
+        this.presence = null; // Participants of the current session and who controls it
+        this.presenceEmail = null; // This user's identity as the hub sees it
+        this.controlRequest = null; // Participant waiting for us to hand off control: { userEmail, displayName }
+        this.feedbackEditing = false; // Whether the other participants see us as editing feedback
+        this.feedbackEditingTimer = null; // Clears the editing indicator after a pause in typing
+        this.promptVariables = []; // User-defined prompt variables from Session Settings: [{ name, value }]
+        this.attachments = []; // Reference documents for the next session: [{ name, kind, content, characters, estimatedTokens }]
+        this.pendingAttachments = new Set(); // Names of files whose text is still being extracted
+        this.reviewerTemplatePrompts = null; // Reviewer template prompts by role, to spot reviewers that drifted from them
+        this.promptDiffMode = 'side-by-side'; // Prompt vs template diff layout: 'side-by-side' or 'inline'
+        this.promptDiffReviewerId = null; // Reviewer shown in the prompt diff modal
 
         this.init();
     }
@@ -41,7 +80,8 @@ class DXOApp {
         // Cache DOM elements after toast container is created
         this.cacheDOMElements();
 
-        this.addDefaultReviewer(); // Add one default reviewer
+        this.defaultReviewerReady = this.addDefaultReviewer(); // Add one default reviewer
+        this.loadReviewerTemplatePrompts(); // Non-blocking: drift badges appear once the templates arrive
 
         // Setup scroll buttons (floating top/bottom controls)
         this.setupScrollButtons();
@@ -101,12 +141,7 @@ class DXOApp {
         if (!statusIndicator) return;
 
         try {
-            const response = await fetch('/api/models/status');
-            if (!response.ok) {
-                throw new Error('Failed to fetch model status');
-            }
-
-            const status = await response.json();
+            const status = await DxoApi.models.status();
             
             // Update the status indicator based on the response
             if (status.configured === 0) {
@@ -160,8 +195,7 @@ class DXOApp {
             // Modal elements
             exportModal: document.getElementById('exportModal'),
             exportModalTitle: document.getElementById('exportModalTitle'),
-            btnExportOption1: document.getElementById('btnExportOption1'),
-            btnExportOption2: document.getElementById('btnExportOption2'),
+            exportOptions: document.getElementById('exportOptions'),
             feedbackModal: document.getElementById('feedbackModal'),
 
             // Viewer elements
@@ -180,7 +214,8 @@ class DXOApp {
             reviewerCardsContainer: document.getElementById('reviewerCardsContainer'),
             
             // Timer element
-            sessionTimer: document.getElementById('sessionTimer')
+            sessionTimer: document.getElementById('sessionTimer'),
+            usageSummary: document.getElementById('usageSummary')
         };
     }
 
@@ -244,7 +279,7 @@ class DXOApp {
     }
 
     /**
-     * Render markdown content to a container, with fallback to plain text
+     * Render markdown content to a container through the shared sanitizing pipeline
      * @param {HTMLElement} container - Target container element
      * @param {string} content - Markdown or plain text content
      * @returns {boolean} - Success status
@@ -255,24 +290,17 @@ class DXOApp {
             return false;
         }
 
-        if (!content) {
-            container.textContent = '';
-            return true;
-        }
+        DxoMarkdown.render(container, content);
+        return true;
+    }
 
-        if (typeof marked !== 'undefined') {
-            try {
-                container.innerHTML = marked.parse(content);
-                return true;
-            } catch (e) {
-                console.error('Markdown parse error:', e);
-                container.textContent = content;
-                return false;
-            }
-        } else {
-            container.textContent = content;
-            return true;
-        }
+    /**
+     * Convert markdown to sanitized HTML (see dxo-markdown.js)
+     * @param {string} content - Markdown or plain text content
+     * @returns {string} - HTML string
+     */
+    markdownToHtml(content) {
+        return DxoMarkdown.toHtml(content);
     }
 
     /**
@@ -288,12 +316,12 @@ class DXOApp {
     // Load configuration from server
     async loadConfig() {
         try {
-            const response = await fetch('/api/config');
-            this.config = await response.json();
+            this.config = await DxoApi.config.get();
             this.populateModelDropdowns();
+            this.renderAttachments();
         } catch (error) {
             console.error('Failed to load config:', error);
-            this.showToast('Failed to load configuration', 'error');
+            this.showToast(error.message, 'error');
         }
     }
 
@@ -370,7 +398,8 @@ If and only if the draft is publication-ready from your perspective, include the
             if (customReviewer && customReviewer.prompt) {
                 // Format the prompt by replacing \n with actual line breaks
                 const formattedPrompt = customReviewer.prompt.replace(/\\n/g, '\n');
-                this.addReviewer(customReviewer.role, formattedPrompt);
+                const reviewerId = this.addReviewer(customReviewer.role, formattedPrompt);
+                this.setReviewerCategory(reviewerId, this.toReviewerCategory(customReviewer.category));
             } else {
                 // Fallback to default prompt if Custom Reviewer not found
                 console.warn('Custom Reviewer not found in agentconfigurations.json, using fallback');
@@ -383,10 +412,10 @@ If and only if the draft is publication-ready from your perspective, include the
         }
     }
 
-    // Add a new reviewer
-    addReviewer(name = null, prompt = null) {
+    // Add a new reviewer (pass an existing ID to keep trace messages mapped when restoring)
+    addReviewer(name = null, prompt = null, id = null, templateRole = null) {
         this.reviewerCounter++;
-        const reviewerId = `reviewer-${Date.now()}-${this.reviewerCounter}`;
+        const reviewerId = id || `reviewer-${Date.now()}-${this.reviewerCounter}`;
         const reviewerNumber = this.reviewers.length + 1;
         const reviewerName = name || `Reviewer ${reviewerNumber}`;
         const reviewerPrompt = prompt || this.getDefaultReviewerPrompt(reviewerNumber);
@@ -395,7 +424,11 @@ If and only if the draft is publication-ready from your perspective, include the
         const reviewer = {
             id: reviewerId,
             name: reviewerName,
-            prompt: reviewerPrompt
+            prompt: reviewerPrompt,
+            colorIndex: this.getFreeReviewerColorIndex(), // Kept when the reviewer is reordered
+            templateRole: templateRole || reviewerName, // Template the prompt came from; renaming the reviewer keeps it
+            promptHistory: { versions: [reviewerPrompt], index: 0, timer: null }, // Undo/redo stack of prompt texts
+            promptSnapshots: [] // Named snapshots: [{ name, text, savedAt }]
         };
         this.reviewers.push(reviewer);
 
@@ -419,12 +452,20 @@ If and only if the draft is publication-ready from your perspective, include the
         // Setup event listeners for this card
         this.setupReviewerCardListeners(reviewerId);
 
-        // Apply dynamic color based on reviewer index
+        // Apply the reviewer's color
         this.updateReviewerColors();
 
         return reviewerId;
     }
 
+    // Lowest color slot not taken by another reviewer
+    getFreeReviewerColorIndex() {
+        const used = new Set(this.reviewers.map(r => r.colorIndex));
+        let index = 0;
+        while (used.has(index)) index++;
+        return index;
+    }
+
     // Setup event listeners for a reviewer card
     setupReviewerCardListeners(reviewerId) {
         const card = document.querySelector(`[data-reviewer-id="${reviewerId}"]`);
@@ -456,10 +497,118 @@ If and only if the draft is publication-ready from your perspective, include the
             this.handleReviewerModelChange(reviewerId);
         });
 
+        // Category change
+        card.querySelector('.reviewer-category').addEventListener('change', (e) => {
+            this.setReviewerCategory(reviewerId, e.target.value);
+        });
+
+        // Prompt preview
+        this.setupPromptPreview(card, card.querySelector('.reviewer-prompt'));
+
+        // Prompt history, snapshots and the diff against the reviewer's template
+        const promptTextarea = card.querySelector('.reviewer-prompt');
+        promptTextarea.addEventListener('input', () => this.onReviewerPromptInput(reviewerId));
+        promptTextarea.addEventListener('blur', () => this.commitReviewerPromptVersion(reviewerId));
+        card.querySelector('.btn-prompt-undo').addEventListener('click', () => this.stepReviewerPromptHistory(reviewerId, -1));
+        card.querySelector('.btn-prompt-redo').addEventListener('click', () => this.stepReviewerPromptHistory(reviewerId, 1));
+        card.querySelector('.btn-prompt-snapshot').addEventListener('click', () => this.saveReviewerPromptSnapshot(reviewerId));
+        card.querySelector('.prompt-snapshot-select').addEventListener('change', (e) => {
+            if (e.target.value !== '') this.restoreReviewerPromptSnapshot(reviewerId, parseInt(e.target.value));
+            e.target.value = '';
+        });
+        card.querySelector('.btn-prompt-diff').addEventListener('click', () => this.showPromptDiff(reviewerId));
+        card.querySelector('.reviewer-drift-badge').addEventListener('click', () => this.showPromptDiff(reviewerId));
+        this.updatePromptHistoryControls(reviewerId);
+
+        // Verdict mode change
+        card.querySelector('.reviewer-verdict-mode').addEventListener('change', (e) => {
+            this.setReviewerVerdictMode(reviewerId, e.target.value);
+        });
+
+        // Enable/disable toggle
+        card.querySelector('.reviewer-enabled').addEventListener('change', (e) => {
+            this.setReviewerEnabled(reviewerId, e.target.checked);
+        });
+
+        // Reordering: the card is only draggable while its handle is held, so text in its inputs stays selectable
+        const handle = card.querySelector('.reviewer-drag-handle');
+        handle.addEventListener('mousedown', () => { card.draggable = true; });
+        handle.addEventListener('mouseup', () => { card.draggable = false; });
+        handle.addEventListener('keydown', (e) => {
+            if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+                e.preventDefault();
+                this.moveReviewer(reviewerId, e.key === 'ArrowUp' ? -1 : 1);
+                handle.focus();
+            }
+        });
+        card.addEventListener('dragstart', (e) => {
+            card.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', reviewerId);
+        });
+        card.addEventListener('dragend', () => {
+            card.draggable = false;
+            card.classList.remove('dragging');
+            this.syncReviewerOrder();
+        });
+
         // Initial state check for penalty fields
         this.handleReviewerModelChange(reviewerId);
     }
 
+    // Include or leave out a reviewer from runs without deleting its card
+    setReviewerEnabled(reviewerId, enabled) {
+        const card = document.querySelector(`[data-reviewer-id="${reviewerId}"]`);
+        if (!card) return;
+
+        card.querySelector('.reviewer-enabled').checked = enabled;
+        card.classList.toggle('reviewer-disabled', !enabled);
+    }
+
+    // Move the dragged reviewer card to where the pointer is
+    onReviewerDragOver(e) {
+        const container = document.getElementById('reviewerCardsContainer');
+        const dragging = container.querySelector('.persona-card.dragging');
+        if (!dragging) return;
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+
+        // Insert before the first card whose vertical midpoint is below the pointer
+        const next = [...container.querySelectorAll('.persona-card:not(.dragging)')].find(card => {
+            const rect = card.getBoundingClientRect();
+            return e.clientY < rect.top + rect.height / 2;
+        });
+
+        if (next) {
+            if (dragging.nextElementSibling !== next) container.insertBefore(dragging, next);
+        } else if (container.lastElementChild !== dragging) {
+            container.appendChild(dragging);
+        }
+    }
+
+    // Move a reviewer one place up (-1) or down (1)
+    moveReviewer(reviewerId, direction) {
+        const card = document.querySelector(`#reviewerCardsContainer [data-reviewer-id="${reviewerId}"]`);
+        if (!card) return;
+
+        const sibling = direction < 0 ? card.previousElementSibling : card.nextElementSibling;
+        if (!sibling) return;
+
+        if (direction < 0) {
+            sibling.before(card);
+        } else {
+            sibling.after(card);
+        }
+        this.syncReviewerOrder();
+    }
+
+    // Reviewers critique in card order, so keep this.reviewers in the same order as the DOM
+    syncReviewerOrder() {
+        const order = [...document.querySelectorAll('#reviewerCardsContainer .persona-card')].map(card => card.dataset.reviewerId);
+        this.reviewers.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+    }
+
     // Delete a reviewer
     deleteReviewer(reviewerId) {
         // Don't allow deleting if only one reviewer remains
@@ -491,6 +640,52 @@ If and only if the draft is publication-ready from your perspective, include the
         }
     }
 
+    // Set a reviewer's category and refresh the badge in the card header
+    setReviewerCategory(reviewerId, category) {
+        const card = document.querySelector(`[data-reviewer-id="${reviewerId}"]`);
+        if (!card) return;
+
+        const value = REVIEWER_CATEGORIES[category] ? category : 'Standard';
+        card.querySelector('.reviewer-category').value = value;
+
+        const badge = card.querySelector('.reviewer-category-badge');
+        badge.textContent = REVIEWER_CATEGORIES[value];
+        badge.className = `reviewer-category-badge category-${value.toLowerCase()}`;
+    }
+
+    // Map a template category from agentconfigurations.json ("Hard-Veto") to a ReviewerCategory value ("HardVeto")
+    toReviewerCategory(templateCategory) {
+        return (templateCategory || '').replace(/-/g, '');
+    }
+
+    /**
+     * Set how a reviewer's approval is read and show the matching marker or pattern field
+     * @param {string} reviewerId - Reviewer card to update
+     * @param {string} mode - Keyword, Regex or Json
+     * @param {string} [pattern] - Marker or regex to fill in; the current value is kept when omitted
+     */
+    setReviewerVerdictMode(reviewerId, mode, pattern) {
+        const card = document.querySelector(`[data-reviewer-id="${reviewerId}"]`);
+        if (!card) return;
+
+        const value = VERDICT_MODES[mode] ? mode : 'Keyword';
+        card.querySelector('.reviewer-verdict-mode').value = value;
+
+        const input = card.querySelector('.reviewer-verdict-pattern');
+        if (pattern !== undefined) {
+            input.value = pattern || '';
+        }
+        input.hidden = value === 'Json';
+        input.placeholder = value === 'Regex' ? 'e.g. ^VERDICT:\\s*APPROVED$' : '@@SIGNED OFF@@';
+
+        const hints = {
+            Keyword: 'Approves when the marker appears, unless "not", "no" or "never" comes before it. Leave empty for @@SIGNED OFF@@.',
+            Regex: 'Approves when the pattern matches anywhere in the review. Case-insensitive; ^ and $ match at line breaks.',
+            Json: 'The reviewer ends with {"verdict": "approve|revise", "blocking_issues": [...]}. A missing or invalid block counts as not approved.'
+        };
+        card.querySelector('.reviewer-verdict-hint').textContent = hints[value];
+    }
+
     // Reset reviewer memory
     async resetReviewerMemory(reviewerId) {
         if (!this.currentSessionId) {
@@ -503,19 +698,134 @@ If and only if the draft is publication-ready from your perspective, include the
         this.showToast(`Memory reset requested for reviewer`, 'info');
     }
 
-    // Update reviewer card colors based on their index
+    // Apply saved model and sampling settings to a reviewer card
+    applyReviewerConfig(reviewerId, config) {
+        const card = document.querySelector(`[data-reviewer-id="${reviewerId}"]`);
+        if (!card) return;
+
+        this.setModelSelectValue(card.querySelector('.reviewer-model'), config.model);
+        card.querySelector('.reviewer-temp').value = config.temperature ?? 0.5;
+        card.querySelector('.reviewer-max-tokens').value = config.maxTokens ?? 4096;
+        card.querySelector('.reviewer-top-p').value = config.topP ?? 1.0;
+        card.querySelector('.reviewer-presence-penalty').value = config.presencePenalty ?? 0;
+        card.querySelector('.reviewer-frequency-penalty').value = config.frequencyPenalty ?? 0;
+        this.setReviewerCategory(reviewerId, config.category);
+        this.setReviewerVerdictMode(reviewerId, config.verdictMode, config.verdictPattern);
+        this.setReviewerEnabled(reviewerId, config.enabled ?? true);
+
+        this.handleReviewerModelChange(reviewerId);
+    }
+
+    // Select a model in a dropdown, adding it if it is no longer in the allowed list
+    setModelSelectValue(selectElement, model) {
+        if (!selectElement || !model) return;
+
+        const exists = Array.from(selectElement.options).some(option => option.value === model);
+        if (!exists) {
+            selectElement.add(new Option(model, model));
+        }
+
+        selectElement.value = model;
+    }
+
+    /**
+     * Apply a council configuration to the creator panel and reviewer cards
+     * @param {Object} config - Same shape as buildSessionRequest()
+     * @param {boolean} keepReviewerIds - Reuse stored reviewer IDs so trace messages stay mapped
+     */
+    async applyCouncilConfig(config, keepReviewerIds = false) {
+        if (config.creatorRootPrompt !== undefined) {
+            this.dom.creatorPrompt.value = config.creatorRootPrompt || '';
+            this.setModelSelectValue(this.dom.creatorModel, config.creatorModel);
+            this.dom.creatorTemp.value = config.creatorTemperature ?? 0.7;
+            this.dom.creatorMaxTokens.value = config.creatorMaxTokens ?? 4096;
+            this.dom.creatorTopP.value = config.creatorTopP ?? 1.0;
+            this.dom.creatorPresencePenalty.value = config.creatorPresencePenalty ?? 0;
+            this.dom.creatorFrequencyPenalty.value = config.creatorFrequencyPenalty ?? 0;
+            this.handleCreatorModelChange();
+        }
+
+        if (Array.isArray(config.reviewers) && config.reviewers.length > 0) {
+            // Wait for the default reviewer so it cannot land after the applied council
+            await this.defaultReviewerReady;
+
+            this.reviewers = [];
+            this.dom.reviewerCardsContainer.innerHTML = '';
+
+            config.reviewers.forEach(reviewer => {
+                const reviewerId = this.addReviewer(reviewer.name, reviewer.rootPrompt, keepReviewerIds ? reviewer.id : null, reviewer.templateRole);
+                this.applyReviewerConfig(reviewerId, reviewer);
+                if (Array.isArray(reviewer.promptSnapshots)) {
+                    this.reviewers.find(r => r.id === reviewerId).promptSnapshots = reviewer.promptSnapshots;
+                    this.updatePromptHistoryControls(reviewerId);
+                }
+            });
+        }
+
+        this.refreshPromptPreviews();
+    }
+
+    // Rebuild the creator panel and reviewer cards from a saved session
+    async restorePersonaConfigs(session) {
+        let creatorConfig = null;
+        let reviewerConfigs = [];
+
+        try {
+            // Configs are stored server-side with PascalCase property names
+            creatorConfig = session.creatorConfigJson ? JSON.parse(session.creatorConfigJson) : null;
+            reviewerConfigs = session.reviewersConfigJson ? JSON.parse(session.reviewersConfigJson) : [];
+        } catch (error) {
+            console.error('Failed to parse session persona configuration:', error);
+            this.showToast('Could not restore council configuration', 'warning');
+            return;
+        }
+
+        const config = {
+            reviewers: reviewerConfigs.map(r => ({
+                id: r.Id,
+                name: r.Name,
+                rootPrompt: r.RootPrompt,
+                category: r.Category,
+                verdictMode: r.VerdictMode,
+                verdictPattern: r.VerdictPattern,
+                model: r.Model,
+                temperature: r.Temperature,
+                maxTokens: r.MaxOutputTokens,
+                topP: r.TopP,
+                presencePenalty: r.PresencePenalty,
+                frequencyPenalty: r.FrequencyPenalty
+            }))
+        };
+
+        if (creatorConfig) {
+            Object.assign(config, {
+                creatorRootPrompt: creatorConfig.RootPrompt,
+                creatorModel: creatorConfig.Model,
+                creatorTemperature: creatorConfig.Temperature,
+                creatorMaxTokens: creatorConfig.MaxOutputTokens,
+                creatorTopP: creatorConfig.TopP,
+                creatorPresencePenalty: creatorConfig.PresencePenalty,
+                creatorFrequencyPenalty: creatorConfig.FrequencyPenalty
+            });
+        }
+
+        await this.applyCouncilConfig(config, true);
+    }
+
+    // Update reviewer card colors based on each reviewer's color slot
     // Uses CSS classes (reviewer1, reviewer2, etc.) instead of inline styles
     // All colors are defined in theme CSS files (theme-dark.css, theme-light.css)
     updateReviewerColors() {
         const colorClasses = ['reviewer1', 'reviewer2', 'reviewer3', 'reviewer4', 'reviewer5'];
 
         const cards = document.querySelectorAll('#reviewerCardsContainer .persona-card');
-        cards.forEach((card, index) => {
+        cards.forEach(card => {
             // Remove any existing reviewer color classes
             colorClasses.forEach(cls => card.classList.remove(cls));
 
-            // Add the appropriate class based on index
-            const colorClass = colorClasses[index % colorClasses.length];
+            // Add the class for the reviewer's slot, which doesn't change when cards are reordered
+            const reviewer = this.reviewers.find(r => r.id === card.dataset.reviewerId);
+            const colorClass = colorClasses[(reviewer?.colorIndex ?? 0) % colorClasses.length];
             card.classList.add(colorClass);
         });
     }
@@ -602,8 +912,11 @@ Authoring rules:
             // Rejoin session group if we have an active session
             if (this.currentSessionId) {
                 try {
-                    await this.connection.invoke('JoinSession', this.currentSessionId);
+                    await this.joinSessionGroup(this.currentSessionId);
                     console.log('Rejoined session group:', this.currentSessionId);
+
+                    // Recover anything streamed while we were disconnected
+                    await this.resyncSession();
                 } catch (error) {
                     console.error('Failed to rejoin session:', error);
                     this.showToast('Failed to rejoin session', 'error');
@@ -651,11 +964,8 @@ Authoring rules:
             this.isRunning = false;
             this.stopTimer();
 
-            // Populate hidden textarea for copy/download/forms
-            this.dom.finalOutput.value = finalContent;
-
-            // Render Markdown in the new container using utility method
-            this.renderMarkdown(this.dom.finalOutputContainer, finalContent);
+            // Populate hidden textarea for copy/download/forms and render it
+            this.renderFinalOutput(finalContent);
 
             // Update UI state AFTER setting finalOutput so download button is enabled
             this.updateUIState();
@@ -688,16 +998,21 @@ Authoring rules:
         });
 
         // Message events
+        // Held back while a resync is applied so they land on the rebuilt trace
         this.connection.on('MessageStarted', (sessionId, messageId, persona, iteration) => {
-            this.startStreamingMessage(messageId, persona, iteration);
+            this.handleStreamEvent(() => this.startStreamingMessage(messageId, persona, iteration));
+        });
+
+        this.connection.on('MessageChunk', (sessionId, messageId, content, sequence) => {
+            this.handleStreamEvent(() => this.receiveMessageChunk(messageId, content, sequence));
         });
 
-        this.connection.on('MessageChunk', (sessionId, messageId, content) => {
-            this.appendToStreamingMessage(messageId, content);
+        this.connection.on('MessageCompleted', (sessionId, messageId, fullContent, usage) => {
+            this.handleStreamEvent(() => this.completeStreamingMessage(messageId, fullContent, usage));
         });
 
-        this.connection.on('MessageCompleted', (sessionId, messageId, fullContent) => {
-            this.completeStreamingMessage(messageId, fullContent);
+        this.connection.on('ReviewerVerdictParsed', (sessionId, messageId, verdict) => {
+            this.handleStreamEvent(() => this.applyReviewerVerdict(messageId, verdict));
         });
 
         // Memory events
@@ -705,6 +1020,19 @@ Authoring rules:
             this.showToast(`${persona} memory reset`, 'info');
         });
 
+        // Presence events
+        this.connection.on('PresenceUpdated', (sessionId, presence) => {
+            if (sessionId === this.currentSessionId) this.renderPresence(presence);
+        });
+
+        this.connection.on('ControlRequested', (sessionId, userEmail, displayName) => {
+            if (sessionId === this.currentSessionId) this.showControlRequest(userEmail, displayName);
+        });
+
+        this.connection.on('ControlRequestDeclined', (sessionId, displayName) => {
+            this.showToast(`${displayName} is keeping control of this session`, 'info');
+        });
+
     }
 
     /**
@@ -784,9 +1112,86 @@ Authoring rules:
         // Session Settings gear button
         document.getElementById('btnSessionSettings').addEventListener('click', () => this.openSessionSettings());
 
+        // Quorum rule only asks for N when hard-veto reviewers plus N others must approve
+        document.getElementById('quorumRule').addEventListener('change', (e) => this.setQuorumRule(e.target.value));
+
+        // Prompt variables, and the settings that feed the built-in ones, keep open prompt previews current
+        document.getElementById('btnAddPromptVariable').addEventListener('click', () => this.addPromptVariable());
+        ['sessionTopic', 'sessionName', 'maxIterations'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.refreshPromptPreviews());
+        });
+        this.setupPromptPreview(document.querySelector('.persona-card.creator'), document.getElementById('creatorPrompt'));
+
+        // Reference documents, picked or dropped onto the topic section
+        document.getElementById('btnAttachDocuments').addEventListener('click', () => document.getElementById('attachmentInput').click());
+        document.getElementById('attachmentInput').addEventListener('change', (e) => {
+            this.addAttachmentFiles([...e.target.files]);
+            e.target.value = '';
+        });
+        const topicSection = document.querySelector('.topic-section');
+        topicSection.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            topicSection.classList.add('drag-over');
+        });
+        topicSection.addEventListener('dragleave', (e) => {
+            if (!topicSection.contains(e.relatedTarget)) topicSection.classList.remove('drag-over');
+        });
+        topicSection.addEventListener('drop', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            topicSection.classList.remove('drag-over');
+            this.addAttachmentFiles([...e.dataTransfer.files]);
+        });
+
         // View Interactions button
         document.getElementById('btnViewInteractions').addEventListener('click', () => this.openInteractionStream());
 
+        // Session Library button and controls
+        document.getElementById('btnSessionLibrary').addEventListener('click', () => this.openSessionLibrary());
+        document.getElementById('usageSummary').addEventListener('click', () => this.showUsageBreakdown());
+        document.getElementById('sessionLibrarySearch').addEventListener('input', (e) => {
+            // Debounce searches while typing
+            if (this._sessionLibrarySearchTimer) clearTimeout(this._sessionLibrarySearchTimer);
+            this._sessionLibrarySearchTimer = setTimeout(() => {
+                this.sessionLibrary.search = e.target.value.trim();
+                this.sessionLibrary.page = 1;
+                this.loadSessionLibrary();
+            }, 300);
+        });
+        document.getElementById('sessionLibrarySort').addEventListener('change', (e) => {
+            const [sortBy, direction] = e.target.value.split(':');
+            this.sessionLibrary.sortBy = sortBy;
+            this.sessionLibrary.descending = direction === 'desc';
+            this.sessionLibrary.page = 1;
+            this.loadSessionLibrary();
+        });
+        document.getElementById('btnSessionLibraryPrev').addEventListener('click', () => {
+            if (this.sessionLibrary.page > 1) {
+                this.sessionLibrary.page--;
+                this.loadSessionLibrary();
+            }
+        });
+        document.getElementById('btnSessionLibraryNext').addEventListener('click', () => {
+            this.sessionLibrary.page++;
+            this.loadSessionLibrary();
+        });
+
+        // Council presets
+        document.getElementById('btnCouncilPresets').addEventListener('click', () => this.openCouncilPresets());
+        document.getElementById('btnSaveCouncilPreset').addEventListener('click', () => this.saveCouncilPreset());
+        document.getElementById('councilPresetName').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.saveCouncilPreset();
+        });
+        document.getElementById('btnImportCouncilPreset').addEventListener('click', () => {
+            document.getElementById('councilPresetImportFile').click();
+        });
+        document.getElementById('councilPresetImportFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow importing the same file again
+            if (file) this.importCouncilPreset(file);
+        });
+
         // Action buttons
         document.getElementById('btnStart').addEventListener('click', () => this.startSession());
         document.getElementById('btnStep').addEventListener('click', () => this.stepSession());
@@ -797,11 +1202,19 @@ Authoring rules:
         // Memory reset buttons
         document.getElementById('btnResetCreator').addEventListener('click', () => this.resetPersonaMemory('Creator'));
 
+        // Creator Templates button - open the creator template gallery
+        document.getElementById('btnCreatorTemplates').addEventListener('click', () => this.openCreatorSelector());
+
         // Add Reviewer button - open selector flyout
         document.getElementById('btnAddReviewer').addEventListener('click', () => {
             this.openReviewerSelector();
         });
 
+        // Drag-and-drop reordering of reviewer cards
+        const reviewerCardsContainer = document.getElementById('reviewerCardsContainer');
+        reviewerCardsContainer.addEventListener('dragover', (e) => this.onReviewerDragOver(e));
+        reviewerCardsContainer.addEventListener('drop', (e) => e.preventDefault());
+
         // Configure with AI button
         const btnConfigureWithAI = document.getElementById('btnConfigureWithAI');
         if (btnConfigureWithAI) {
@@ -814,6 +1227,44 @@ Authoring rules:
         document.getElementById('btnCopyOutput').addEventListener('click', () => this.copyOutput());
         document.getElementById('btnDownloadOutput').addEventListener('click', () => this.showExportModal('finalOutput'));
 
+        // Inline comments on the final output
+        const finalOutputContainer = document.getElementById('finalOutputContainer');
+        finalOutputContainer.addEventListener('mouseup', () => this.onFinalOutputSelection());
+        finalOutputContainer.addEventListener('keyup', () => this.onFinalOutputSelection());
+        finalOutputContainer.addEventListener('click', (e) => {
+            const anchor = e.target.closest('.inline-comment-anchor');
+            if (anchor && window.getSelection().isCollapsed) {
+                this.openInlineCommentPopover(anchor.getBoundingClientRect(), anchor.dataset.commentId);
+            }
+        });
+        document.getElementById('btnAddInlineComment').addEventListener('mousedown', (e) => e.preventDefault()); // Keep the selection
+        document.getElementById('btnAddInlineComment').addEventListener('click', (e) => {
+            this.openInlineCommentPopover(e.currentTarget.getBoundingClientRect());
+        });
+        document.getElementById('btnSaveInlineComment').addEventListener('click', () => this.saveInlineComment());
+        document.getElementById('btnCancelInlineComment').addEventListener('click', () => this.closeInlineCommentPopover());
+        document.getElementById('btnDeleteInlineComment').addEventListener('click', () => this.deleteInlineComment());
+        document.getElementById('inlineCommentText').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) this.saveInlineComment();
+            if (e.key === 'Escape') this.closeInlineCommentPopover();
+        });
+        window.addEventListener('scroll', () => {
+            document.getElementById('btnAddInlineComment').hidden = true;
+        }, { passive: true });
+
+        // Let other participants see while feedback is being written
+        ['feedbackComments', 'inlineCommentText'].forEach(id => {
+            const input = document.getElementById(id);
+            input.addEventListener('input', () => this.noteFeedbackEditing());
+            input.addEventListener('blur', () => this.setFeedbackEditing(false));
+        });
+
+        // Presence and control
+        document.getElementById('btnRequestControl').addEventListener('click', () => this.requestControl());
+        document.getElementById('btnReleaseControl').addEventListener('click', () => this.releaseControl());
+        document.getElementById('btnAcceptControlRequest').addEventListener('click', () => this.respondToControlRequest(true));
+        document.getElementById('btnDeclineControlRequest').addEventListener('click', () => this.respondToControlRequest(false));
+
         // Feedback button
         document.getElementById('btnIterateWithFeedback').addEventListener('click', () => this.openFeedbackModal());
         document.getElementById('btnSubmitFeedback').addEventListener('click', () => this.submitIterationFeedback());
@@ -840,108 +1291,579 @@ Authoring rules:
             btnToggleErrorDetails.addEventListener('click', () => this.toggleErrorDetails());
         }
 
-        // Export modal buttons
-        document.getElementById('btnExportOption1').addEventListener('click', () => this.handleExportOption1());
-        document.getElementById('btnExportOption2').addEventListener('click', () => this.handleExportOption2());
+        // Export modal format buttons
+        document.getElementById('exportOptions').addEventListener('click', (e) => {
+            const option = e.target.closest('.export-option');
+            if (option) {
+                this.handleExport(this.exportContext === 'transcript' ? 'transcript' : 'output', option.dataset.format);
+            }
+        });
 
         // Clear trace button
         document.getElementById('btnClearTrace').addEventListener('click', () => this.clearTrace());
+        document.getElementById('traceLanes').addEventListener('change', (e) => this.setTraceLanes(e.target.checked));
+
+        // Trace virtualization follows the scroll position and size of the interactions lightbox
+        document.querySelector('#interactionStreamLightbox .lightbox-body').addEventListener('scroll', () => this.scheduleTraceWindowUpdate(), { passive: true });
+        window.addEventListener('resize', () => this.scheduleTraceWindowUpdate());
+
+        // Interaction stream filter bar
+        ['traceFilterPersona', 'traceFilterFrom', 'traceFilterTo', 'traceFilterVerdict'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.onTraceFilterChange());
+        });
+        document.getElementById('traceSearch').addEventListener('input', () => this.onTraceSearchInput());
+        document.getElementById('traceSearch').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.goToTraceMatch(e.shiftKey ? -1 : 1);
+            }
+        });
+        document.getElementById('btnTraceSearchPrev').addEventListener('click', () => this.goToTraceMatch(-1));
+        document.getElementById('btnTraceSearchNext').addEventListener('click', () => this.goToTraceMatch(1));
+        document.getElementById('btnResetTraceFilters').addEventListener('click', () => this.resetTraceFilters());
+
+        // Draft diff controls
+        document.getElementById('draftDiffFrom').addEventListener('change', () => this.renderDraftDiff());
+        document.getElementById('draftDiffTo').addEventListener('change', () => this.renderDraftDiff());
+        document.querySelectorAll('.draft-diff-mode').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.draftDiffMode = btn.dataset.mode;
+                document.querySelectorAll('.draft-diff-mode').forEach(b => b.classList.toggle('active', b === btn));
+                this.renderDraftDiff();
+            });
+        });
+
+        // Prompt vs template diff controls
+        document.querySelectorAll('.prompt-diff-mode').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.promptDiffMode = btn.dataset.mode;
+                document.querySelectorAll('.prompt-diff-mode').forEach(b => b.classList.toggle('active', b === btn));
+                this.renderPromptDiff();
+            });
+        });
+        document.getElementById('btnRevertPromptToTemplate').addEventListener('click', () => this.revertPromptToTemplate());
 
         // Max iterations change
         document.getElementById('maxIterations').addEventListener('change', (e) => {
             this.updateIterationCount(0);
         });
-    }
 
-    // --- Scroll FAB (Top / Bottom) handling ---
-    setupScrollButtons() {
-        // find or create buttons (Layout includes them, but guard if not)
-        this.scrollFab = document.getElementById('scrollFabContainer');
-        this.scrollTopBtn = document.getElementById('scrollTopBtn');
-        this.scrollBottomBtn = document.getElementById('scrollBottomBtn');
+        // Command palette and keyboard shortcuts
+        this.loadShortcuts();
+        document.addEventListener('keydown', (e) => this.handleShortcutKeydown(e));
+        document.getElementById('btnCommandPalette').addEventListener('click', () => this.openCommandPalette());
+        document.getElementById('commandPaletteInput').addEventListener('input', () => this.onCommandPaletteInput());
+        document.getElementById('commandPaletteInput').addEventListener('keydown', (e) => this.onCommandPaletteKeydown(e));
+        document.getElementById('commandPaletteList').addEventListener('click', (e) => {
+            const item = e.target.closest('.command-palette-item');
+            if (item) this.executePaletteItem(Number(item.dataset.index));
+        });
+        document.getElementById('commandPalette').addEventListener('click', (e) => {
+            if (e.target.id === 'commandPalette') this.closeCommandPalette();
+        });
+        document.getElementById('shortcutsList').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-command-id]');
+            if (btn) this.startRecordingShortcut(btn.dataset.commandId);
+        });
+    }
 
-        if (!this.scrollFab) {
-            // create container if missing
-            this.scrollFab = document.createElement('div');
-            this.scrollFab.id = 'scrollFabContainer';
-            this.scrollFab.className = 'scroll-fab';
-            document.body.appendChild(this.scrollFab);
-        }
+    // --- Command palette and keyboard shortcuts ---
 
-        if (!this.scrollTopBtn) {
-            this.scrollTopBtn = document.createElement('button');
-            this.scrollTopBtn.id = 'scrollTopBtn';
-            this.scrollTopBtn.className = 'scroll-fab-btn';
-            this.scrollTopBtn.title = 'Scroll to Top';
-            this.scrollTopBtn.innerText = '↑';
-            this.scrollFab.appendChild(this.scrollTopBtn);
-        }
+    // Default shortcut for each command id (overridden per browser via localStorage)
+    getDefaultShortcuts() {
+        return {
+            'palette.open': 'Ctrl+K',
+            'help.shortcuts': 'Shift+?',
+            'session.start': 'Alt+Enter',
+            'session.step': 'Alt+N',
+            'session.stop': 'Alt+X',
+            'council.addReviewer': 'Alt+R',
+            'export.transcript': 'Alt+E',
+            'view.feedbackHistory': 'Alt+H',
+            'session.library': 'Alt+L'
+        };
+    }
 
-        if (!this.scrollBottomBtn) {
-            this.scrollBottomBtn = document.createElement('button');
-            this.scrollBottomBtn.id = 'scrollBottomBtn';
-            this.scrollBottomBtn.className = 'scroll-fab-btn secondary';
-            this.scrollBottomBtn.title = 'Scroll to Bottom';
-            this.scrollBottomBtn.innerText = '↓';
-            this.scrollFab.appendChild(this.scrollBottomBtn);
+    // Load shortcut overrides and merge them over the defaults
+    loadShortcuts() {
+        let overrides = {};
+        try {
+            overrides = JSON.parse(localStorage.getItem(SHORTCUTS_KEY)) || {};
+        } catch {
+            overrides = {};
         }
+        this.shortcuts = { ...this.getDefaultShortcuts(), ...overrides };
+    }
 
-        // Click handlers
-        this.scrollTopBtn.addEventListener('click', (e) => {
-            e.preventDefault();
-            window.scrollTo({ top: 0, behavior: 'smooth' });
+    // Persist only the shortcuts that differ from the defaults
+    saveShortcuts() {
+        const defaults = this.getDefaultShortcuts();
+        const overrides = {};
+        Object.entries(this.shortcuts).forEach(([id, combo]) => {
+            if (defaults[id] !== combo) overrides[id] = combo;
         });
+        localStorage.setItem(SHORTCUTS_KEY, JSON.stringify(overrides));
+    }
 
-        this.scrollBottomBtn.addEventListener('click', (e) => {
-            e.preventDefault();
-            const bottom = document.documentElement.scrollHeight - window.innerHeight;
-            window.scrollTo({ top: bottom, behavior: 'smooth' });
-        });
+    // Build a normalized combo string ("Ctrl+Shift+K") from a keyboard event
+    getShortcutCombo(e) {
+        if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
+
+        // Prefer the physical key so Alt/Option combinations don't produce special characters
+        let key;
+        if (/^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+        else if (/^Digit[0-9]$/.test(e.code)) key = e.code.slice(5);
+        else if (e.key === ' ') key = 'Space';
+        else if (e.key.length === 1) key = e.key.toUpperCase();
+        else key = e.key;
+
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Ctrl'); // Treat Cmd as Ctrl on macOS
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey) parts.push('Shift');
+        parts.push(key);
+        return parts.join('+');
+    }
 
-        // Update visibility on scroll/resize and on load
-        this._scrollFabUpdateTimer = null;
-        const update = () => this.updateScrollFabVisibility();
-        window.addEventListener('scroll', () => {
-            // throttle updates
-            if (this._scrollFabUpdateTimer) clearTimeout(this._scrollFabUpdateTimer);
-            this._scrollFabUpdateTimer = setTimeout(update, 50);
-        }, { passive: true });
-        window.addEventListener('resize', update);
-        // initial state
-        update();
+    // Shortcut combo for display, e.g. "Ctrl+K" -> <kbd>Ctrl</kbd><kbd>K</kbd>
+    formatShortcut(combo) {
+        if (!combo) return '<span class="shortcut-none">—</span>';
+        return combo.split('+').map(part => `<kbd>${this.escapeHtml(part)}</kbd>`).join('');
     }
 
-    updateScrollFabVisibility() {
-        const threshold = 20;
-        const scrollY = window.scrollY || document.documentElement.scrollTop || 0;
-        const atTop = scrollY <= threshold;
-        const atBottom = (window.innerHeight + scrollY) >= (document.documentElement.scrollHeight - threshold);
+    // Whether a button-backed command is currently usable (mirrors the state set by updateUIState)
+    isButtonEnabled(id) {
+        const btn = document.getElementById(id);
+        return !!btn && !btn.disabled && btn.style.display !== 'none';
+    }
 
-        // If in middle: show both side-by-side
-        if (!atTop && !atBottom) {
-            this.showElement(this.scrollTopBtn);
-            this.showElement(this.scrollBottomBtn);
+    // Static commands available from the palette and keyboard shortcuts
+    getCommands() {
+        const hasTrace = this.messages.length > 0;
+        return [
+            { id: 'session.start', title: 'Start session', group: 'Session', enabled: () => this.isButtonEnabled('btnStart'), run: () => this.startSession() },
+            { id: 'session.step', title: 'Step one iteration', group: 'Session', enabled: () => this.isButtonEnabled('btnStep'), run: () => this.stepSession() },
+            { id: 'session.stop', title: 'Stop session', group: 'Session', enabled: () => this.isButtonEnabled('btnStop'), run: () => this.stopSession() },
+            { id: 'session.reset', title: 'Reset session', group: 'Session', enabled: () => !this.isRunning, run: () => this.resetSession() },
+            { id: 'session.settings', title: 'Open session settings', group: 'Session', enabled: () => this.isButtonEnabled('btnSessionSettings'), run: () => this.openSessionSettings() },
+            { id: 'session.library', title: 'Open session library', group: 'Session', enabled: () => true, run: () => this.openSessionLibrary() },
+            { id: 'session.feedback', title: 'Iterate with feedback', group: 'Session', enabled: () => this.isButtonEnabled('btnIterateWithFeedback'), run: () => this.openFeedbackModal() },
+            { id: 'council.addReviewer', title: 'Add reviewer…', group: 'Council', enabled: () => !this.isRunning, run: () => this.openReviewerSelector() },
+            { id: 'council.creatorTemplate', title: 'Choose Creator template…', group: 'Council', enabled: () => !this.isRunning, run: () => this.openCreatorSelector() },
+            { id: 'council.presets', title: 'Open council presets', group: 'Council', enabled: () => !this.isRunning, run: () => this.openCouncilPresets() },
+            { id: 'view.feedbackHistory', title: 'Show feedback history', group: 'View', enabled: () => true, run: () => this.openFeedbackHistory() },
+            { id: 'view.interactions', title: 'View agent interactions', group: 'View', enabled: () => true, run: () => this.openInteractionStream() },
+            { id: 'view.usage', title: 'Show token usage', group: 'View', enabled: () => true, run: () => this.showUsageBreakdown() },
+            { id: 'trace.clear', title: 'Clear trace', group: 'View', enabled: () => hasTrace && !this.isRunning, run: () => this.clearTrace() },
+            { id: 'export.transcript', title: 'Export transcript…', group: 'Export', enabled: () => hasTrace, run: () => this.showExportModal() },
+            { id: 'export.output', title: 'Export final output…', group: 'Export', enabled: () => this.isButtonEnabled('btnDownloadOutput'), run: () => this.showExportModal('finalOutput') },
+            { id: 'output.copy', title: 'Copy final output', group: 'Export', enabled: () => true, run: () => this.copyOutput() },
+            { id: 'palette.open', title: 'Open command palette', group: 'Help', enabled: () => true, run: () => this.openCommandPalette() },
+            { id: 'help.shortcuts', title: 'Show keyboard shortcuts', group: 'Help', enabled: () => true, run: () => this.openShortcutsHelp() }
+        ];
+    }
+
+    // Run a command, refusing (with a hint) when the current UI state disables it
+    runCommand(command) {
+        if (!command.enabled()) {
+            this.showToast(`"${command.title}" is not available right now`, 'warning');
             return;
         }
+        command.run();
+    }
 
-        // If at top -> show only "Scroll to Bottom" (per requirement clicking to top should turn into bottom)
-        if (atTop) {
-            this.hideElement(this.scrollTopBtn);
-            this.showElement(this.scrollBottomBtn);
+    // Expand the feedback history panel and bring it into view
+    openFeedbackHistory() {
+        const section = document.getElementById('feedbackHistorySection');
+        section.classList.remove('collapsed');
+        section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    // Global keydown handler for shortcuts
+    handleShortcutKeydown(e) {
+        if (this.recordingShortcut) {
+            this.recordShortcut(e);
             return;
         }
 
-        // If at bottom -> show only "Scroll to Top"
-        if (atBottom) {
-            this.showElement(this.scrollTopBtn);
-            this.hideElement(this.scrollBottomBtn);
+        const combo = this.getShortcutCombo(e);
+        if (!combo) return;
+
+        // Let plain typing through when focus is in an editable field
+        const target = e.target;
+        const isEditable = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+        if (isEditable && !combo.startsWith('Ctrl+') && !combo.startsWith('Alt+')) return;
+
+        const id = Object.keys(this.shortcuts).find(key => this.shortcuts[key] === combo);
+        if (!id) return;
+
+        const command = this.getCommands().find(c => c.id === id);
+        if (!command) return;
+
+        e.preventDefault();
+        if (id === 'palette.open' && !document.getElementById('commandPalette').classList.contains('hidden')) {
+            this.closeCommandPalette();
             return;
         }
+        this.runCommand(command);
     }
 
-    showElement(el) {
-        if (!el) return;
-        el.classList.remove('scroll-fab-hidden');
+    // Open the command palette
+    async openCommandPalette() {
+        const palette = document.getElementById('commandPalette');
+        const input = document.getElementById('commandPaletteInput');
+        palette.classList.remove('hidden');
+        input.value = '';
+        this.commandPalette.sessions = [];
+        this.commandPalette.activeIndex = 0;
+        this.renderCommandPalette();
+        input.focus();
+
+        // Reviewer templates are loaded once and reused for "Add reviewer" entries
+        if (!this.commandPalette.templates) {
+            try {
+                const response = await fetch('/agentconfigurations.json');
+                const config = await response.json();
+                this.commandPalette.templates = (config.agents?.reviewers || [])
+                    .slice()
+                    .sort((a, b) => a.role.localeCompare(b.role));
+                this.renderCommandPalette();
+            } catch (error) {
+                console.error('Failed to load reviewer templates for command palette:', error);
+            }
+        }
+    }
+
+    // Close the command palette
+    closeCommandPalette() {
+        document.getElementById('commandPalette').classList.add('hidden');
+        if (this.commandPalette.searchTimer) clearTimeout(this.commandPalette.searchTimer);
+        this.commandPalette.searchAbort?.abort();
+    }
+
+    // Handle typing in the palette: filter immediately, search sessions after a pause
+    onCommandPaletteInput() {
+        this.commandPalette.activeIndex = 0;
+        this.renderCommandPalette();
+
+        if (this.commandPalette.searchTimer) clearTimeout(this.commandPalette.searchTimer);
+        this.commandPalette.searchTimer = setTimeout(() => this.searchPaletteSessions(), 300);
+    }
+
+    // Fetch sessions matching the palette query for "Open session" entries
+    async searchPaletteSessions() {
+        const query = document.getElementById('commandPaletteInput').value.trim();
+        const params = new URLSearchParams({ search: query, page: 1, pageSize: 5 });
+
+        // Only the latest search matters, so cancel one still in flight
+        this.commandPalette.searchAbort?.abort();
+        const searchAbort = new AbortController();
+        this.commandPalette.searchAbort = searchAbort;
+
+        try {
+            const result = await DxoApi.session.list(params, { signal: searchAbort.signal });
+
+            // Ignore results for a query the user has already typed past
+            if (document.getElementById('commandPaletteInput').value.trim() !== query) return;
+            this.commandPalette.sessions = result.items || [];
+            this.renderCommandPalette();
+        } catch (error) {
+            if (error.isAborted) return;
+            console.error('Failed to search sessions for command palette:', error);
+        }
+    }
+
+    // Score how well text matches a query: substring matches rank above subsequence matches, -1 means no match
+    matchCommand(text, query) {
+        if (!query) return 0;
+        const haystack = text.toLowerCase();
+        const index = haystack.indexOf(query);
+        if (index >= 0) return 1000 - index;
+
+        let position = 0;
+        for (const ch of query) {
+            position = haystack.indexOf(ch, position);
+            if (position < 0) return -1;
+            position++;
+        }
+        return 0;
+    }
+
+    // Build the palette entries for the current query
+    getCommandPaletteItems(query) {
+        const addedRoles = this.reviewers.map(r => r.name);
+        const items = this.getCommands().map(command => ({
+            ...command,
+            shortcut: this.shortcuts[command.id]
+        }));
+
+        (this.commandPalette.templates || []).forEach(template => {
+            const isAdded = addedRoles.includes(template.role);
+            items.push({
+                id: `reviewer.${template.role}`,
+                title: `Add reviewer: ${template.role}`,
+                group: 'Reviewer templates',
+                hint: isAdded ? 'Already added' : template.category,
+                enabled: () => !this.isRunning && !addedRoles.includes(template.role),
+                run: () => this.selectReviewerTemplate(template)
+            });
+        });
+
+        this.commandPalette.sessions.forEach(session => {
+            const isCurrent = session.sessionId === this.currentSessionId;
+            items.push({
+                id: `session.open.${session.sessionId}`,
+                title: `Open session: ${session.name || 'Untitled session'}`,
+                group: 'Sessions',
+                hint: isCurrent ? 'Current session' : session.status,
+                enabled: () => !this.isRunning && !isCurrent,
+                run: () => this.openSessionFromLibrary(session.sessionId)
+            });
+        });
+
+        const q = query.toLowerCase();
+        return items
+            .map((item, order) => ({ item, order, score: this.matchCommand(`${item.group} ${item.title}`, q) }))
+            .filter(entry => entry.score >= 0)
+            .sort((a, b) => (b.score - a.score) || (a.order - b.order))
+            .map(entry => entry.item);
+    }
+
+    // Render the palette list
+    renderCommandPalette() {
+        const list = document.getElementById('commandPaletteList');
+        const query = document.getElementById('commandPaletteInput').value.trim();
+        const items = this.getCommandPaletteItems(query);
+        this.commandPalette.items = items;
+
+        if (items.length === 0) {
+            list.innerHTML = '<div class="command-palette-empty">No matching commands</div>';
+            return;
+        }
+
+        this.commandPalette.activeIndex = Math.min(this.commandPalette.activeIndex, items.length - 1);
+        list.innerHTML = items.map((item, index) => {
+            const enabled = item.enabled();
+            const classes = ['command-palette-item'];
+            if (index === this.commandPalette.activeIndex) classes.push('active');
+            if (!enabled) classes.push('disabled');
+
+            return `
+                <div class="${classes.join(' ')}" data-index="${index}" role="option">
+                    <span class="command-palette-group">${this.escapeHtml(item.group)}</span>
+                    <span class="command-palette-title">${this.escapeHtml(item.title)}</span>
+                    ${item.hint ? `<span class="command-palette-hint">${this.escapeHtml(item.hint)}</span>` : ''}
+                    ${item.shortcut ? `<span class="command-palette-shortcut">${this.formatShortcut(item.shortcut)}</span>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        const active = list.querySelector('.command-palette-item.active');
+        if (active) active.scrollIntoView({ block: 'nearest' });
+    }
+
+    // Keyboard navigation inside the palette input
+    onCommandPaletteKeydown(e) {
+        const count = this.commandPalette.items.length;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (count === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.commandPalette.activeIndex = (this.commandPalette.activeIndex + step + count) % count;
+            this.renderCommandPalette();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.executePaletteItem(this.commandPalette.activeIndex);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeCommandPalette();
+        }
+    }
+
+    // Run the palette entry at the given index
+    executePaletteItem(index) {
+        const item = this.commandPalette.items[index];
+        if (!item) return;
+
+        if (!item.enabled()) {
+            this.showToast(`"${item.title}" is not available right now`, 'warning');
+            return;
+        }
+
+        this.closeCommandPalette();
+        item.run();
+    }
+
+    // Open the keyboard shortcuts help overlay
+    openShortcutsHelp() {
+        this.closeCommandPalette();
+        this.renderShortcutsHelp();
+        document.getElementById('shortcutsModal').classList.remove('hidden');
+    }
+
+    // Close the keyboard shortcuts help overlay
+    closeShortcutsHelp() {
+        this.recordingShortcut = null;
+        document.getElementById('shortcutsModal').classList.add('hidden');
+    }
+
+    // Render every command with its shortcut and a button to change it
+    renderShortcutsHelp() {
+        const list = document.getElementById('shortcutsList');
+        const rows = this.getCommands().map(command => {
+            const isRecording = this.recordingShortcut === command.id;
+            return `
+                <tr class="${isRecording ? 'recording' : ''}">
+                    <td class="shortcut-group">${this.escapeHtml(command.group)}</td>
+                    <td>${this.escapeHtml(command.title)}</td>
+                    <td class="shortcut-keys">${isRecording ? '<span class="shortcut-recording">Press keys… (Esc to cancel, Backspace to clear)</span>' : this.formatShortcut(this.shortcuts[command.id])}</td>
+                    <td><button class="btn btn-secondary btn-small" data-command-id="${command.id}">Change</button></td>
+                </tr>
+            `;
+        }).join('');
+
+        list.innerHTML = `
+            <table class="shortcuts-table">
+                <thead><tr><th>Group</th><th>Command</th><th>Shortcut</th><th></th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // Start recording a new shortcut for a command
+    startRecordingShortcut(commandId) {
+        this.recordingShortcut = commandId;
+        this.renderShortcutsHelp();
+    }
+
+    // Capture the next key combination for the command being recorded
+    recordShortcut(e) {
+        const combo = this.getShortcutCombo(e);
+        if (!combo) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        const commandId = this.recordingShortcut;
+
+        if (combo === 'Escape') {
+            this.recordingShortcut = null;
+            this.renderShortcutsHelp();
+            return;
+        }
+
+        if (combo === 'Backspace' || combo === 'Delete') {
+            this.shortcuts[commandId] = '';
+        } else {
+            // A combo can only trigger one command, so take it away from any previous owner
+            Object.keys(this.shortcuts).forEach(id => {
+                if (this.shortcuts[id] === combo) this.shortcuts[id] = '';
+            });
+            this.shortcuts[commandId] = combo;
+        }
+
+        this.recordingShortcut = null;
+        this.saveShortcuts();
+        this.renderShortcutsHelp();
+    }
+
+    // Restore the default shortcuts
+    resetShortcuts() {
+        localStorage.removeItem(SHORTCUTS_KEY);
+        this.recordingShortcut = null;
+        this.loadShortcuts();
+        this.renderShortcutsHelp();
+        this.showToast('Keyboard shortcuts reset to defaults', 'success');
+    }
+
+    // --- Scroll FAB (Top / Bottom) handling ---
+    setupScrollButtons() {
+        // find or create buttons (Layout includes them, but guard if not)
+        this.scrollFab = document.getElementById('scrollFabContainer');
+        this.scrollTopBtn = document.getElementById('scrollTopBtn');
+        this.scrollBottomBtn = document.getElementById('scrollBottomBtn');
+
+        if (!this.scrollFab) {
+            // create container if missing
+            this.scrollFab = document.createElement('div');
+            this.scrollFab.id = 'scrollFabContainer';
+            this.scrollFab.className = 'scroll-fab';
+            document.body.appendChild(this.scrollFab);
+        }
+
+        if (!this.scrollTopBtn) {
+            this.scrollTopBtn = document.createElement('button');
+            this.scrollTopBtn.id = 'scrollTopBtn';
+            this.scrollTopBtn.className = 'scroll-fab-btn';
+            this.scrollTopBtn.title = 'Scroll to Top';
+            this.scrollTopBtn.innerText = '↑';
+            this.scrollFab.appendChild(this.scrollTopBtn);
+        }
+
+        if (!this.scrollBottomBtn) {
+            this.scrollBottomBtn = document.createElement('button');
+            this.scrollBottomBtn.id = 'scrollBottomBtn';
+            this.scrollBottomBtn.className = 'scroll-fab-btn secondary';
+            this.scrollBottomBtn.title = 'Scroll to Bottom';
+            this.scrollBottomBtn.innerText = '↓';
+            this.scrollFab.appendChild(this.scrollBottomBtn);
+        }
+
+        // Click handlers
+        this.scrollTopBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+        });
+
+        this.scrollBottomBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            const bottom = document.documentElement.scrollHeight - window.innerHeight;
+            window.scrollTo({ top: bottom, behavior: 'smooth' });
+        });
+
+        // Update visibility on scroll/resize and on load
+        this._scrollFabUpdateTimer = null;
+        const update = () => this.updateScrollFabVisibility();
+        window.addEventListener('scroll', () => {
+            // throttle updates
+            if (this._scrollFabUpdateTimer) clearTimeout(this._scrollFabUpdateTimer);
+            this._scrollFabUpdateTimer = setTimeout(update, 50);
+        }, { passive: true });
+        window.addEventListener('resize', update);
+        // initial state
+        update();
+    }
+
+    updateScrollFabVisibility() {
+        const threshold = 20;
+        const scrollY = window.scrollY || document.documentElement.scrollTop || 0;
+        const atTop = scrollY <= threshold;
+        const atBottom = (window.innerHeight + scrollY) >= (document.documentElement.scrollHeight - threshold);
+
+        // If in middle: show both side-by-side
+        if (!atTop && !atBottom) {
+            this.showElement(this.scrollTopBtn);
+            this.showElement(this.scrollBottomBtn);
+            return;
+        }
+
+        // If at top -> show only "Scroll to Bottom" (per requirement clicking to top should turn into bottom)
+        if (atTop) {
+            this.hideElement(this.scrollTopBtn);
+            this.showElement(this.scrollBottomBtn);
+            return;
+        }
+
+        // If at bottom -> show only "Scroll to Top"
+        if (atBottom) {
+            this.showElement(this.scrollTopBtn);
+            this.hideElement(this.scrollBottomBtn);
+            return;
+        }
+    }
+
+    showElement(el) {
+        if (!el) return;
+        el.classList.remove('scroll-fab-hidden');
     }
 
     hideElement(el) {
@@ -950,24 +1872,33 @@ Authoring rules:
     }
 
     // Get all reviewer configurations from the UI
-    getReviewerConfigs() {
+    /**
+     * Reviewer settings in card order, which is the order of critique
+     * @param {boolean} includeDisabled - Also return parked reviewers (with enabled: false), e.g. for presets
+     */
+    getReviewerConfigs(includeDisabled = false) {
         const configs = [];
         const cards = document.querySelectorAll('#reviewerCardsContainer .persona-card');
 
         cards.forEach(card => {
             const reviewerId = card.dataset.reviewerId;
-            const reviewer = this.reviewers.find(r => r.id === reviewerId);
+            const enabled = card.querySelector('.reviewer-enabled').checked;
+            if (!enabled && !includeDisabled) return;
 
             configs.push({
                 id: reviewerId,
                 name: card.querySelector('.reviewer-name-input').value,
                 rootPrompt: card.querySelector('.reviewer-prompt').value,
+                category: card.querySelector('.reviewer-category').value,
+                verdictMode: card.querySelector('.reviewer-verdict-mode').value,
+                verdictPattern: card.querySelector('.reviewer-verdict-pattern').value || null,
                 model: card.querySelector('.reviewer-model').value,
                 temperature: parseFloat(card.querySelector('.reviewer-temp').value),
                 maxTokens: parseInt(card.querySelector('.reviewer-max-tokens').value),
                 topP: parseFloat(card.querySelector('.reviewer-top-p').value),
                 presencePenalty: parseFloat(card.querySelector('.reviewer-presence-penalty').value),
-                frequencyPenalty: parseFloat(card.querySelector('.reviewer-frequency-penalty').value)
+                frequencyPenalty: parseFloat(card.querySelector('.reviewer-frequency-penalty').value),
+                enabled
             });
         });
 
@@ -976,48 +1907,19 @@ Authoring rules:
 
     // Create session and start
     async startSession() {
-        const request = this.buildSessionRequest();
-
         try {
             // Ensure connection is ready before starting
             await this.waitForConnection();
 
-            // Create session
-            const response = await fetch('/api/session/create', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(request)
-            });
-
-            if (!response.ok) {
-                throw new Error('Failed to create session');
-            }
-
-            const session = await response.json();
-            this.currentSessionId = session.sessionId;
-            
-            // Update sessionId display if element exists
-            const sessionIdElement = document.getElementById('sessionId');
-            if (sessionIdElement) {
-                sessionIdElement.textContent = session.sessionId.substring(0, 8) + '...';
+            // A fork that has not run yet already exists on the server with its parent's council
+            if (!this.pendingFork) {
+                await this.createSessionForStart();
             }
 
-            // Update URL with sessionId
-            this.updateSessionUrl(session.sessionId);
-
-            // Join SignalR group
-            await this.connection.invoke('JoinSession', this.currentSessionId);
-
             // Start session
-            const startResponse = await fetch(`/api/session/${this.currentSessionId}/start`, {
-                method: 'POST'
-            });
-
-            if (!startResponse.ok) {
-                const error = await startResponse.json();
-                throw new Error(error.error || 'Failed to start session');
-            }
+            await DxoApi.session.start(this.currentSessionId);
 
+            this.pendingFork = false;
             this.isRunning = true;
             this.updateButtonStates();
             this.clearTrace();
@@ -1028,6 +1930,36 @@ Authoring rules:
         }
     }
 
+    // Create a session from the form and join its SignalR group
+    async createSessionForStart() {
+        const request = this.buildSessionRequest();
+        if (request.reviewers.length === 0) {
+            throw new Error('Enable at least one reviewer to start a session');
+        }
+        this.validatePromptVariables(request);
+        this.validateAttachments();
+
+        const session = await DxoApi.session.create(request);
+        this.currentSessionId = session.sessionId;
+        this.parallelReviewers = session.parallelReviewers;
+        this.renderTraceAttachments(this.parseAttachments(session.attachmentsJson));
+        this.sessionUsage.clear();
+        this.updateUsageSummary();
+
+        // Update sessionId display if element exists
+        const sessionIdElement = document.getElementById('sessionId');
+        if (sessionIdElement) {
+            sessionIdElement.textContent = session.sessionId.substring(0, 8) + '...';
+        }
+
+        // Update URL with sessionId
+        this.updateSessionUrl(session.sessionId);
+        this.renderSessionLineage(null);
+
+        // Join SignalR group
+        await this.joinSessionGroup(this.currentSessionId);
+    }
+
     // Step through one iteration
     async stepSession() {
         try {
@@ -1039,15 +1971,9 @@ Authoring rules:
                 await this.createSessionForStep();
             }
 
-            const response = await fetch(`/api/session/${this.currentSessionId}/step`, {
-                method: 'POST'
-            });
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error || 'Failed to step session');
-            }
+            await DxoApi.session.step(this.currentSessionId);
 
+            this.pendingFork = false;
             this.isRunning = true;
             this.updateButtonStates();
 
@@ -1063,19 +1989,18 @@ Authoring rules:
 
         const request = this.buildSessionRequest();
         request.runMode = 'Step';
-
-        const response = await fetch('/api/session/create', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(request)
-        });
-
-        if (!response.ok) {
-            throw new Error('Failed to create session');
+        if (request.reviewers.length === 0) {
+            throw new Error('Enable at least one reviewer to start a session');
         }
+        this.validatePromptVariables(request);
+        this.validateAttachments();
 
-        const session = await response.json();
+        const session = await DxoApi.session.create(request);
         this.currentSessionId = session.sessionId;
+        this.parallelReviewers = session.parallelReviewers;
+        this.renderTraceAttachments(this.parseAttachments(session.attachmentsJson));
+        this.sessionUsage.clear();
+        this.updateUsageSummary();
         
         // Update sessionId display if element exists
         const sessionIdElement = document.getElementById('sessionId');
@@ -1083,7 +2008,8 @@ Authoring rules:
             sessionIdElement.textContent = session.sessionId.substring(0, 8) + '...';
         }
 
-        await this.connection.invoke('JoinSession', this.currentSessionId);
+        this.renderSessionLineage(null);
+        await this.joinSessionGroup(this.currentSessionId);
         this.clearTrace();
     }
 
@@ -1092,78 +2018,449 @@ Authoring rules:
         if (!this.currentSessionId) return;
 
         try {
-            await fetch(`/api/session/${this.currentSessionId}/stop`, {
-                method: 'POST'
-            });
+            await DxoApi.session.stop(this.currentSessionId);
 
             this.isRunning = false;
             this.updateButtonStates();
 
         } catch (error) {
             console.error('Failed to stop session:', error);
-            this.showToast('Failed to stop session', 'error');
+            this.showToast(error.message, 'error');
         }
     }
 
-    // Reset and create new session
-    resetSession() {
-        if (this.currentSessionId) {
-            this.connection.invoke('LeaveSession', this.currentSessionId);
-        }
-
-        this.currentSessionId = null;
-        this.messages = [];
-        this.isRunning = false;
-        this.resetTimer();
-        this.updateButtonStates();
-        this.clearTrace();
-        this.updateStatus('Created');
-        this.updateIterationCount(0);
-        
-        // Update sessionId display if element exists
-        const sessionIdElement = document.getElementById('sessionId');
-        if (sessionIdElement) {
-            sessionIdElement.textContent = '-';
-        }
-        document.getElementById('finalOutput').value = '';
+    // Join a session's SignalR group and show who else is in it
+    async joinSessionGroup(sessionId) {
+        const response = await this.connection.invoke('JoinSession', sessionId);
+        this.feedbackEditing = false; // A new connection starts without the indicator
+        this.presenceEmail = response?.userEmail ?? this.presenceEmail;
+        this.renderPresence(response?.presence ?? null);
+    }
 
-        // Clear URL parameter
-        this.clearSessionUrl();
+    // The participant controlling the current session when it is someone else, otherwise null
+    getOtherController() {
+        const controllerEmail = this.presence?.controllerEmail;
+        if (!controllerEmail || controllerEmail === this.presenceEmail) return null;
 
-        this.updateOutputButtonStates();
-        this.showToast('Session reset', 'info');
+        return this.presence.participants.find(p => p.userEmail === controllerEmail)
+            ?? { userEmail: controllerEmail, displayName: controllerEmail };
     }
 
-    // Update output button states based on output availability
-    updateOutputButtonStates() {
-        const output = document.getElementById('finalOutput').value;
-        const downloadBtn = document.getElementById('btnDownloadOutput');
-        const copyBtn = document.getElementById('btnCopyOutput');
-
-        if (output && output.trim().length > 0) {
-            downloadBtn.disabled = false;
-            copyBtn.disabled = false;
-        } else {
-            downloadBtn.disabled = true;
-            copyBtn.disabled = false; // Keep copy enabled since it shows a warning
-        }
+    // Initials shown in a participant's avatar, e.g. "Ada Lovelace" -> "AL", "ada@example.com" -> "A"
+    getInitials(name) {
+        const words = (name || '?').split('@')[0].split(/[\s._-]+/).filter(Boolean);
+        return words.slice(0, 2).map(word => word[0].toUpperCase()).join('') || '?';
     }
 
-    // Reset persona memory
-    async resetPersonaMemory(persona) {
-        if (!this.currentSessionId) {
-            this.showToast('No active session', 'warning');
+    /**
+     * Render the participants of the current session, who controls it and who is editing feedback.
+     * The bar stays hidden while nobody else is watching.
+     * @param {Object|null} presence - SessionPresence from the hub, or null after leaving the session
+     */
+    renderPresence(presence) {
+        this.presence = presence;
+        if (!presence) this.feedbackEditing = false;
+        const section = document.getElementById('sessionPresence');
+        const participants = presence?.participants || [];
+
+        if (participants.length < 2) {
+            section.hidden = true;
+            this.hideControlRequest();
+            this.updateUIState();
             return;
         }
 
+        const controllerEmail = presence.controllerEmail;
+        // Built with DOM APIs since display names end up in attributes
+        const avatars = document.getElementById('presenceAvatars');
+        avatars.replaceChildren(...participants.map((p, index) => {
+            const isSelf = p.userEmail === this.presenceEmail;
+            const isController = p.userEmail === controllerEmail;
+            const canHandOff = controllerEmail === this.presenceEmail && !isSelf;
+            const details = [isController ? 'has control' : '', p.isEditingFeedback ? 'editing feedback' : ''].filter(Boolean).join(', ');
+
+            const avatar = document.createElement('button');
+            avatar.type = 'button';
+            avatar.className = 'presence-avatar';
+            avatar.classList.toggle('is-controller', isController);
+            avatar.classList.toggle('is-editing', p.isEditingFeedback);
+            avatar.style.setProperty('--avatar-hue', [...p.userEmail].reduce((hash, ch) => (hash * 31 + ch.charCodeAt(0)) % 360, 0));
+            avatar.textContent = this.getInitials(p.displayName);
+            avatar.title = `${p.displayName}${isSelf ? ' (you)' : ''}${details ? ` - ${details}` : ''}${canHandOff ? ' · click to hand off control' : ''}`;
+            avatar.disabled = !canHandOff;
+            if (canHandOff) {
+                avatar.addEventListener('click', () => this.handOffControl(index));
+            }
+            return avatar;
+        }));
+
+        const editors = participants.filter(p => p.isEditingFeedback && p.userEmail !== this.presenceEmail);
+        const activity = document.getElementById('presenceActivity');
+        activity.textContent = editors.length > 0
+            ? `✎ ${editors.map(p => p.displayName).join(', ')} ${editors.length === 1 ? 'is' : 'are'} editing feedback`
+            : '';
+        activity.hidden = editors.length === 0;
+
+        const other = this.getOtherController();
+        const hasControl = controllerEmail === this.presenceEmail;
+        document.getElementById('presenceControl').textContent = hasControl ? '🎮 You have control'
+            : other ? `🎮 ${other.displayName} has control` : 'Nobody has control yet';
+        document.getElementById('btnRequestControl').hidden = hasControl;
+        document.getElementById('btnReleaseControl').hidden = !hasControl;
+
+        // A pending request is moot once control has moved
+        if (!hasControl) this.hideControlRequest();
+
+        section.hidden = false;
+        this.updateUIState();
+    }
+
+    // Take control if nobody holds it, otherwise ask the controller to hand off
+    async requestControl() {
+        if (!this.currentSessionId) return;
+
         try {
-            await fetch(`/api/session/${this.currentSessionId}/reset-memory/${persona}`, {
-                method: 'POST'
+            const granted = await this.connection.invoke('RequestControl', this.currentSessionId);
+            this.showToast(granted ? 'You have control of this session'
+                : `Asked ${this.getOtherController()?.displayName || 'the controller'} to hand off control`, 'info');
+        } catch (error) {
+            console.error('Failed to request control:', error);
+            this.showToast('Failed to request control', 'error');
+        }
+    }
+
+    // Give up control so the next participant to act takes it
+    async releaseControl() {
+        if (!this.currentSessionId) return;
+
+        try {
+            await this.connection.invoke('ReleaseControl', this.currentSessionId);
+        } catch (error) {
+            console.error('Failed to release control:', error);
+            this.showToast('Failed to release control', 'error');
+        }
+    }
+
+    // Hand control to the participant at the given position in the avatar list
+    async handOffControl(participantIndex) {
+        const participant = this.presence?.participants[participantIndex];
+        if (!participant || !confirm(`Hand off control of this session to ${participant.displayName}?`)) return;
+
+        await this.handOffControlTo(participant.userEmail, participant.displayName);
+    }
+
+    async handOffControlTo(userEmail, displayName) {
+        try {
+            const handedOff = await this.connection.invoke('HandOffControl', this.currentSessionId, userEmail);
+            this.showToast(handedOff ? `${displayName} now has control` : `${displayName} has left the session`, handedOff ? 'success' : 'warning');
+        } catch (error) {
+            console.error('Failed to hand off control:', error);
+            this.showToast('Failed to hand off control', 'error');
+        }
+    }
+
+    // Ask the controller (us) whether to hand off to a participant who requested control
+    showControlRequest(userEmail, displayName) {
+        this.controlRequest = { userEmail, displayName };
+        document.getElementById('controlRequestText').textContent = `${displayName} is asking for control of this session.`;
+        document.getElementById('controlRequestBanner').hidden = false;
+    }
+
+    hideControlRequest() {
+        this.controlRequest = null;
+        document.getElementById('controlRequestBanner').hidden = true;
+    }
+
+    async respondToControlRequest(accept) {
+        const request = this.controlRequest;
+        this.hideControlRequest();
+        if (!request || !this.currentSessionId) return;
+
+        if (accept) {
+            await this.handOffControlTo(request.userEmail, request.displayName);
+        } else {
+            this.connection.invoke('DeclineControlRequest', this.currentSessionId, request.userEmail)
+                .catch(error => console.warn('Failed to decline control request:', error));
+        }
+    }
+
+    // Typing in a feedback box shows the editing indicator until typing pauses
+    noteFeedbackEditing() {
+        this.setFeedbackEditing(true);
+        clearTimeout(this.feedbackEditingTimer);
+        this.feedbackEditingTimer = setTimeout(() => this.setFeedbackEditing(false), 8000);
+    }
+
+    setFeedbackEditing(editing) {
+        if (!editing) clearTimeout(this.feedbackEditingTimer);
+        if (editing === this.feedbackEditing || !this.currentSessionId || this.connectionState !== 'connected') return;
+
+        this.feedbackEditing = editing;
+        this.connection.invoke('SetEditingFeedback', this.currentSessionId, editing)
+            .catch(error => console.warn('Failed to update editing indicator:', error));
+    }
+
+    // Reset and create new session
+    resetSession() {
+        if (this.currentSessionId) {
+            this.connection.invoke('LeaveSession', this.currentSessionId);
+        }
+
+        this.currentSessionId = null;
+        this.renderPresence(null);
+        this.renderTraceAttachments([]);
+        this.pendingFork = false;
+        this.messages = [];
+        this.sessionUsage.clear();
+        this.isRunning = false;
+        this.resetTimer();
+        this.updateButtonStates();
+        this.clearTrace();
+        this.updateStatus('Created');
+        this.updateIterationCount(0);
+        
+        // Update sessionId display if element exists
+        const sessionIdElement = document.getElementById('sessionId');
+        if (sessionIdElement) {
+            sessionIdElement.textContent = '-';
+        }
+        this.clearFinalOutput();
+        this.renderSessionLineage(null);
+
+        // Clear URL parameter
+        this.clearSessionUrl();
+
+        this.updateOutputButtonStates();
+        this.showToast('Session reset', 'info');
+    }
+
+    // Clear the final output textarea and rendered container
+    clearFinalOutput() {
+        this.dom.finalOutput.value = '';
+        this.dom.finalOutputContainer.innerHTML =
+            '<p class="text-muted" style="font-style: italic; color: var(--text-tertiary);">Final output will appear here when the Creator finalizes the content or the session is stopped...</p>';
+        this.inlineComments = [];
+        this.closeInlineCommentPopover();
+        this.renderInlineCommentLists();
+    }
+
+    // --- Inline comments on the final output ---
+
+    // Show the final output; inline comments anchored to a different text are dropped
+    renderFinalOutput(content) {
+        if (content !== this.dom.finalOutput.value) {
+            this.inlineComments = [];
+        }
+        this.dom.finalOutput.value = content;
+        this.renderInlineComments();
+    }
+
+    // Length of the container text before a point (node, offset) inside it
+    getTextOffset(container, node, offset) {
+        const range = document.createRange();
+        range.selectNodeContents(container);
+        range.setEnd(node, offset);
+        return range.toString().length;
+    }
+
+    /**
+     * Wrap the text between two character offsets of a container in elements from makeWrapper.
+     * Each text node in the span gets its own wrapper so the markup structure is left intact.
+     */
+    wrapTextRange(container, start, end, makeWrapper) {
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        const segments = [];
+        let pos = 0;
+
+        while (walker.nextNode() && pos < end) {
+            const node = walker.currentNode;
+            const from = Math.max(start, pos);
+            const to = Math.min(end, pos + node.nodeValue.length);
+            if (from < to) segments.push({ node, from: from - pos, to: to - pos });
+            pos += node.nodeValue.length;
+        }
+
+        segments.forEach(({ node, from, to }) => {
+            let target = node;
+            if (from > 0) target = target.splitText(from);
+            if (to - from < target.nodeValue.length) target.splitText(to - from);
+
+            // Whitespace between block elements can't be wrapped without breaking lists and tables
+            if (!target.nodeValue.trim()) return;
+
+            const wrapper = makeWrapper();
+            target.replaceWith(wrapper);
+            wrapper.appendChild(target);
+        });
+    }
+
+    // Re-render the final output and highlight every comment's passage
+    renderInlineComments() {
+        const container = this.dom.finalOutputContainer;
+        this.renderMarkdown(container, this.dom.finalOutput.value);
+
+        const text = container.textContent;
+        this.inlineComments.forEach(comment => {
+            // Fall back to the first occurrence if the stored offset no longer points at the quote
+            if (text.substr(comment.start, comment.quote.length) !== comment.quote) {
+                comment.start = text.indexOf(comment.quote);
+            }
+            if (comment.start < 0) return;
+
+            this.wrapTextRange(container, comment.start, comment.start + comment.quote.length, () => {
+                const mark = document.createElement('mark');
+                mark.className = 'inline-comment-anchor';
+                mark.dataset.commentId = comment.id;
+                mark.title = comment.comment;
+                return mark;
+            });
+        });
+
+        this.renderInlineCommentLists();
+    }
+
+    // Update the comment count under the output and the list in the feedback modal
+    renderInlineCommentLists() {
+        const count = this.inlineComments.length;
+        const summary = document.getElementById('inlineCommentsSummary');
+        summary.hidden = !this.dom.finalOutput.value.trim();
+        summary.textContent = count === 0
+            ? 'Select text in the output to comment on a specific passage.'
+            : `💬 ${count} inline comment${count !== 1 ? 's' : ''} - sent with "Iterate with Feedback".`;
+
+        const list = document.getElementById('feedbackInlineComments');
+        list.hidden = count === 0;
+        list.innerHTML = `<label>Inline comments (${count})</label>` + this.inlineComments.map(comment => `
+            <div class="inline-comment-item${comment.start < 0 ? ' orphaned' : ''}">
+                <blockquote class="inline-comment-quote">${this.escapeHtml(comment.quote)}</blockquote>
+                <div class="inline-comment-body">${this.escapeHtml(comment.comment)}</div>
+                ${comment.start < 0 ? '<small class="form-text">Passage not found in the current output</small>' : ''}
+                <button class="inline-comment-remove" title="Remove comment" onclick="dxoApp.deleteInlineComment('${comment.id}')">&times;</button>
+            </div>
+        `).join('');
+    }
+
+    // Offer the comment button when text inside the output is selected
+    onFinalOutputSelection() {
+        const button = document.getElementById('btnAddInlineComment');
+        const container = this.dom.finalOutputContainer;
+        const selection = window.getSelection();
+        button.hidden = true;
+
+        if (!this.dom.finalOutput.value.trim() || !selection.rangeCount || selection.isCollapsed) return;
+
+        const range = selection.getRangeAt(0);
+        if (!container.contains(range.commonAncestorContainer)) return;
+
+        const raw = range.toString();
+        const quote = raw.trim();
+        if (!quote) return;
+
+        const leading = raw.length - raw.trimStart().length;
+        this.pendingInlineComment = {
+            start: this.getTextOffset(container, range.startContainer, range.startOffset) + leading,
+            quote
+        };
+
+        const rect = range.getBoundingClientRect();
+        button.style.top = `${rect.bottom + 6}px`;
+        button.style.left = `${rect.left}px`;
+        button.hidden = false;
+    }
+
+    // Open the comment editor for a new comment (commentId omitted) or an existing one
+    openInlineCommentPopover(anchorRect, commentId = null) {
+        const comment = commentId ? this.inlineComments.find(c => c.id === commentId) : this.pendingInlineComment;
+        if (!comment) return;
+
+        this.editingInlineCommentId = commentId;
+        document.getElementById('btnAddInlineComment').hidden = true;
+        document.getElementById('inlineCommentQuote').textContent = comment.quote;
+        document.getElementById('inlineCommentText').value = commentId ? comment.comment : '';
+        document.getElementById('btnDeleteInlineComment').hidden = !commentId;
+
+        const popover = document.getElementById('inlineCommentPopover');
+        popover.style.top = `${anchorRect.bottom + 6}px`;
+        popover.style.left = `${Math.min(anchorRect.left, window.innerWidth - 360)}px`;
+        popover.hidden = false;
+        document.getElementById('inlineCommentText').focus();
+    }
+
+    closeInlineCommentPopover() {
+        document.getElementById('inlineCommentPopover').hidden = true;
+        this.editingInlineCommentId = null;
+        this.pendingInlineComment = null;
+    }
+
+    // Save the comment being edited
+    saveInlineComment() {
+        const text = document.getElementById('inlineCommentText').value.trim();
+        if (!text) {
+            this.showToast('Please enter a comment', 'warning');
+            return;
+        }
+
+        if (this.editingInlineCommentId) {
+            const comment = this.inlineComments.find(c => c.id === this.editingInlineCommentId);
+            if (comment) comment.comment = text;
+        } else if (this.pendingInlineComment) {
+            this.inlineComments.push({
+                id: `c${Date.now().toString(36)}${this.inlineComments.length}`,
+                quote: this.pendingInlineComment.quote,
+                start: this.pendingInlineComment.start,
+                comment: text
             });
+            this.inlineComments.sort((a, b) => a.start - b.start);
+        }
+
+        window.getSelection().removeAllRanges();
+        this.closeInlineCommentPopover();
+        this.renderInlineComments();
+    }
+
+    deleteInlineComment(commentId = this.editingInlineCommentId) {
+        this.inlineComments = this.inlineComments.filter(c => c.id !== commentId);
+        this.closeInlineCommentPopover();
+        this.renderInlineComments();
+    }
+
+    // Update output button states based on output availability
+    updateOutputButtonStates() {
+        const output = document.getElementById('finalOutput').value;
+        const downloadBtn = document.getElementById('btnDownloadOutput');
+        const copyBtn = document.getElementById('btnCopyOutput');
+
+        if (output && output.trim().length > 0) {
+            downloadBtn.disabled = false;
+            copyBtn.disabled = false;
+        } else {
+            downloadBtn.disabled = true;
+            copyBtn.disabled = false; // Keep copy enabled since it shows a warning
+        }
+    }
+
+    // Reset persona memory
+    async resetPersonaMemory(persona) {
+        if (!this.currentSessionId) {
+            this.showToast('No active session', 'warning');
+            return;
+        }
+
+        try {
+            await DxoApi.session.resetMemory(this.currentSessionId, persona);
         } catch (error) {
             console.error('Failed to reset memory:', error);
-            this.showToast('Failed to reset memory', 'error');
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Select a quorum rule and show the N input only when the rule uses it
+    setQuorumRule(rule, othersRequired = null) {
+        document.getElementById('quorumRule').value = rule;
+        if (othersRequired !== null && othersRequired !== undefined) {
+            document.getElementById('quorumOthersRequired').value = othersRequired;
         }
+        document.getElementById('quorumOthersGroup').hidden = rule !== 'HardVetoPlusN';
     }
 
     // Build session request from form
@@ -1173,6 +2470,9 @@ Authoring rules:
             maxIterations: parseInt(document.getElementById('maxIterations').value),
             stopMarker: document.getElementById('stopMarker').value,
             stopOnReviewerApproved: document.getElementById('stopOnApproved').checked,
+            parallelReviewers: document.getElementById('parallelReviewers').checked,
+            quorumRule: document.getElementById('quorumRule').value,
+            quorumOthersRequired: parseInt(document.getElementById('quorumOthersRequired').value) || 0,
             runMode: document.getElementById('runMode').value,
             topic: document.getElementById('sessionTopic').value,
 
@@ -1185,20 +2485,444 @@ Authoring rules:
             creatorFrequencyPenalty: parseFloat(document.getElementById('creatorFrequencyPenalty').value),
 
             // Dynamic reviewers
-            reviewers: this.getReviewerConfigs()
+            reviewers: this.getReviewerConfigs(),
+
+            promptVariables: Object.fromEntries(this.promptVariables
+                .filter(v => v.name.trim())
+                .map(v => [v.name.trim(), v.value])),
+
+            attachments: this.attachments.map(a => ({ name: a.name, content: a.content }))
+        };
+    }
+
+    // --- Prompt variables ---
+
+    // Replace the user-defined prompt variables, e.g. from a restored session or a preset
+    setPromptVariables(variables) {
+        this.promptVariables = Object.entries(variables || {}).map(([name, value]) => ({ name, value: value ?? '' }));
+        this.renderPromptVariables();
+        this.refreshPromptPreviews();
+    }
+
+    // Variables are stored server-side as a JSON object of name to value
+    parsePromptVariables(json) {
+        try {
+            const variables = json ? JSON.parse(json) : {};
+            return variables && typeof variables === 'object' ? variables : {};
+        } catch (error) {
+            console.error('Failed to parse session prompt variables:', error);
+            return {};
+        }
+    }
+
+    addPromptVariable() {
+        this.promptVariables.push({ name: '', value: '' });
+        this.renderPromptVariables();
+        document.querySelector('#promptVariablesList .prompt-variable-row:last-child .prompt-variable-name').focus();
+    }
+
+    removePromptVariable(index) {
+        this.promptVariables.splice(index, 1);
+        this.renderPromptVariables();
+        this.refreshPromptPreviews();
+    }
+
+    // Render the variable rows in Session Settings; built with DOM APIs since names and values are user text
+    renderPromptVariables() {
+        const list = document.getElementById('promptVariablesList');
+        list.innerHTML = '';
+
+        this.promptVariables.forEach((variable, index) => {
+            const row = document.createElement('div');
+            row.className = 'prompt-variable-row';
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'form-control prompt-variable-name';
+            nameInput.placeholder = 'audience';
+            nameInput.maxLength = 50;
+            nameInput.spellcheck = false;
+            nameInput.value = variable.name;
+            nameInput.setAttribute('aria-label', 'Variable name');
+
+            const valueInput = document.createElement('input');
+            valueInput.type = 'text';
+            valueInput.className = 'form-control prompt-variable-value';
+            valueInput.placeholder = 'Value';
+            valueInput.maxLength = 10000;
+            valueInput.value = variable.value;
+            valueInput.setAttribute('aria-label', 'Variable value');
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'btn btn-small btn-secondary';
+            removeButton.title = 'Remove variable';
+            removeButton.textContent = '×';
+
+            nameInput.addEventListener('input', () => {
+                variable.name = nameInput.value;
+                this.markInvalidPromptVariables();
+                this.refreshPromptPreviews();
+            });
+            valueInput.addEventListener('input', () => {
+                variable.value = valueInput.value;
+                this.refreshPromptPreviews();
+            });
+            removeButton.addEventListener('click', () => this.removePromptVariable(index));
+
+            row.append(nameInput, valueInput, removeButton);
+            list.appendChild(row);
+        });
+
+        this.markInvalidPromptVariables();
+    }
+
+    // Why a variable name can't be used, or null when it is fine
+    getPromptVariableNameError(name, index) {
+        const trimmed = name.trim();
+        if (!trimmed) return null; // Blank rows are ignored
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(trimmed)) {
+            return `"${trimmed}" is not a valid variable name. Use letters, digits and underscores, starting with a letter.`;
+        }
+
+        const lower = trimmed.toLowerCase();
+        if (BUILT_IN_PROMPT_VARIABLES.some(builtIn => builtIn.toLowerCase() === lower)) {
+            return `{{${trimmed}}} is a built-in variable and cannot be redefined`;
+        }
+        if (this.promptVariables.some((v, i) => i < index && v.name.trim().toLowerCase() === lower)) {
+            return `{{${trimmed}}} is defined more than once`;
+        }
+        return null;
+    }
+
+    markInvalidPromptVariables() {
+        document.querySelectorAll('#promptVariablesList .prompt-variable-name').forEach((input, index) => {
+            const error = this.getPromptVariableNameError(input.value, index);
+            input.classList.toggle('invalid', !!error);
+            input.title = error || '';
+        });
+    }
+
+    // Values for every defined variable, keyed by lowercase name, as the server would fill them in for the next call
+    getPromptVariableValues() {
+        const current = parseInt(this.dom.iterationCount?.textContent) || 0;
+        const values = new Map([
+            ['topic', document.getElementById('sessionTopic').value],
+            ['iteration', String(Math.max(current, 1))],
+            ['maxiterations', document.getElementById('maxIterations').value],
+            ['sessionname', document.getElementById('sessionName').value]
+        ]);
+
+        this.promptVariables.forEach((variable, index) => {
+            if (variable.name.trim() && !this.getPromptVariableNameError(variable.name, index)) {
+                values.set(variable.name.trim().toLowerCase(), variable.value);
+            }
+        });
+        return values;
+    }
+
+    // Names a prompt uses that no variable defines, as written in the prompt
+    findUndefinedPromptVariables(prompt, values = this.getPromptVariableValues()) {
+        const undefinedNames = new Map();
+        for (const match of (prompt || '').matchAll(PROMPT_VARIABLE_PATTERN)) {
+            const key = match[1].toLowerCase();
+            if (!values.has(key) && !undefinedNames.has(key)) {
+                undefinedNames.set(key, match[1]);
+            }
+        }
+        return [...undefinedNames.values()];
+    }
+
+    /**
+     * Throw when the request's variables or prompts would be rejected, so the problem is reported before a session is created
+     * @param {Object} request - From buildSessionRequest()
+     */
+    validatePromptVariables(request) {
+        const nameError = this.promptVariables
+            .map((variable, index) => this.getPromptVariableNameError(variable.name, index))
+            .find(error => error);
+        if (nameError) {
+            throw new Error(`${nameError.replace(/\.$/, '')}. Fix it in Session Settings.`);
+        }
+
+        const values = this.getPromptVariableValues();
+        const personas = [
+            { name: 'Creator', prompt: request.creatorRootPrompt },
+            ...request.reviewers.map(r => ({ name: r.name, prompt: r.rootPrompt }))
+        ];
+        for (const persona of personas) {
+            const undefinedNames = this.findUndefinedPromptVariables(persona.prompt, values);
+            if (undefinedNames.length > 0) {
+                const names = undefinedNames.map(name => `{{${name}}}`).join(', ');
+                throw new Error(`${persona.name}'s prompt uses undefined variables: ${names}. Define them in Session Settings.`);
+            }
+        }
+    }
+
+    // --- Reference document attachments ---
+
+    // Budgets come from the server config; the fallbacks mirror the defaults in appsettings.json
+    getAttachmentLimits() {
+        return {
+            maxCount: 10,
+            maxFileBytes: 10 * 1024 * 1024,
+            maxChars: 50000,
+            maxTotalChars: 100000,
+            extensions: [],
+            ...this.config?.attachments
         };
     }
 
+    // Extract each file's text on the server, one at a time, and add it to the next session's attachments
+    async addAttachmentFiles(files) {
+        const limits = this.getAttachmentLimits();
+
+        for (const file of files) {
+            const name = file.name;
+            const extension = name.includes('.') ? name.slice(name.lastIndexOf('.')).toLowerCase() : '';
+            const isAttached = this.attachments.some(a => a.name.toLowerCase() === name.toLowerCase())
+                || [...this.pendingAttachments].some(n => n.toLowerCase() === name.toLowerCase());
+
+            if (this.attachments.length + this.pendingAttachments.size >= limits.maxCount) {
+                this.showToast(`A session can have at most ${limits.maxCount} attachments`, 'warning');
+                return;
+            }
+            if (isAttached) {
+                this.showToast(`"${name}" is already attached`, 'warning');
+                continue;
+            }
+            if (limits.extensions.length > 0 && !limits.extensions.includes(extension)) {
+                this.showToast(`"${name}" is not a supported file type. Attach markdown, text, JSON, CSV, source code or PDF files.`, 'error');
+                continue;
+            }
+            if (file.size > limits.maxFileBytes) {
+                this.showToast(`"${name}" is larger than the ${Math.round(limits.maxFileBytes / (1024 * 1024))} MB limit`, 'error');
+                continue;
+            }
+
+            this.pendingAttachments.add(name);
+            this.renderAttachments();
+            try {
+                this.attachments.push(await DxoApi.attachments.extract(file));
+            } catch (error) {
+                console.error('Failed to attach document:', error);
+                this.showToast(error.message, 'error');
+            } finally {
+                this.pendingAttachments.delete(name);
+                this.renderAttachments();
+            }
+        }
+    }
+
+    removeAttachment(name) {
+        this.attachments = this.attachments.filter(a => a.name !== name);
+        this.renderAttachments();
+    }
+
+    // Replace the attachments, e.g. with those of a restored session
+    setAttachments(attachments) {
+        this.attachments = attachments;
+        this.renderAttachments();
+    }
+
+    // Attachments are stored server-side as SessionAttachment JSON with PascalCase property names
+    parseAttachments(json) {
+        let entries = [];
+        try {
+            entries = json ? JSON.parse(json) : [];
+        } catch (error) {
+            console.error('Failed to parse session attachments:', error);
+        }
+
+        return (Array.isArray(entries) ? entries : []).map(a => ({
+            name: a.Name ?? a.name ?? '',
+            kind: a.Kind ?? a.kind ?? 'text',
+            content: a.Content ?? a.content ?? '',
+            characters: a.Characters ?? a.characters ?? 0,
+            estimatedTokens: a.EstimatedTokens ?? a.estimatedTokens ?? 0
+        }));
+    }
+
+    // List the attachments with their size, and how much of the session's budget they use
+    renderAttachments() {
+        const limits = this.getAttachmentLimits();
+        const input = document.getElementById('attachmentInput');
+        input.accept = limits.extensions.join(',');
+
+        const list = document.getElementById('attachmentList');
+        list.innerHTML = '';
+
+        this.attachments.forEach(attachment => {
+            const item = document.createElement('li');
+            item.className = 'attachment-item';
+
+            const label = document.createElement('span');
+            label.className = 'attachment-name';
+            label.textContent = `${ATTACHMENT_KIND_ICONS[attachment.kind] || '📄'} ${attachment.name}`;
+            label.title = attachment.name;
+
+            const size = document.createElement('span');
+            size.className = 'attachment-size';
+            size.textContent = `${attachment.characters.toLocaleString()} chars · ~${this.formatTokens(attachment.estimatedTokens)} tokens`;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'attachment-remove';
+            remove.textContent = '✕';
+            remove.title = `Remove ${attachment.name}`;
+            remove.addEventListener('click', () => this.removeAttachment(attachment.name));
+
+            item.append(label, size, remove);
+            list.appendChild(item);
+        });
+
+        this.pendingAttachments.forEach(name => {
+            const item = document.createElement('li');
+            item.className = 'attachment-item pending';
+            item.textContent = `⏳ Reading ${name}…`;
+            list.appendChild(item);
+        });
+
+        const budget = document.getElementById('attachmentBudget');
+        const bar = document.getElementById('attachmentBudgetBar');
+        if (this.attachments.length === 0) {
+            budget.textContent = '';
+            bar.hidden = true;
+            return;
+        }
+
+        // Every document is sent to each persona on every call, so the budget is per prompt
+        const characters = this.attachments.reduce((sum, a) => sum + a.characters, 0);
+        const tokens = this.attachments.reduce((sum, a) => sum + a.estimatedTokens, 0);
+        const used = characters / limits.maxTotalChars;
+        budget.textContent = `${this.attachments.length} of ${limits.maxCount} documents · ~${this.formatTokens(tokens)} of ~${this.formatTokens(Math.ceil(limits.maxTotalChars / 4))} tokens added to every prompt`;
+        budget.classList.toggle('over', used > 1);
+
+        bar.hidden = false;
+        const fill = bar.querySelector('.attachment-budget-fill');
+        fill.style.width = `${Math.min(used, 1) * 100}%`;
+        fill.classList.toggle('warning', used >= 0.8 && used <= 1);
+        fill.classList.toggle('over', used > 1);
+    }
+
+    validateAttachments() {
+        if (this.pendingAttachments.size > 0) {
+            throw new Error('Wait for the attached documents to finish reading');
+        }
+
+        const { maxTotalChars } = this.getAttachmentLimits();
+        const characters = this.attachments.reduce((sum, a) => sum + a.characters, 0);
+        if (characters > maxTotalChars) {
+            throw new Error(`The attached documents have ${characters.toLocaleString()} characters of text, over the ${maxTotalChars.toLocaleString()} limit. Remove a document to continue.`);
+        }
+    }
+
+    // Show which documents the current run was given, above the interaction trace
+    renderTraceAttachments(attachments) {
+        const container = document.getElementById('traceAttachments');
+        container.innerHTML = '';
+        container.hidden = attachments.length === 0;
+        if (attachments.length === 0) return;
+
+        const label = document.createElement('span');
+        label.className = 'trace-attachments-label';
+        label.textContent = '📎 Reference documents:';
+        container.appendChild(label);
+
+        attachments.forEach(attachment => {
+            const chip = document.createElement('span');
+            chip.className = 'attachment-chip';
+            chip.textContent = `${ATTACHMENT_KIND_ICONS[attachment.kind] || '📄'} ${attachment.name}`;
+            chip.title = `~${this.formatTokens(attachment.estimatedTokens)} tokens`;
+            container.appendChild(chip);
+        });
+    }
+
+    // The documents a feedback round was produced with; rounds saved before attachments existed have none
+    renderRoundAttachments(round) {
+        const attachments = this.parseAttachments(round.attachmentsJson);
+        if (attachments.length === 0) return '';
+
+        const chips = attachments
+            .map(a => `<span class="attachment-chip" title="~${this.formatTokens(a.estimatedTokens)} tokens">${ATTACHMENT_KIND_ICONS[a.kind] || '📄'} ${this.escapeHtml(a.name)}</span>`)
+            .join('');
+        return `<div class="round-attachments"><span class="trace-attachments-label">📎 Reference documents:</span>${chips}</div>`;
+    }
+
+    // Keep a card's preview pane in step with its prompt while the pane is open
+    setupPromptPreview(card, textarea) {
+        const section = card.querySelector('.prompt-preview-section');
+        section.addEventListener('toggle', () => {
+            if (section.open) this.renderPromptPreview(card);
+        });
+        textarea.addEventListener('input', () => {
+            if (section.open) this.renderPromptPreview(card);
+        });
+    }
+
+    refreshPromptPreviews() {
+        document.querySelectorAll('.prompt-preview-section[open]').forEach(section => {
+            this.renderPromptPreview(section.closest('.persona-card'));
+        });
+    }
+
+    // Show a card's prompt with its variables filled in, highlighting values and flagging undefined names
+    renderPromptPreview(card) {
+        const textarea = card.querySelector('#creatorPrompt, .reviewer-prompt');
+        const preview = card.querySelector('.prompt-preview');
+        const prompt = textarea.value;
+        const values = this.getPromptVariableValues();
+        preview.innerHTML = '';
+
+        const undefinedNames = this.findUndefinedPromptVariables(prompt, values);
+        if (undefinedNames.length > 0) {
+            const error = document.createElement('p');
+            error.className = 'prompt-preview-error';
+            error.textContent = `Undefined: ${undefinedNames.map(name => `{{${name}}}`).join(', ')}. Define them in Session Settings.`;
+            preview.appendChild(error);
+        }
+
+        const body = document.createElement('div');
+        body.className = 'prompt-preview-body';
+        let position = 0;
+        for (const match of prompt.matchAll(PROMPT_VARIABLE_PATTERN)) {
+            body.appendChild(document.createTextNode(prompt.slice(position, match.index)));
+
+            const key = match[1].toLowerCase();
+            const span = document.createElement('span');
+            if (values.has(key)) {
+                span.className = 'prompt-variable-filled';
+                span.textContent = values.get(key);
+                span.title = key === 'iteration' ? `${match[0]}, filled in on each call` : match[0];
+            } else {
+                span.className = 'prompt-variable-undefined';
+                span.textContent = match[0];
+                span.title = 'Undefined variable';
+            }
+            body.appendChild(span);
+            position = match.index + match[0].length;
+        }
+        body.appendChild(document.createTextNode(prompt.slice(position)));
+
+        if (!prompt.trim()) {
+            body.textContent = 'The prompt is empty.';
+        }
+        preview.appendChild(body);
+    }
+
     /**
      * Comprehensive UI state update
      * Call this after any state change to ensure UI consistency
      */
     updateUIState() {
-        // Session control buttons
-        this.dom.btnStart.disabled = this.isRunning;
-        this.dom.btnStep.disabled = this.isRunning;
-        this.dom.btnStop.disabled = !this.isRunning;
+        // Session control buttons; another participant holding control locks them
+        const controller = this.getOtherController();
+        const lockTitle = controller ? `${controller.displayName} has control of this session` : '';
+        this.dom.btnStart.disabled = this.isRunning || !!controller;
+        this.dom.btnStep.disabled = this.isRunning || !!controller;
+        this.dom.btnStop.disabled = !this.isRunning || !!controller;
         this.dom.btnSessionSettings.disabled = this.isRunning;
+        [this.dom.btnStart, this.dom.btnStep, this.dom.btnStop].forEach(button => { button.title = lockTitle; });
 
         // Output buttons
         const hasOutput = this.dom.finalOutput.value.trim().length > 0;
@@ -1209,6 +2933,8 @@ Authoring rules:
         const status = this.dom.sessionStatus.textContent;
         this.dom.btnIterateWithFeedback.style.display =
             status === 'Completed' ? 'inline-block' : 'none';
+        this.dom.btnIterateWithFeedback.disabled = !!controller;
+        this.dom.btnIterateWithFeedback.title = lockTitle;
     }
 
     // Update button states based on running state - wrapper for updateUIState
@@ -1227,6 +2953,7 @@ Authoring rules:
     updateIterationCount(current) {
         const max = document.getElementById('maxIterations').value;
         document.getElementById('iterationCount').textContent = `${current} / ${max}`;
+        this.refreshPromptPreviews(); // {{iteration}} follows the run
     }
 
     // Add iteration header to trace
@@ -1241,6 +2968,7 @@ Authoring rules:
 
         const header = document.createElement('div');
         header.className = 'iteration-header';
+        header.dataset.iteration = iteration;
         header.textContent = `── Iteration ${iteration} ──`;
         traceViewer.appendChild(header);
 
@@ -1257,7 +2985,7 @@ Authoring rules:
         // Check if it's a dynamic reviewer ID
         const reviewer = this.reviewers.find(r => r.id === persona);
         if (reviewer) {
-            const index = this.reviewers.indexOf(reviewer);
+            const index = reviewer.colorIndex;
             const icons = ['🔍', '📝', '✅', '🎯', '💡'];
             const colors = ['reviewer1', 'reviewer2', 'reviewer3', 'reviewer4', 'reviewer5'];
             return {
@@ -1270,53 +2998,204 @@ Authoring rules:
         return { icon: '💬', color: 'system', name: persona };
     }
 
-    // Start streaming a new message
-    startStreamingMessage(messageId, persona, iteration) {
-        const traceViewer = document.getElementById('traceViewer');
-        const { icon, color, name } = this.getPersonaInfo(persona);
+    // Create a message card for the trace viewer
+    createMessageCard(messageId, personaInfo, timestamp, streaming) {
+        const { icon, color, name } = personaInfo;
 
         const card = document.createElement('div');
         card.className = `message-card ${color}`;
         card.id = `msg-${messageId}`;
+        card.dataset.messageId = messageId;
 
-        card.innerHTML = `
-            <div class="message-header">
-                <div class="message-meta">
-                    <span class="message-persona">${icon} ${name}</span>
-                    <span class="message-timestamp">${new Date().toLocaleTimeString()}</span>
+        const streamingIndicator = streaming ? `
                     <span class="streaming-indicator">
                         <span class="streaming-dot"></span>
                         Streaming...
-                    </span>
-                </div>
-                <div class="message-actions">
-                    <button class="btn btn-small btn-secondary" onclick="dxoApp.copyMessageContent('${messageId}')">📋</button>
+                    </span>` : '';
+
+        card.innerHTML = `
+            <div class="message-header">
+                <div class="message-meta">
+                    <span class="message-persona">${icon} ${this.escapeHtml(name)}</span>
+                    <span class="message-timestamp">${timestamp.toLocaleTimeString()}</span>${streamingIndicator}
+                    <span class="message-usage" id="usage-${messageId}"></span>
+                    <span class="message-verdict" hidden></span>
+                </div>
+                <div class="message-actions">
+                    <button class="btn btn-small btn-secondary" onclick="dxoApp.copyMessageContent('${messageId}')">📋</button>
                     <button class="btn btn-small btn-secondary" onclick="dxoApp.toggleMessageExpand('${messageId}')">⬆</button>
                 </div>
             </div>
             <div class="message-content" id="content-${messageId}"></div>
         `;
 
-        traceViewer.appendChild(card);
-        this.currentStreamingMessage = messageId;
+        return card;
+    }
+
+    // Add an iteration header unless the trace already has one for that iteration
+    ensureIterationHeader(iteration) {
+        const traceViewer = document.getElementById('traceViewer');
+        if (!traceViewer.querySelector(`.iteration-header[data-iteration="${iteration}"]`)) {
+            this.addIterationHeader(iteration);
+        }
+    }
+
+    // Start streaming a new message
+    startStreamingMessage(messageId, persona, iteration) {
+        // Already on the trace (e.g. recovered by a resync)
+        if (this.getMessageCard(messageId)) return;
+
+        const personaInfo = this.getPersonaInfo(persona);
+        this.streamingMessages.set(messageId, {
+            persona: personaInfo.name,
+            iteration,
+            sequence: 0,
+            text: '',          // Everything streamed so far
+            stableLength: 0,   // Length of the text already rendered as finished markdown blocks
+            scanPos: 0,        // Where the next search for a block boundary starts
+            inFence: false,    // Whether scanPos is inside a fenced code block
+            tailEl: null,      // Element holding the still-growing last block
+            dirty: false       // Whether text arrived since the last render
+        });
+
+        const card = this.createMessageCard(messageId, personaInfo, new Date(), true);
+
+        this.getTraceCardParent(iteration, persona !== 'Creator').appendChild(card);
+        this.refreshTraceFilter();
         this.scrollToBottom();
     }
 
-    // Append content to streaming message
+    /**
+     * Where a message card goes on the trace. With parallel reviewers, the reviews of one iteration
+     * share a lanes row so their concurrent streams sit side by side.
+     * @returns {HTMLElement} - The trace viewer or the iteration's lanes row
+     */
+    getTraceCardParent(iteration, isReviewer) {
+        const traceViewer = document.getElementById('traceViewer');
+        if (!this.parallelReviewers || !isReviewer) return traceViewer;
+
+        const last = traceViewer.lastElementChild;
+        if (last?.classList.contains('review-lanes') && Number(last.dataset.iteration) === iteration) {
+            return last;
+        }
+
+        const lanes = document.createElement('div');
+        lanes.className = 'review-lanes';
+        lanes.dataset.iteration = iteration;
+        traceViewer.appendChild(lanes);
+        return lanes;
+    }
+
+    // Switch parallel reviews between side-by-side lanes and stacked cards
+    setTraceLanes(enabled) {
+        document.getElementById('traceViewer').classList.toggle('lanes-stacked', !enabled);
+        this.scheduleTraceWindowUpdate();
+    }
+
+    // Append content to streaming message; rendering is batched to the next animation frame
     appendToStreamingMessage(messageId, content) {
+        const stream = this.streamingMessages.get(messageId);
+        if (!stream) return;
+
+        stream.text += content;
+        stream.dirty = true;
+
+        if (!this.streamFlushFrame) {
+            this.streamFlushFrame = requestAnimationFrame(() => this.flushStreamingMessages());
+        }
+    }
+
+    // Render the chunks buffered since the last frame
+    flushStreamingMessages() {
+        this.streamFlushFrame = null;
+
+        let rendered = false;
+        this.streamingMessages.forEach((stream, messageId) => {
+            if (stream.dirty) {
+                this.renderStreamingContent(messageId, stream);
+                rendered = true;
+            }
+        });
+
+        if (rendered && document.getElementById('autoScroll').checked) {
+            this.scrollToBottom();
+        }
+    }
+
+    /**
+     * Render a streaming message incrementally: finished markdown blocks are parsed once and
+     * appended, only the last (still growing) block is re-parsed on each frame
+     */
+    renderStreamingContent(messageId, stream) {
+        stream.dirty = false;
+
         const contentEl = document.getElementById(`content-${messageId}`);
-        if (contentEl) {
-            contentEl.textContent += content;
+        if (!contentEl) return;
+
+        if (!stream.tailEl) {
+            stream.tailEl = document.createElement('div');
+            stream.tailEl.className = 'stream-tail';
+            contentEl.appendChild(stream.tailEl);
+        }
 
-            if (document.getElementById('autoScroll').checked) {
-                this.scrollToBottom();
+        const boundary = this.findStableBoundary(stream);
+        if (boundary > stream.stableLength) {
+            stream.tailEl.insertAdjacentHTML('beforebegin', this.markdownToHtml(stream.text.slice(stream.stableLength, boundary)));
+            stream.stableLength = boundary;
+        }
+
+        stream.tailEl.innerHTML = this.markdownToHtml(stream.text.slice(stream.stableLength));
+    }
+
+    /**
+     * Find the end of the last complete markdown block: a blank line outside a fenced code block.
+     * Only lines not scanned before are examined, so the cost per frame stays proportional to the new text.
+     * @returns {number} - Index in stream.text up to which blocks are finished
+     */
+    findStableBoundary(stream) {
+        let boundary = stream.stableLength;
+        let pos = stream.scanPos;
+
+        for (let end = stream.text.indexOf('\n', pos); end >= 0; end = stream.text.indexOf('\n', pos)) {
+            const line = stream.text.slice(pos, end);
+            if (/^ {0,3}(`{3,}|~{3,})/.test(line)) {
+                stream.inFence = !stream.inFence;
+            } else if (!stream.inFence && line.trim() === '') {
+                boundary = end + 1;
             }
+            pos = end + 1;
+        }
+
+        stream.scanPos = pos;
+        return boundary;
+    }
+
+    // Apply a sequenced chunk, dropping duplicates and resyncing when one was missed
+    receiveMessageChunk(messageId, content, sequence) {
+        if (this.messages.some(m => m.messageId === messageId)) return;
+
+        const stream = this.streamingMessages.get(messageId);
+        if (!stream || sequence > stream.sequence + 1) {
+            // Never saw this message start, or a chunk went missing
+            this.resyncSession();
+            return;
         }
+
+        if (sequence <= stream.sequence) return;
+
+        stream.sequence = sequence;
+        this.appendToStreamingMessage(messageId, content);
     }
 
     // Complete the streaming message
-    completeStreamingMessage(messageId, fullContent) {
-        const card = document.getElementById(`msg-${messageId}`);
+    completeStreamingMessage(messageId, fullContent, usage = null) {
+        // Ignore duplicates for messages already recovered by a resync
+        if (this.messages.some(m => m.messageId === messageId)) return;
+
+        const stream = this.streamingMessages.get(messageId);
+        this.streamingMessages.delete(messageId);
+
+        const card = this.getMessageCard(messageId);
         if (card) {
             // Remove streaming indicator
             const indicator = card.querySelector('.streaming-indicator');
@@ -1324,245 +3203,1537 @@ Authoring rules:
                 indicator.remove();
             }
 
-            // Update content with markdown rendering
-            const contentEl = document.getElementById(`content-${messageId}`);
-            if (contentEl) {
-                // Store raw content as data attribute
-                contentEl.dataset.rawContent = fullContent;
+            // Store raw content as data attribute and render it in one pass, so the card matches a re-render from rawContent
+            const contentEl = card.querySelector('.message-content');
+            contentEl.dataset.rawContent = fullContent;
+            this.renderMarkdown(contentEl, fullContent);
 
-                // Try to render markdown
-                try {
-                    if (typeof marked !== 'undefined') {
-                        contentEl.innerHTML = marked.parse(fullContent);
-                    }
-                } catch (e) {
-                    // Keep as plain text if markdown fails
-                    contentEl.textContent = fullContent;
-                }
-            }
+            // From here on the card can be taken out of the DOM while scrolled out of view (or filtered out)
+            card.hidden = false;
+            this.registerTraceCard(messageId, card);
         }
 
         // Save to messages array
         this.messages.push({
             messageId,
+            persona: stream?.persona || 'Unknown',
+            iteration: stream?.iteration,
             content: fullContent,
+            usage,
             timestamp: new Date().toISOString()
         });
+        if (usage) {
+            this.sessionUsage.set(messageId, { persona: stream?.persona || 'Unknown', usage });
+        }
 
-        this.currentStreamingMessage = null;
+        this.renderMessageUsage(messageId, usage);
+        this.updateUsageSummary();
+        this.refreshTraceFilter();
     }
 
-    // Clear trace viewer
-    clearTrace() {
-        const traceViewer = document.getElementById('traceViewer');
-        traceViewer.innerHTML = `
-            <div class="empty-state">
-                <p>No messages yet. Configure your personas and click Start to begin the orchestration loop.</p>
-            </div>
-        `;
-        this.messages = [];
-    }
+    // Replay stored session messages into the trace viewer
+    restoreTrace(messages) {
+        this.clearTrace();
+        this.sessionUsage.clear();
 
-    // Scroll trace to bottom
-    scrollToBottom() {
-        const traceViewer = document.getElementById('traceViewer');
-        traceViewer.scrollTop = traceViewer.scrollHeight;
+        // Only creator and reviewer responses are shown in the live trace
+        const traceMessages = (messages || []).filter(m => m.role === 'Assistant');
+        if (traceMessages.length === 0) {
+            return;
+        }
+
+        // Reviewers no longer configured on the page keep a stable color by order of appearance
+        const storedReviewerIds = [...new Set(traceMessages.filter(m => m.reviewerId).map(m => m.reviewerId))];
+        const icons = ['🔍', '📝', '✅', '🎯', '💡'];
+        const colors = ['reviewer1', 'reviewer2', 'reviewer3', 'reviewer4', 'reviewer5'];
+
+        let lastIteration = null;
+
+        traceMessages.forEach(message => {
+            if (message.iteration !== lastIteration) {
+                this.addIterationHeader(message.iteration);
+                lastIteration = message.iteration;
+            }
+
+            let personaInfo = this.getPersonaInfo(message.reviewerId || message.persona);
+            if (message.reviewerId && !this.reviewers.some(r => r.id === message.reviewerId)) {
+                const index = storedReviewerIds.indexOf(message.reviewerId);
+                personaInfo = {
+                    icon: icons[index % icons.length],
+                    color: colors[index % colors.length],
+                    name: message.reviewerName || message.reviewerId
+                };
+            }
+
+            // Cards start out as placeholders and are rendered once scrolled into view
+            const card = this.createMessageCard(message.messageId, personaInfo, new Date(message.createdAt), false);
+            card.querySelector('.message-content').dataset.rawContent = message.content;
+
+            const record = this.registerTraceCard(message.messageId, card, false);
+            record.placeholder.style.height = `${this.estimateMessageHeight(message.content)}px`;
+            this.getTraceCardParent(message.iteration, !!message.reviewerId).appendChild(record.placeholder);
+
+            this.messages.push({
+                messageId: message.messageId,
+                persona: personaInfo.name,
+                iteration: message.iteration,
+                content: message.content,
+                usage: message.usage,
+                verdict: message.verdict,
+                timestamp: message.createdAt
+            });
+            if (message.usage) {
+                this.sessionUsage.set(message.messageId, { persona: personaInfo.name, usage: message.usage });
+            }
+            this.renderMessageUsage(message.messageId, message.usage);
+            this.renderMessageVerdict(message.messageId, message.verdict);
+        });
+
+        this.updateUsageSummary();
+        this.populateTraceFilterPersonas();
+        this.refreshTraceFilter();
+        this.scrollToBottom();
     }
 
-    // Copy message content
-    copyMessageContent(messageId) {
-        const contentEl = document.getElementById(`content-${messageId}`);
-        if (contentEl) {
-            const text = contentEl.dataset.rawContent || contentEl.textContent;
-            navigator.clipboard.writeText(text)
-                .then(() => this.showToast('Copied to clipboard', 'success'))
-                .catch(() => this.showToast('Failed to copy', 'error'));
-        }
+    // Format a token count for display (e.g. 1,234 or 12.3k)
+    formatTokens(count) {
+        return count >= 10000 ? `${(count / 1000).toFixed(1)}k` : count.toLocaleString();
     }
 
-    // Toggle message expand/collapse
-    toggleMessageExpand(messageId) {
-        const contentEl = document.getElementById(`content-${messageId}`);
-        if (contentEl) {
-            contentEl.classList.toggle('collapsed');
-        }
+    // Format an estimated USD cost, keeping precision for sub-cent amounts
+    formatCost(cost) {
+        return `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
     }
 
-    // Copy final output
-    copyOutput() {
-        const output = this.dom.finalOutput.value;
-        if (output) {
-            navigator.clipboard.writeText(output)
-                .then(() => this.showToast('Copied to clipboard', 'success'))
-                .catch(() => this.showToast('Failed to copy', 'error'));
-        } else {
-            this.showToast('No output to copy', 'warning');
-        }
+    // Show prompt/completion tokens and cost on a message card
+    renderMessageUsage(messageId, usage) {
+        const el = this.getMessageCard(messageId)?.querySelector('.message-usage');
+        if (!el || !usage) return;
+
+        const approx = usage.isEstimated ? '~' : '';
+        const cost = usage.estimatedCost != null ? ` · ${this.formatCost(usage.estimatedCost)}` : '';
+        el.textContent = `${approx}${this.formatTokens(usage.promptTokens)} in · ${approx}${this.formatTokens(usage.completionTokens)} out${cost}`;
+        el.title = usage.isEstimated
+            ? 'Estimated from text length - the provider did not report token usage'
+            : 'Prompt and completion tokens reported by the provider';
     }
 
     /**
-     * Generic export handler for output and transcript downloads
-     * @param {string} exportType - 'output' or 'transcript'
-     * @param {string} format - File format (md, txt, json)
+     * Label, state and details of a reviewer verdict parsed server-side
+     * @returns {{ state: string, label: string, mode: string, issues: string[], error: string|null }}
      */
-    handleExport(exportType, format) {
-        let content, filename, contentType = 'text/plain';
-
-        // Get content based on export type
-        if (exportType === 'output') {
-            content = this.dom.finalOutput.value;
-            if (!content) {
-                this.showToast('No output to download', 'warning');
-                this.closeExportModal();
-                return;
-            }
-            filename = `dxo-output-${Date.now()}.${format}`;
+    describeVerdict(verdict) {
+        const mode = VERDICT_MODES[verdict.mode] || verdict.mode;
+        const issues = verdict.blockingIssues || [];
+        if (verdict.parseError) {
+            return { state: 'error', label: '⚠ Verdict unreadable', mode, issues, error: verdict.parseError };
+        }
 
-        } else if (exportType === 'transcript') {
-            if (this.messages.length === 0) {
-                this.showToast('No transcript to export', 'warning');
-                this.closeExportModal();
-                return;
-            }
+        const label = verdict.approved ? '✓ Approved'
+            : issues.length > 0 ? `✗ Revise · ${issues.length} blocking` : '✗ Changes requested';
+        return { state: verdict.approved ? 'approved' : 'changes', label, mode, issues, error: null };
+    }
 
-            if (format === 'json') {
-                content = JSON.stringify({
-                    sessionId: this.currentSessionId,
-                    exportedAt: new Date().toISOString(),
-                    messages: this.messages
-                }, null, 2);
-                filename = `dxo-transcript-${Date.now()}.json`;
-            } else {
-                content = this.messages.map(m => {
-                    const card = document.getElementById(`msg-${m.messageId}`);
-                    const persona = card?.querySelector('.message-persona')?.textContent || 'Unknown';
-                    return `## ${persona}\n\n${m.content}\n\n---\n`;
-                }).join('\n');
-                filename = `dxo-transcript-${Date.now()}.md`;
-            }
+    // Blocking issues or the parse error of a verdict as HTML, empty when there is nothing to add
+    renderVerdictDetails(verdict) {
+        if (!verdict) return '';
+
+        const { issues, error } = this.describeVerdict(verdict);
+        if (error) {
+            return `<p class="verdict-error">⚠ Verdict could not be read, counted as not approved: ${this.escapeHtml(error)}</p>`;
         }
+        if (issues.length === 0) return '';
 
-        // Download
-        const blob = new Blob([content], { type: contentType });
-        this.downloadBlob(blob, filename);
-        this.closeExportModal();
+        return `<ul class="verdict-issues">${issues.map(issue => `<li>${this.escapeHtml(issue)}</li>`).join('')}</ul>`;
+    }
 
-        const successMsg = exportType === 'output' ? 'Output downloaded' : 'Transcript exported';
-        this.showToast(successMsg, 'success');
+    // Show a reviewer's parsed verdict in its message card header
+    renderMessageVerdict(messageId, verdict) {
+        const el = this.getMessageCard(messageId)?.querySelector('.message-verdict');
+        if (!el || !verdict) return;
+
+        const { state, label, mode, issues, error } = this.describeVerdict(verdict);
+        el.textContent = label;
+        el.className = `message-verdict approval-verdict approval-verdict-${state}`;
+        el.title = [`${mode} verdict`, error, ...issues.map(issue => `• ${issue}`)].filter(Boolean).join('\n');
+        el.hidden = false;
     }
 
-    // Download output - wrapper for unified export handler
-    downloadOutput(format) {
-        this.handleExport('output', format);
+    // Attach a verdict that arrives right after its reviewer message completes
+    applyReviewerVerdict(messageId, verdict) {
+        const message = this.messages.find(m => m.messageId === messageId);
+        if (message) {
+            message.verdict = verdict;
+        }
+
+        this.renderMessageVerdict(messageId, verdict);
+        this.refreshTraceFilter();
     }
 
-    // Export transcript - wrapper for unified export handler
-    exportTranscript(format) {
-        this.handleExport('transcript', format);
+    /**
+     * Aggregate token usage and cost of the session's messages per persona.
+     * Reads sessionUsage rather than the trace, so clearing the trace does not reset the totals.
+     * @returns {{ personas: Array, total: Object }}
+     */
+    getUsageTotals() {
+        const empty = () => ({ messages: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpriced: 0, estimated: 0 });
+        const personas = new Map();
+        const total = empty();
+
+        this.sessionUsage.forEach(m => {
+            if (!personas.has(m.persona)) {
+                personas.set(m.persona, { persona: m.persona, ...empty() });
+            }
+
+            [personas.get(m.persona), total].forEach(t => {
+                t.messages++;
+                t.promptTokens += m.usage.promptTokens;
+                t.completionTokens += m.usage.completionTokens;
+                if (m.usage.estimatedCost != null) {
+                    t.cost += m.usage.estimatedCost;
+                } else {
+                    t.unpriced++;
+                }
+                if (m.usage.isEstimated) t.estimated++;
+            });
+        });
+
+        return { personas: [...personas.values()], total };
     }
 
-    // Download blob as file
-    downloadBlob(blob, filename) {
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    // Update the running usage total in the status bar
+    updateUsageSummary() {
+        if (!this.dom.usageSummary) return;
+
+        const { total } = this.getUsageTotals();
+        const tokens = total.promptTokens + total.completionTokens;
+        const cost = total.messages > total.unpriced ? ` · ${this.formatCost(total.cost)}` : '';
+        this.dom.usageSummary.textContent = `${total.estimated ? '~' : ''}${this.formatTokens(tokens)} tokens${cost}`;
     }
 
-    // Show export modal with context (transcript or finalOutput)
-    showExportModal(context = 'transcript') {
-        this.exportContext = context;
-        const modal = document.getElementById('exportModal');
-        const title = document.getElementById('exportModalTitle');
-        const btn1 = document.getElementById('btnExportOption1');
-        const btn2 = document.getElementById('btnExportOption2');
-
-        if (context === 'transcript') {
-            // Session transcript export
-            title.textContent = 'Export Session Transcript';
-            btn1.textContent = 'Download as JSON';
-            btn2.textContent = 'Download as Markdown';
+    // Show the per-persona usage breakdown
+    showUsageBreakdown() {
+        const { personas, total } = this.getUsageTotals();
+        const container = document.getElementById('usageBreakdown');
+
+        if (total.messages === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No token usage recorded for this session yet.</p></div>';
         } else {
-            // Final output export
-            title.textContent = 'Download Final Output';
-            btn1.textContent = 'Download as Markdown';
-            btn2.textContent = 'Download as TXT';
+            const costCell = t => t.messages > t.unpriced
+                ? `${this.formatCost(t.cost)}${t.unpriced ? '*' : ''}`
+                : '—';
+            const row = (label, t, cls = '') => `
+                <tr class="${cls}">
+                    <td>${this.escapeHtml(label)}</td>
+                    <td>${t.messages}</td>
+                    <td>${t.promptTokens.toLocaleString()}</td>
+                    <td>${t.completionTokens.toLocaleString()}</td>
+                    <td>${costCell(t)}</td>
+                </tr>`;
+
+            container.innerHTML = `
+                <table class="usage-table">
+                    <thead>
+                        <tr><th>Persona</th><th>Messages</th><th>Prompt</th><th>Completion</th><th>Est. cost</th></tr>
+                    </thead>
+                    <tbody>
+                        ${personas.map(p => row(p.persona, p)).join('')}
+                        ${row('Total', total, 'usage-total-row')}
+                    </tbody>
+                </table>
+                ${total.unpriced ? '<p class="usage-note">* Some messages used models without prices. Set per-model prices on the Settings page.</p>' : ''}
+                ${total.estimated ? '<p class="usage-note">Some counts are estimated from text length because the provider did not report usage.</p>' : ''}
+            `;
         }
 
-        modal.classList.remove('hidden');
+        document.getElementById('usageModal').classList.remove('hidden');
     }
 
-    // Close export modal
-    closeExportModal() {
-        document.getElementById('exportModal').classList.add('hidden');
-        this.exportContext = null;
+    // Close usage breakdown modal
+    closeUsageBreakdown() {
+        document.getElementById('usageModal').classList.add('hidden');
     }
 
-    // Handle first export option button
-    handleExportOption1() {
-        if (this.exportContext === 'transcript') {
-            this.exportTranscript('json');
+    // Run a message event now, or queue it while a resync is being applied
+    handleStreamEvent(apply) {
+        if (this.resyncPromise) {
+            this.pendingStreamEvents.push(apply);
         } else {
-            this.downloadOutput('md');
+            apply();
         }
     }
 
-    // Handle second export option button
-    handleExportOption2() {
-        if (this.exportContext === 'transcript') {
-            this.exportTranscript('md');
-        } else {
-            this.downloadOutput('txt');
+    // Fetch stored and in-flight messages from the server and rebuild the trace from them
+    resyncSession() {
+        if (!this.currentSessionId) return Promise.resolve();
+        if (this.resyncPromise) return this.resyncPromise;
+
+        this.resyncPromise = (async () => {
+            try {
+                const result = await this.connection.invoke('ResyncSession', this.currentSessionId);
+                if (!result.success) {
+                    throw new Error(result.errorMessage || 'Resync failed');
+                }
+
+                this.applySessionResync(result);
+            } catch (error) {
+                console.error('Failed to resync session:', error);
+                this.showToast('Failed to recover missed messages', 'warning');
+            } finally {
+                this.resyncPromise = null;
+
+                // Replay events that arrived meanwhile; duplicates are dropped by sequence and message ID
+                const pending = this.pendingStreamEvents;
+                this.pendingStreamEvents = [];
+                pending.forEach(apply => apply());
+            }
+        })();
+
+        return this.resyncPromise;
+    }
+
+    // Patch the trace and session state from a resync snapshot
+    applySessionResync(result) {
+        this.restoreTrace(result.messages);
+
+        if (result.status === 'Running') {
+            this.ensureIterationHeader(result.currentIteration);
+        }
+
+        // Re-open cards for messages still streaming, seeded with the content sent so far
+        result.streamingMessages.forEach(message => {
+            this.ensureIterationHeader(message.iteration);
+            this.startStreamingMessage(message.messageId, message.persona, message.iteration);
+            this.appendToStreamingMessage(message.messageId, message.content);
+            this.streamingMessages.get(message.messageId).sequence = message.sequence;
+        });
+
+        this.updateIterationCount(result.currentIteration);
+        this.updateStatus(result.status);
+
+        // The run finished while we were offline
+        if (this.isRunning && result.status !== 'Running') {
+            this.isRunning = false;
+            this.stopTimer();
+
+            if (result.finalContent) {
+                this.renderFinalOutput(result.finalContent);
+            }
+
+            this.updateUIState();
+            this.loadFeedbackRounds();
         }
     }
 
-    // Create toast container
-    createToastContainer() {
-        const container = document.createElement('div');
-        container.className = 'toast-container';
-        container.id = 'toastContainer';
-        document.body.appendChild(container);
+    // Clear trace viewer
+    clearTrace() {
+        const traceViewer = document.getElementById('traceViewer');
+        traceViewer.innerHTML = `
+            <div class="empty-state">
+                <p>No messages yet. Configure your personas and click Start to begin the orchestration loop.</p>
+            </div>
+        `;
+        this.messages = [];
+        this.streamingMessages.clear();
+        this.traceCards.clear();
+        this.traceSearch.matches = [];
+        this.traceSearch.index = -1;
+        this.updateTraceSearchCount();
+        this.updateUsageSummary();
     }
 
-    // Show toast notification
-    showToast(message, type = 'info') {
-        const container = document.getElementById('toastContainer');
-        const toast = document.createElement('div');
-        toast.className = `toast ${type}`;
-        toast.textContent = message;
-        container.appendChild(toast);
+    // The element that scrolls the trace (the interactions lightbox body)
+    getTraceScroller() {
+        const traceViewer = document.getElementById('traceViewer');
+        return traceViewer.closest('.lightbox-body') || traceViewer;
+    }
 
-        setTimeout(() => {
-            toast.remove();
-        }, 4000);
+    // Scroll trace to bottom
+    scrollToBottom() {
+        const scroller = this.getTraceScroller();
+        scroller.scrollTop = scroller.scrollHeight;
     }
 
-    // Open session settings flyout
-    openSessionSettings() {
-        const flyout = document.getElementById('sessionSettingsFlyout');
-        flyout.classList.remove('hidden');
+    // Find a message card whether it is on the trace or currently swapped out for a placeholder
+    getMessageCard(messageId) {
+        return this.traceCards.get(messageId)?.card || document.getElementById(`msg-${messageId}`);
     }
 
-    // Close session settings flyout
-    closeSessionSettings() {
-        const flyout = document.getElementById('sessionSettingsFlyout');
-        flyout.classList.add('hidden');
+    // --- Trace virtualization ---
+
+    /**
+     * Track a completed message card so it can be swapped for a fixed-height placeholder while out of view
+     * @param {string} messageId - Message ID
+     * @param {HTMLElement} card - Message card element
+     * @param {boolean} rendered - Whether the card content is already rendered
+     * @returns {Object} - The trace card record
+     */
+    registerTraceCard(messageId, card, rendered = true) {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'message-placeholder';
+        placeholder.dataset.messageId = messageId;
+
+        const record = { card, placeholder, rendered };
+        this.traceCards.set(messageId, record);
+        this.scheduleTraceWindowUpdate();
+        return record;
     }
 
-    // Open interaction stream lightbox
-    openInteractionStream() {
-        const lightbox = document.getElementById('interactionStreamLightbox');
-        lightbox.classList.remove('hidden');
+    // Rough card height for content that has never been rendered
+    estimateMessageHeight(content) {
+        const lines = (content || '').split('\n')
+            .reduce((count, line) => count + Math.max(1, Math.ceil(line.length / 120)), 0);
+        return 48 + lines * 24;
+    }
+
+    scheduleTraceWindowUpdate() {
+        if (!this.traceWindowFrame) {
+            this.traceWindowFrame = requestAnimationFrame(() => this.updateTraceWindow());
+        }
     }
 
-    // Close interaction stream lightbox
-    closeInteractionStream() {
-        const lightbox = document.getElementById('interactionStreamLightbox');
-        lightbox.classList.add('hidden');
+    // Keep only the cards within a screen of the visible area in the DOM
+    updateTraceWindow() {
+        this.traceWindowFrame = null;
+
+        const scroller = this.getTraceScroller();
+        // Nothing can be measured while the interactions lightbox is closed
+        if (!scroller.clientHeight || this.traceCards.size === 0) return;
+
+        const viewport = scroller.getBoundingClientRect();
+        const margin = scroller.clientHeight;
+        const wasAtBottom = scroller.scrollHeight - scroller.scrollTop - scroller.clientHeight < 4;
+
+        // Measure everything before swapping so the DOM changes don't force a layout per card
+        const changes = [];
+        this.traceCards.forEach(record => {
+            if (record.filtered) return;
+
+            const attached = record.card.isConnected;
+            const node = attached ? record.card : record.placeholder;
+            if (!node.isConnected) return;
+
+            const rect = node.getBoundingClientRect();
+            const visible = rect.bottom >= viewport.top - margin && rect.top <= viewport.bottom + margin;
+            if (visible !== attached) {
+                changes.push({ record, visible, height: rect.height });
+            }
+        });
+
+        changes.forEach(({ record, visible, height }) => {
+            if (visible) {
+                this.attachTraceCard(record);
+            } else {
+                this.detachTraceCard(record, height);
+            }
+        });
+
+        if (changes.length === 0) return;
+
+        if (wasAtBottom && document.getElementById('autoScroll').checked) {
+            this.scrollToBottom();
+        }
+
+        // Rendered cards rarely match their estimated height, so check the window again
+        if (changes.some(change => change.visible)) {
+            this.scheduleTraceWindowUpdate();
+        }
+    }
+
+    // Put a card back on the trace, rendering its content if it was dropped
+    attachTraceCard(record) {
+        if (!record.rendered) {
+            const contentEl = record.card.querySelector('.message-content');
+            this.renderMarkdown(contentEl, contentEl.dataset.rawContent);
+            this.highlightTraceMatches(contentEl);
+            record.rendered = true;
+        }
+        record.placeholder.replaceWith(record.card);
+    }
+
+    // Swap a card for a placeholder of the same height and drop its rendered content
+    detachTraceCard(record, height) {
+        record.placeholder.style.height = `${height}px`;
+        record.card.replaceWith(record.placeholder);
+        record.card.querySelector('.message-content').innerHTML = '';
+        record.rendered = false;
+    }
+
+    // --- Trace filter and search ---
+
+    // Whether any filter (other than the search text) is narrowing the trace
+    hasTraceFilter() {
+        const { persona, from, to, verdict } = this.traceFilter;
+        return !!(persona || from || to || verdict);
+    }
+
+    // Read the filter bar and re-apply it to the trace
+    onTraceFilterChange() {
+        const from = parseInt(document.getElementById('traceFilterFrom').value, 10);
+        const to = parseInt(document.getElementById('traceFilterTo').value, 10);
+        this.traceFilter = {
+            persona: document.getElementById('traceFilterPersona').value,
+            from: Number.isNaN(from) ? null : from,
+            to: Number.isNaN(to) ? null : to,
+            verdict: document.getElementById('traceFilterVerdict').value
+        };
+        this.applyTraceFilter();
+    }
+
+    // Clear all filters and the search
+    resetTraceFilters() {
+        document.getElementById('traceFilterPersona').value = '';
+        document.getElementById('traceFilterFrom').value = '';
+        document.getElementById('traceFilterTo').value = '';
+        document.getElementById('traceFilterVerdict').value = '';
+        document.getElementById('traceSearch').value = '';
+        this.traceSearch.query = '';
+        this.onTraceFilterChange();
+    }
+
+    // Fill the persona filter with the Creator and every reviewer configured or seen on the trace
+    populateTraceFilterPersonas() {
+        const select = document.getElementById('traceFilterPersona');
+        const current = select.value;
+        const names = new Set(['Creator']);
+        this.reviewers.forEach(r => names.add(r.name));
+        this.messages.forEach(m => names.add(m.persona));
+        this.streamingMessages.forEach(stream => names.add(stream.persona));
+
+        select.innerHTML = '<option value="">All personas</option>';
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = names.has(current) ? current : '';
+    }
+
+    /**
+     * Check a message against the current filter
+     * @param {{persona: string, iteration: number, content: string}} message - Trace message
+     * @returns {boolean} - Whether the message should be shown
+     */
+    matchesTraceFilter(message) {
+        const { persona, from, to, verdict } = this.traceFilter;
+        if (persona && message.persona !== persona) return false;
+        if (from && message.iteration < from) return false;
+        if (to && message.iteration > to) return false;
+
+        if (verdict) {
+            // Verdicts only exist for reviewer messages
+            if (message.persona === 'Creator') return false;
+            const approved = message.verdict ? message.verdict.approved : APPROVAL_PATTERN.test(message.content || '');
+            if (approved !== (verdict === 'approved')) return false;
+        }
+        return true;
+    }
+
+    // Show or hide every message card and iteration header according to the filter, then refresh the search
+    applyTraceFilter() {
+        const active = this.hasTraceFilter();
+        const visibleIterations = new Set();
+
+        this.messages.forEach(message => {
+            const visible = !active || this.matchesTraceFilter(message);
+            const record = this.traceCards.get(message.messageId);
+            if (record) this.setTraceRecordFiltered(record, !visible);
+            if (visible) visibleIterations.add(message.iteration);
+        });
+
+        // Streaming messages are checked against the text received so far and again when they complete
+        this.streamingMessages.forEach((stream, messageId) => {
+            const visible = !active || this.matchesTraceFilter({ persona: stream.persona, iteration: stream.iteration, content: stream.text });
+            const card = document.getElementById(`msg-${messageId}`);
+            if (card) card.hidden = !visible;
+            if (visible) visibleIterations.add(stream.iteration);
+        });
+
+        document.querySelectorAll('#traceViewer .iteration-header').forEach(header => {
+            header.hidden = active && !visibleIterations.has(Number(header.dataset.iteration));
+        });
+
+        this.scheduleTraceWindowUpdate();
+        this.runTraceSearch();
+    }
+
+    // Re-apply the filter and search after the trace changed, if either is in use
+    refreshTraceFilter() {
+        if (this.hasTraceFilter() || this.traceSearch.query) {
+            this.applyTraceFilter();
+        }
+    }
+
+    // Take a completed card out of the trace (or put it back) without losing its place
+    setTraceRecordFiltered(record, filtered) {
+        if (filtered === !!record.filtered) return;
+
+        record.filtered = filtered;
+        if (filtered && record.card.isConnected) {
+            this.detachTraceCard(record, record.card.getBoundingClientRect().height);
+        }
+        record.placeholder.hidden = filtered;
+    }
+
+    // Debounce search typing
+    onTraceSearchInput() {
+        if (this._traceSearchTimer) clearTimeout(this._traceSearchTimer);
+        this._traceSearchTimer = setTimeout(() => {
+            this.traceSearch.query = document.getElementById('traceSearch').value.trim();
+            this.traceSearch.index = -1;
+            this.runTraceSearch();
+            if (this.traceSearch.matches.length > 0) this.goToTraceMatch(1);
+        }, 200);
+    }
+
+    // Start offsets of the case-insensitive occurrences of a lowercase query
+    findOccurrences(text, query) {
+        const haystack = text.toLowerCase();
+        const offsets = [];
+        for (let i = haystack.indexOf(query); i >= 0; i = haystack.indexOf(query, i + query.length)) {
+            offsets.push(i);
+        }
+        return offsets;
+    }
+
+    // The rendered text of a completed card, which is what the highlights are placed in
+    getTraceSearchText(record) {
+        if (record.searchText === undefined) {
+            const contentEl = record.card.querySelector('.message-content');
+            if (record.rendered) {
+                record.searchText = contentEl.textContent;
+            } else {
+                // Parse into an inert template so a card scrolled out of view can still be counted
+                const scratch = document.createElement('template');
+                scratch.innerHTML = this.markdownToHtml(contentEl.dataset.rawContent || '');
+                record.searchText = scratch.content.textContent;
+            }
+        }
+        return record.searchText;
+    }
+
+    /**
+     * Find all matches of the search query in completed, unfiltered messages and re-highlight the rendered cards.
+     * Matches are counted in the rendered text so the counter and the highlights agree.
+     * The current match is kept when the results are refreshed while messages keep arriving.
+     */
+    runTraceSearch() {
+        const query = this.traceSearch.query.toLowerCase();
+        const previous = this.traceSearch.matches[this.traceSearch.index];
+        const matches = [];
+
+        if (query) {
+            this.messages.forEach(message => {
+                const record = this.traceCards.get(message.messageId);
+                if (!record || record.filtered) return;
+                const count = this.findOccurrences(this.getTraceSearchText(record), query).length;
+                for (let occurrence = 0; occurrence < count; occurrence++) {
+                    matches.push({ messageId: message.messageId, occurrence });
+                }
+            });
+        }
+
+        this.traceSearch.matches = matches;
+        this.traceSearch.index = previous
+            ? matches.findIndex(m => m.messageId === previous.messageId && m.occurrence === previous.occurrence)
+            : -1;
+
+        this.traceCards.forEach(record => {
+            if (record.card.isConnected) this.highlightTraceMatches(record.card.querySelector('.message-content'));
+        });
+        this.markCurrentTraceMatch();
+        this.updateTraceSearchCount();
+    }
+
+    /**
+     * Wrap search matches in a rendered message with <mark> elements.
+     * A match that spans inline formatting gets one mark per text node, all tagged with the same occurrence.
+     */
+    highlightTraceMatches(contentEl) {
+        contentEl.querySelectorAll('mark.trace-match').forEach(mark => mark.replaceWith(mark.textContent));
+        contentEl.normalize();
+
+        const query = this.traceSearch.query.toLowerCase();
+        if (!query) return;
+
+        const offsets = this.findOccurrences(contentEl.textContent, query);
+        if (offsets.length === 0) return;
+
+        const walker = document.createTreeWalker(contentEl, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        // Offsets are in textContent, which is the text nodes joined in document order
+        let nodeStart = 0;
+        let occurrence = 0;
+        nodes.forEach(node => {
+            const text = node.nodeValue;
+            if (!text) return;
+            const nodeEnd = nodeStart + text.length;
+
+            // Skip matches that ended before this node
+            while (occurrence < offsets.length && offsets[occurrence] + query.length <= nodeStart) occurrence++;
+
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            for (let i = occurrence; i < offsets.length && offsets[i] < nodeEnd; i++) {
+                const from = Math.max(offsets[i], nodeStart) - nodeStart;
+                const to = Math.min(offsets[i] + query.length, nodeEnd) - nodeStart;
+                fragment.append(text.slice(last, from));
+                const mark = document.createElement('mark');
+                mark.className = 'trace-match';
+                mark.dataset.occurrence = i;
+                mark.textContent = text.slice(from, to);
+                fragment.append(mark);
+                last = to;
+            }
+
+            if (last > 0) {
+                fragment.append(text.slice(last));
+                node.replaceWith(fragment);
+            }
+            nodeStart = nodeEnd;
+        });
+    }
+
+    // Move to the next (1) or previous (-1) match
+    goToTraceMatch(direction) {
+        const count = this.traceSearch.matches.length;
+        if (count === 0) return;
+
+        this.traceSearch.index = this.traceSearch.index < 0
+            ? (direction > 0 ? 0 : count - 1)
+            : (this.traceSearch.index + direction + count) % count;
+
+        // Stop auto-scroll from pulling the view away from the match
+        document.getElementById('autoScroll').checked = false;
+
+        const match = this.traceSearch.matches[this.traceSearch.index];
+        const record = this.traceCards.get(match.messageId);
+        if (record && !record.card.isConnected) {
+            this.attachTraceCard(record);
+        }
+
+        const mark = this.markCurrentTraceMatch();
+        if (mark) mark.scrollIntoView({ block: 'center' });
+        this.updateTraceSearchCount();
+    }
+
+    // Flag the current match; returns its element when the card is rendered
+    markCurrentTraceMatch() {
+        document.querySelectorAll('#traceViewer mark.trace-match.current').forEach(mark => mark.classList.remove('current'));
+
+        const match = this.traceSearch.matches[this.traceSearch.index];
+        const card = match && this.traceCards.get(match.messageId)?.card;
+        if (!card || !card.isConnected) return null;
+
+        const marks = card.querySelectorAll(`mark.trace-match[data-occurrence="${match.occurrence}"]`);
+        marks.forEach(mark => mark.classList.add('current'));
+        return marks[0] || null;
+    }
+
+    updateTraceSearchCount() {
+        const countEl = document.getElementById('traceSearchCount');
+        const { query, matches, index } = this.traceSearch;
+
+        if (!query) {
+            countEl.textContent = '';
+        } else if (matches.length === 0) {
+            countEl.textContent = 'No matches';
+        } else {
+            countEl.textContent = `${index >= 0 ? index + 1 : 0} / ${matches.length}`;
+        }
+    }
+
+    // Copy message content
+    copyMessageContent(messageId) {
+        const contentEl = this.getMessageCard(messageId)?.querySelector('.message-content');
+        if (contentEl) {
+            const text = contentEl.dataset.rawContent || this.streamingMessages.get(messageId)?.text || contentEl.textContent;
+            navigator.clipboard.writeText(text)
+                .then(() => this.showToast('Copied to clipboard', 'success'))
+                .catch(() => this.showToast('Failed to copy', 'error'));
+        }
+    }
+
+    // Toggle message expand/collapse
+    toggleMessageExpand(messageId) {
+        const contentEl = this.getMessageCard(messageId)?.querySelector('.message-content');
+        if (contentEl) {
+            contentEl.classList.toggle('collapsed');
+            this.scheduleTraceWindowUpdate();
+        }
+    }
+
+    // Copy final output
+    copyOutput() {
+        const output = this.dom.finalOutput.value;
+        if (output) {
+            navigator.clipboard.writeText(output)
+                .then(() => this.showToast('Copied to clipboard', 'success'))
+                .catch(() => this.showToast('Failed to copy', 'error'));
+        } else {
+            this.showToast('No output to copy', 'warning');
+        }
+    }
+
+    /**
+     * Generic export handler for output and transcript downloads
+     * @param {string} exportType - 'output' or 'transcript'
+     * @param {string} format - File format (md, txt, json, html, docx, print)
+     */
+    async handleExport(exportType, format) {
+        // Open the print window before any await so popup blockers treat it as user-initiated
+        const printWindow = format === 'print' ? window.open('', '_blank') : null;
+
+        if (exportType === 'output' && !this.dom.finalOutput.value) {
+            printWindow?.close();
+            this.showToast('No output to download', 'warning');
+            this.closeExportModal();
+            return;
+        }
+        if (exportType === 'transcript' && this.messages.length === 0) {
+            printWindow?.close();
+            this.showToast('No transcript to export', 'warning');
+            this.closeExportModal();
+            return;
+        }
+
+        this.closeExportModal();
+
+        const prefix = exportType === 'output' ? 'dxo-output' : 'dxo-transcript';
+        const filename = `${prefix}-${Date.now()}.${format}`;
+
+        if (['html', 'docx', 'print'].includes(format)) {
+            if (format === 'print' && !printWindow) {
+                this.showToast('Allow pop-ups to open the print report', 'warning');
+                return;
+            }
+
+            try {
+                const report = await this.buildExportReport(exportType === 'transcript');
+
+                if (format === 'print') {
+                    printWindow.document.open();
+                    printWindow.document.write(DxoExport.buildHtml(report, true));
+                    printWindow.document.close();
+                    printWindow.focus();
+                    printWindow.onafterprint = () => printWindow.close();
+                    // Give the new document a moment to lay out before printing
+                    setTimeout(() => printWindow.print(), 250);
+                    return;
+                }
+
+                const blob = format === 'html'
+                    ? new Blob([DxoExport.buildHtml(report)], { type: 'text/html' })
+                    : DxoExport.buildDocx(report);
+                this.downloadBlob(blob, filename);
+            } catch (error) {
+                console.error('Export failed:', error);
+                printWindow?.close();
+                this.showToast('Export failed: ' + error.message, 'error');
+                return;
+            }
+        } else {
+            let content;
+            if (exportType === 'output') {
+                content = this.dom.finalOutput.value;
+            } else if (format === 'json') {
+                content = JSON.stringify({
+                    sessionId: this.currentSessionId,
+                    exportedAt: new Date().toISOString(),
+                    messages: this.messages
+                }, null, 2);
+            } else {
+                content = this.messages
+                    .map(m => `## ${m.persona}\n\n${m.content}\n\n---\n`)
+                    .join('\n');
+            }
+
+            this.downloadBlob(new Blob([content], { type: 'text/plain' }), filename);
+        }
+
+        const successMsg = exportType === 'output' ? 'Output downloaded' : 'Transcript exported';
+        this.showToast(successMsg, 'success');
+    }
+
+    /**
+     * Collect everything a document export needs into a single report object.
+     * Uses the stored session when there is one and falls back to local state otherwise.
+     * @param {boolean} includeTranscript - Include metadata, council, approvals and messages
+     */
+    async buildExportReport(includeTranscript) {
+        let session = null;
+        let feedbackRounds = [];
+
+        if (this.currentSessionId) {
+            // Either part can fail on its own; the report then falls back to what the page shows
+            [session, feedbackRounds] = await Promise.all([
+                DxoApi.session.get(this.currentSessionId).catch(() => null),
+                DxoApi.session.feedbackRounds(this.currentSessionId).catch(() => [])
+            ]);
+        }
+
+        const title = session?.name || this.dom.sessionName?.value || 'AI Decision Council Report';
+        const report = {
+            title,
+            subtitle: `Exported ${new Date().toLocaleString()}`,
+            metadata: [],
+            council: null,
+            approvals: null,
+            finalOutput: session?.finalContent || this.dom.finalOutput.value,
+            transcript: null
+        };
+
+        if (!includeTranscript) {
+            return report;
+        }
+
+        if (session) {
+            report.metadata = [
+                ['Session ID', session.sessionId],
+                ['Status', session.status],
+                ['Stop reason', session.stopReason],
+                ['Iterations', `${session.currentIteration} of ${session.maxIterations}`],
+                ['Run mode', session.runMode],
+                ['Created', new Date(session.createdAt).toLocaleString()],
+                ['Last updated', new Date(session.updatedAt).toLocaleString()]
+            ];
+            if (session.topic) {
+                report.metadata.push(['Topic', session.topic]);
+            }
+            const attachments = this.parseAttachments(session.attachmentsJson);
+            if (attachments.length > 0) {
+                report.metadata.push(['Reference documents', attachments.map(a => a.name).join(', ')]);
+            }
+        }
+
+        report.council = this.getExportCouncil(session);
+        report.approvals = this.getExportApprovals(feedbackRounds);
+
+        if (session?.messages?.length) {
+            report.transcript = session.messages
+                .filter(m => m.role === 'Assistant')
+                .map(m => ({
+                    iteration: m.iteration,
+                    persona: m.reviewerName || 'Creator',
+                    timestamp: new Date(m.createdAt).toLocaleString(),
+                    content: m.content
+                }));
+        } else {
+            report.transcript = this.messages.map(m => ({
+                iteration: m.iteration,
+                persona: m.persona,
+                timestamp: new Date(m.timestamp).toLocaleString(),
+                content: m.content
+            }));
+        }
+
+        return report;
+    }
+
+    // Council models and temperatures from the stored session, or the current form when unsaved
+    getExportCouncil(session) {
+        try {
+            if (session?.creatorConfigJson) {
+                // Configs are stored server-side with PascalCase property names
+                const creator = JSON.parse(session.creatorConfigJson);
+                const reviewers = session.reviewersConfigJson ? JSON.parse(session.reviewersConfigJson) : [];
+                return {
+                    creator: { model: creator.Model, temperature: creator.Temperature },
+                    reviewers: reviewers.map(r => ({ name: r.Name, model: r.Model, temperature: r.Temperature }))
+                };
+            }
+        } catch (error) {
+            console.error('Failed to parse session persona configuration:', error);
+        }
+
+        const request = this.buildSessionRequest();
+        return {
+            creator: { model: request.creatorModel, temperature: request.creatorTemperature },
+            reviewers: request.reviewers.map(r => ({ name: r.name, model: r.model, temperature: r.temperature }))
+        };
+    }
+
+    // Per-iteration reviewer approvals from feedback rounds
+    getExportApprovals(feedbackRounds) {
+        const { iterations, reviewers } = this.buildApprovalMatrix(feedbackRounds);
+        const rows = iterations.map(iteration => {
+            const approvals = {};
+            reviewers.forEach(r => {
+                if (r.cells[iteration]) approvals[r.name] = r.cells[iteration].approved;
+            });
+            const round = feedbackRounds.find(fr => fr.iteration === iteration);
+            return { iteration, approvals, allApproved: round.allReviewersApproved };
+        });
+
+        return { reviewers: reviewers.map(r => r.name), rows };
+    }
+
+    // Download blob as file
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // Show export modal with context (transcript or finalOutput)
+    showExportModal(context = 'transcript') {
+        this.exportContext = context;
+        const isTranscript = context === 'transcript';
+        const options = isTranscript
+            ? [
+                ['json', 'JSON', 'Raw messages for re-import or tooling'],
+                ['md', 'Markdown', 'Plain transcript text'],
+                ['html', 'HTML', 'Styled standalone report'],
+                ['docx', 'Word (DOCX)', 'Editable document for sharing'],
+                ['print', 'Print / PDF', 'Print-optimized report']
+            ]
+            : [
+                ['md', 'Markdown', 'Final output as written'],
+                ['txt', 'TXT', 'Plain text'],
+                ['html', 'HTML', 'Styled standalone page'],
+                ['docx', 'Word (DOCX)', 'Editable document for sharing'],
+                ['print', 'Print / PDF', 'Print-optimized page']
+            ];
+
+        this.dom.exportModalTitle.textContent = isTranscript ? 'Export Session Transcript' : 'Download Final Output';
+        this.dom.exportOptions.innerHTML = options.map(([format, label, description]) => `
+            <button class="btn btn-secondary export-option" data-format="${format}">
+                <span class="export-option-label">${label}</span>
+                <span class="export-option-description">${description}</span>
+            </button>
+        `).join('');
+
+        this.dom.exportModal.classList.remove('hidden');
+    }
+
+    // Close export modal
+    closeExportModal() {
+        this.dom.exportModal.classList.add('hidden');
+        this.exportContext = null;
+    }
+
+    // Create toast container
+    createToastContainer() {
+        const container = document.createElement('div');
+        container.className = 'toast-container';
+        container.id = 'toastContainer';
+        document.body.appendChild(container);
+    }
+
+    // Show toast notification
+    showToast(message, type = 'info') {
+        const container = document.getElementById('toastContainer');
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+        toast.textContent = message;
+        container.appendChild(toast);
+
+        setTimeout(() => {
+            toast.remove();
+        }, 4000);
+    }
+
+    // Open session settings flyout
+    openSessionSettings() {
+        const flyout = document.getElementById('sessionSettingsFlyout');
+        flyout.classList.remove('hidden');
+    }
+
+    // Close session settings flyout
+    closeSessionSettings() {
+        const flyout = document.getElementById('sessionSettingsFlyout');
+        flyout.classList.add('hidden');
+    }
+
+    // Open interaction stream lightbox
+    openInteractionStream() {
+        const lightbox = document.getElementById('interactionStreamLightbox');
+        lightbox.classList.remove('hidden');
+        this.populateTraceFilterPersonas();
+        this.scheduleTraceWindowUpdate();
+    }
+
+    // Close interaction stream lightbox
+    closeInteractionStream() {
+        const lightbox = document.getElementById('interactionStreamLightbox');
+        lightbox.classList.add('hidden');
+    }
+
+    // Open session library flyout
+    async openSessionLibrary() {
+        const flyout = document.getElementById('sessionLibraryFlyout');
+        flyout.classList.remove('hidden');
+
+        // Reload every time the flyout opens so new runs show up
+        await this.loadSessionLibrary();
+    }
+
+    // Close session library flyout
+    closeSessionLibrary() {
+        const flyout = document.getElementById('sessionLibraryFlyout');
+        flyout.classList.add('hidden');
+    }
+
+    // Load one page of past sessions from the server
+    async loadSessionLibrary() {
+        const list = document.getElementById('sessionLibraryList');
+        list.innerHTML = '<p class="session-library-message">Loading sessions...</p>';
+
+        const { page, pageSize, search, sortBy, descending } = this.sessionLibrary;
+        const params = new URLSearchParams({ page, pageSize, sortBy, descending });
+        if (search) {
+            params.set('search', search);
+        }
+
+        try {
+            const result = await DxoApi.session.list(params);
+            this.sessionLibrary.page = result.page;
+            this.sessionLibrary.totalCount = result.totalCount;
+            this.renderSessionLibrary(result.items);
+        } catch (error) {
+            console.error('Failed to load session library:', error);
+            list.innerHTML = '<p class="session-library-message error">Failed to load sessions. Please try again.</p>';
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Render session library entries and paging controls
+    renderSessionLibrary(sessions) {
+        const list = document.getElementById('sessionLibraryList');
+        const { page, pageSize, totalCount, search } = this.sessionLibrary;
+        const totalPages = Math.max(1, Math.ceil(totalCount / pageSize));
+
+        document.getElementById('sessionLibraryPageInfo').textContent =
+            totalCount > 0 ? `Page ${page} of ${totalPages} · ${totalCount} session${totalCount !== 1 ? 's' : ''}` : '';
+        document.getElementById('btnSessionLibraryPrev').disabled = page <= 1;
+        document.getElementById('btnSessionLibraryNext').disabled = page >= totalPages;
+
+        if (!sessions || sessions.length === 0) {
+            const message = search ? 'No sessions match your search.' : 'No sessions yet. Start a council run to see it here.';
+            list.innerHTML = `<p class="session-library-message">${message}</p>`;
+            return;
+        }
+
+        list.innerHTML = '';
+        sessions.forEach(session => {
+            list.appendChild(this.createSessionLibraryItem(session));
+        });
+    }
+
+    // Create a session library entry element
+    createSessionLibraryItem(session) {
+        const stopReasonLabels = {
+            FinalMarkerDetected: 'Final marker detected',
+            UserStopped: 'Stopped by user',
+            MaxIterationsReached: 'Max iterations reached',
+            ReviewerApproved: 'Reviewers approved',
+            Error: 'Error'
+        };
+
+        const item = document.createElement('div');
+        item.className = 'session-library-item';
+        if (session.sessionId === this.currentSessionId) {
+            item.classList.add('current');
+        }
+
+        const status = session.status || 'Created';
+        const stopReason = stopReasonLabels[session.stopReason];
+
+        item.innerHTML = `
+            <div class="session-library-item-header">
+                <h4 class="session-library-item-name">${this.escapeHtml(session.name)}</h4>
+                <span class="status-value status-${status.toLowerCase()}">${this.escapeHtml(status)}</span>
+            </div>
+            <p class="session-library-item-topic">${this.escapeHtml(session.topic || 'No topic')}</p>
+            <div class="session-library-item-meta">
+                <span>🔁 ${session.currentIteration} / ${session.maxIterations} iterations</span>
+                ${stopReason ? `<span>⏹ ${stopReason}</span>` : ''}
+                ${session.parentSessionId ? `<span>🌿 Forked from iteration ${session.forkedFromIteration}</span>` : ''}
+            </div>
+            <div class="session-library-item-meta">
+                <span title="Created">🕒 ${new Date(session.createdAt).toLocaleString()}</span>
+                <span title="Last updated">✏️ ${new Date(session.updatedAt).toLocaleString()}</span>
+            </div>
+            <div class="session-library-item-actions">
+                <button class="btn btn-small btn-primary btn-open-session">Open</button>
+                <button class="btn btn-small btn-danger btn-delete-session" title="Delete Session">🗑️</button>
+            </div>
+        `;
+
+        item.querySelector('.btn-open-session').addEventListener('click', () => this.openSessionFromLibrary(session.sessionId));
+        item.querySelector('.btn-delete-session').addEventListener('click', () => this.deleteSessionFromLibrary(session));
+
+        return item;
+    }
+
+    // Open a past session from the library
+    async openSessionFromLibrary(sessionId) {
+        if (this.isRunning && sessionId !== this.currentSessionId) {
+            const proceed = confirm('A session is currently running. It will keep running on the server, but this page will switch to the selected session. Continue?');
+            if (!proceed) return;
+        }
+
+        // Stop listening to the session we are leaving
+        if (this.currentSessionId && this.currentSessionId !== sessionId) {
+            try {
+                await this.connection.invoke('LeaveSession', this.currentSessionId);
+            } catch (error) {
+                console.warn('Failed to leave session group:', error);
+            }
+            this.renderPresence(null);
+        }
+
+        this.closeSessionLibrary();
+        this.resetTimer();
+        this.clearTrace();
+        this.clearFinalOutput();
+
+        this.updateSessionUrl(sessionId);
+        await this.restoreSession(sessionId);
+    }
+
+    // Create a new session seeded with an iteration's draft and switch to it
+    async forkFromIteration(iteration) {
+        if (!this.currentSessionId) return;
+
+        try {
+            const fork = await DxoApi.session.fork(this.currentSessionId, { iteration });
+            await this.openSessionFromLibrary(fork.sessionId);
+            this.showToast(`Forked from iteration ${iteration}. Press Start to explore this direction.`, 'success');
+        } catch (error) {
+            console.error('Failed to fork session:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Fetch and show the current session's parent chain and forks
+    async loadSessionLineage() {
+        if (!this.currentSessionId) {
+            this.renderSessionLineage(null);
+            return;
+        }
+
+        try {
+            this.renderSessionLineage(await DxoApi.session.lineage(this.currentSessionId));
+        } catch (error) {
+            console.error('Failed to load session lineage:', error);
+            this.renderSessionLineage(null);
+        }
+    }
+
+    /**
+     * Render the lineage bar: ancestors down to the current session, then its direct forks.
+     * Hidden for sessions that are neither a fork nor have been forked.
+     */
+    renderSessionLineage(lineage) {
+        const container = document.getElementById('sessionLineage');
+        const isFork = lineage && (lineage.ancestors.length > 0 || lineage.parentMissing);
+        if (!lineage?.current || (!isFork && lineage.forks.length === 0)) {
+            container.hidden = true;
+            container.innerHTML = '';
+            return;
+        }
+
+        const sessionLink = session => `<button class="session-lineage-link" onclick="dxoApp.openSessionFromLibrary('${session.sessionId}')"
+            title="Open this session">${this.escapeHtml(session.name)}</button>`;
+        const forkedAt = session => session.forkedFromIteration ? `<span class="session-lineage-iteration">(from iteration ${session.forkedFromIteration})</span>` : '';
+
+        let html = '';
+        if (isFork) {
+            const chain = lineage.ancestors.map((session, index) => sessionLink(session) + (index > 0 ? forkedAt(session) : ''));
+            if (lineage.parentMissing) {
+                chain.unshift('<span class="session-lineage-missing">Deleted session</span>');
+            }
+            chain.push(`<strong>This session</strong>${forkedAt(lineage.current)}`);
+            html += `<div class="session-lineage-row"><span class="session-lineage-label">🌿 Forked from</span>${chain.join('<span class="session-lineage-sep">›</span>')}</div>`;
+        }
+
+        if (lineage.forks.length > 0) {
+            const forks = lineage.forks.map(session => `${sessionLink(session)}${forkedAt(session)}`);
+            html += `<div class="session-lineage-row"><span class="session-lineage-label">🌱 Forks</span>${forks.join('<span class="session-lineage-sep">·</span>')}</div>`;
+        }
+
+        container.innerHTML = html;
+        container.hidden = false;
+    }
+
+    // Delete a past session from the library
+    async deleteSessionFromLibrary(session) {
+        if (!confirm(`Delete session "${session.name}"? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await DxoApi.session.remove(session.sessionId);
+
+            // If the open session was deleted, start fresh
+            if (session.sessionId === this.currentSessionId) {
+                this.resetSession();
+            }
+
+            this.showToast('Session deleted', 'info');
+
+            // Step back a page if we removed the last entry on this one
+            const remaining = this.sessionLibrary.totalCount - 1;
+            const lastPage = Math.max(1, Math.ceil(remaining / this.sessionLibrary.pageSize));
+            this.sessionLibrary.page = Math.min(this.sessionLibrary.page, lastPage);
+
+            await this.loadSessionLibrary();
+        } catch (error) {
+            console.error('Failed to delete session:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Open council presets flyout
+    async openCouncilPresets() {
+        document.getElementById('councilPresetsFlyout').classList.remove('hidden');
+        await this.loadCouncilPresets();
+    }
+
+    // Close council presets flyout
+    closeCouncilPresets() {
+        document.getElementById('councilPresetsFlyout').classList.add('hidden');
+    }
+
+    // Load the user's saved presets from the server
+    async loadCouncilPresets() {
+        const list = document.getElementById('councilPresetsList');
+        list.innerHTML = '<p class="session-library-message">Loading presets...</p>';
+
+        try {
+            const response = await fetch('/api/presets');
+            if (!response.ok) {
+                throw new Error('Failed to load presets');
+            }
+
+            this.councilPresets = await response.json();
+            this.renderCouncilPresets();
+        } catch (error) {
+            console.error('Failed to load council presets:', error);
+            list.innerHTML = '<p class="session-library-message error">Failed to load presets. Please try again.</p>';
+        }
+    }
+
+    // Render the preset list
+    renderCouncilPresets() {
+        const list = document.getElementById('councilPresetsList');
+
+        if (this.councilPresets.length === 0) {
+            list.innerHTML = '<p class="session-library-message">No presets yet. Save the current council to reuse it later.</p>';
+            return;
+        }
+
+        list.innerHTML = '';
+        this.councilPresets.forEach(preset => {
+            const reviewers = preset.config.reviewers || [];
+            const item = document.createElement('div');
+            item.className = 'session-library-item council-preset-item';
+
+            item.innerHTML = `
+                <div class="session-library-item-header">
+                    <h4 class="session-library-item-name">${this.escapeHtml(preset.name)}</h4>
+                </div>
+                <p class="session-library-item-topic">
+                    🎨 ${this.escapeHtml(preset.config.creatorModel || 'Default model')} ·
+                    ${reviewers.length} reviewer${reviewers.length !== 1 ? 's' : ''}${reviewers.length > 0 ? ': ' + this.escapeHtml(reviewers.map(r => r.name).join(', ')) : ''}
+                </p>
+                <div class="session-library-item-meta">
+                    <span title="Last updated">✏️ ${new Date(preset.updatedAt).toLocaleString()}</span>
+                </div>
+                <div class="session-library-item-actions">
+                    <button class="btn btn-small btn-primary" data-action="load">Load</button>
+                    <button class="btn btn-small btn-secondary" data-action="rename" title="Rename">✏️</button>
+                    <button class="btn btn-small btn-secondary" data-action="duplicate" title="Duplicate">⧉</button>
+                    <button class="btn btn-small btn-secondary" data-action="export" title="Export JSON">⬇</button>
+                    <button class="btn btn-small btn-danger" data-action="delete" title="Delete">🗑️</button>
+                </div>
+            `;
+
+            const actions = {
+                load: () => this.loadCouncilPreset(preset),
+                rename: () => this.renameCouncilPreset(preset),
+                duplicate: () => this.duplicateCouncilPreset(preset),
+                export: () => this.exportCouncilPreset(preset),
+                delete: () => this.deleteCouncilPreset(preset)
+            };
+            item.querySelectorAll('[data-action]').forEach(btn => {
+                btn.addEventListener('click', actions[btn.dataset.action]);
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    // Current council configuration: the session request without the topic
+    getCouncilPresetConfig() {
+        // Like the topic, attached documents belong to a session rather than to the council
+        const { topic, attachments, ...config } = this.buildSessionRequest();
+        // Presets keep parked reviewers so they come back disabled, with their template and prompt snapshots
+        config.reviewers = this.getReviewerConfigs(true).map(reviewerConfig => {
+            const reviewer = this.reviewers.find(r => r.id === reviewerConfig.id);
+            return { ...reviewerConfig, templateRole: reviewer?.templateRole, promptSnapshots: reviewer?.promptSnapshots ?? [] };
+        });
+        return config;
+    }
+
+    // Send a preset to the server and refresh the list
+    async createCouncilPreset(name, config) {
+        const response = await fetch('/api/presets', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, config })
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to save preset');
+        }
+
+        await this.loadCouncilPresets();
+    }
+
+    // Save the current council as a new preset
+    async saveCouncilPreset() {
+        const nameInput = document.getElementById('councilPresetName');
+        const name = nameInput.value.trim();
+        if (!name) {
+            this.showToast('Please enter a preset name', 'warning');
+            nameInput.focus();
+            return;
+        }
+
+        try {
+            await this.createCouncilPreset(name, this.getCouncilPresetConfig());
+            nameInput.value = '';
+            this.showToast(`Preset "${name}" saved`, 'success');
+        } catch (error) {
+            console.error('Failed to save council preset:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Apply a preset to the page
+    async loadCouncilPreset(preset) {
+        const config = preset.config;
+
+        // Session settings
+        if (config.name !== undefined) document.getElementById('sessionName').value = config.name;
+        if (config.maxIterations) document.getElementById('maxIterations').value = config.maxIterations;
+        if (config.stopMarker !== undefined) document.getElementById('stopMarker').value = config.stopMarker;
+        if (config.stopOnReviewerApproved !== undefined) document.getElementById('stopOnApproved').checked = config.stopOnReviewerApproved;
+        if (config.parallelReviewers !== undefined) document.getElementById('parallelReviewers').checked = config.parallelReviewers;
+        if (config.quorumRule) this.setQuorumRule(config.quorumRule, config.quorumOthersRequired);
+        if (config.runMode) document.getElementById('runMode').value = config.runMode;
+        if (config.promptVariables) this.setPromptVariables(config.promptVariables);
+
+        if (!this.currentSessionId) {
+            this.updateIterationCount(0);
+        }
+
+        await this.applyCouncilConfig(config);
+
+        this.closeCouncilPresets();
+        this.showToast(`Preset "${preset.name}" loaded`, 'success');
+    }
+
+    // Rename a preset
+    async renameCouncilPreset(preset) {
+        const name = prompt('Rename preset:', preset.name)?.trim();
+        if (!name || name === preset.name) return;
+
+        try {
+            const response = await fetch(`/api/presets/${preset.id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || 'Failed to rename preset');
+            }
+
+            await this.loadCouncilPresets();
+            this.showToast('Preset renamed', 'success');
+        } catch (error) {
+            console.error('Failed to rename council preset:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Duplicate a preset
+    async duplicateCouncilPreset(preset) {
+        try {
+            const response = await fetch(`/api/presets/${preset.id}/duplicate`, { method: 'POST' });
+            if (!response.ok) {
+                throw new Error('Failed to duplicate preset');
+            }
+
+            await this.loadCouncilPresets();
+            this.showToast('Preset duplicated', 'success');
+        } catch (error) {
+            console.error('Failed to duplicate council preset:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Delete a preset
+    async deleteCouncilPreset(preset) {
+        if (!confirm(`Delete preset "${preset.name}"?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/presets/${preset.id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                throw new Error('Failed to delete preset');
+            }
+
+            await this.loadCouncilPresets();
+            this.showToast('Preset deleted', 'info');
+        } catch (error) {
+            console.error('Failed to delete council preset:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Download a preset as a JSON file
+    exportCouncilPreset(preset) {
+        const content = JSON.stringify({
+            name: preset.name,
+            exportedAt: new Date().toISOString(),
+            config: preset.config
+        }, null, 2);
+
+        const safeName = preset.name.replace(/[^a-z0-9-_]+/gi, '-').toLowerCase();
+        this.downloadBlob(new Blob([content], { type: 'application/json' }), `dxo-preset-${safeName}.json`);
+    }
+
+    // Import a preset from an exported JSON file
+    async importCouncilPreset(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            if (!data || typeof data.config !== 'object' || !Array.isArray(data.config.reviewers)) {
+                throw new Error('File is not a council preset export');
+            }
+
+            const name = (data.name || file.name.replace(/\.json$/i, '')).trim();
+            const { topic, ...config } = data.config;
+            await this.createCouncilPreset(name, config);
+            this.showToast(`Preset "${name}" imported`, 'success');
+        } catch (error) {
+            console.error('Failed to import council preset:', error);
+            this.showToast(error instanceof SyntaxError ? 'Invalid JSON file' : error.message, 'error');
+        }
     }
 
     // Open reviewer selector flyout
@@ -1595,6 +4766,7 @@ Authoring rules:
 
             const config = await response.json();
             let reviewerTemplates = config.agents?.reviewers || [];
+            this.setReviewerTemplatePrompts(reviewerTemplates);
 
             if (reviewerTemplates.length === 0) {
                 grid.innerHTML = '<p style="color: var(--text-secondary); text-align: center;">No reviewer templates found.</p>';
@@ -1667,8 +4839,8 @@ Authoring rules:
         const formattedPrompt = template.prompt.replace(/\\n/g, '\n');
 
         // Add reviewer with template data
-        const reviewerNumber = this.reviewers.length + 1;
-        this.addReviewer(template.role, formattedPrompt);
+        const reviewerId = this.addReviewer(template.role, formattedPrompt);
+        this.setReviewerCategory(reviewerId, this.toReviewerCategory(template.category));
 
         // Close the flyout
         this.closeReviewerSelector();
@@ -1698,6 +4870,7 @@ Authoring rules:
 
             const config = await response.json();
             const jsonReviewers = config.agents?.reviewers || [];
+            this.setReviewerTemplatePrompts(jsonReviewers);
 
             // Create a map of JSON reviewers by role (name)
             const jsonReviewerMap = new Map();
@@ -1719,16 +4892,8 @@ Authoring rules:
 
                     // Only update if prompt has changed
                     if (reviewer.prompt !== formattedPrompt) {
-                        reviewer.prompt = formattedPrompt;
-
-                        // Update the prompt textarea in the DOM
-                        const card = document.querySelector(`[data-reviewer-id="${reviewer.id}"]`);
-                        if (card) {
-                            const promptTextarea = card.querySelector('.reviewer-prompt');
-                            if (promptTextarea) {
-                                promptTextarea.value = formattedPrompt;
-                            }
-                        }
+                        // Goes through the prompt history so the refresh can be undone
+                        this.setReviewerPromptText(reviewer.id, formattedPrompt);
                         updatedCount++;
                     }
                 } else {
@@ -1765,6 +4930,336 @@ Authoring rules:
         }
     }
 
+    // --- Reviewer prompt history and template drift ---
+
+    // Fetch the reviewer templates once so each card can show whether it drifted from its template
+    async loadReviewerTemplatePrompts() {
+        try {
+            const response = await fetch('/agentconfigurations.json');
+            if (!response.ok) {
+                throw new Error('Failed to load agent configurations');
+            }
+
+            const config = await response.json();
+            this.setReviewerTemplatePrompts(config.agents?.reviewers || []);
+        } catch (error) {
+            console.error('Failed to load reviewer templates for drift detection:', error);
+        }
+    }
+
+    setReviewerTemplatePrompts(templates) {
+        this.reviewerTemplatePrompts = new Map(templates.map(t => [t.role, t.prompt.replace(/\\n/g, '\n')]));
+        this.reviewers.forEach(reviewer => this.updatePromptHistoryControls(reviewer.id));
+    }
+
+    // The template prompt a reviewer came from, or null for a custom reviewer
+    getReviewerTemplatePrompt(reviewer) {
+        return this.reviewerTemplatePrompts?.get(reviewer.templateRole) ?? null;
+    }
+
+    // Record an edit once typing pauses, so a burst of keystrokes is one undo step
+    onReviewerPromptInput(reviewerId) {
+        const reviewer = this.reviewers.find(r => r.id === reviewerId);
+        if (!reviewer) return;
+
+        clearTimeout(reviewer.promptHistory.timer);
+        reviewer.promptHistory.timer = setTimeout(() => this.commitReviewerPromptVersion(reviewerId), 1000);
+        this.updatePromptHistoryControls(reviewerId);
+    }
+
+    commitReviewerPromptVersion(reviewerId) {
+        const reviewer = this.reviewers.find(r => r.id === reviewerId);
+        const card = document.querySelector(`[data-reviewer-id="${reviewerId}"]`);
+        if (!reviewer || !card) return;
+
+        const history = reviewer.promptHistory;
+        clearTimeout(history.timer);
+        history.timer = null;
+
+        const text = card.querySelector('.reviewer-prompt').value;
+        reviewer.prompt = text;
+        if (text === history.versions[history.index]) return;
+
+        // A new edit after undoing drops the versions that were undone
+        history.versions = history.versions.slice(0, history.index + 1);
+        history.versions.push(text);
+        if (history.versions.length > 50) history.versions.shift();
+        history.index = history.versions.length - 1;
+        this.updatePromptHistoryControls(reviewerId);
+    }
+
+    // Replace a reviewer's prompt as a new version in its history, so the change can be undone
+    setReviewerPromptText(reviewerId, text) {
+        const card = document.querySelector(`[data-reviewer-id="${reviewerId}"]`);
+        if (!card) return;
+
+        this.commitReviewerPromptVersion(reviewerId);
+        card.querySelector('.reviewer-prompt').value = text;
+        this.commitReviewerPromptVersion(reviewerId);
+        this.refreshPromptPreviews();
+    }
+
+    // Undo (-1) or redo (+1) a prompt edit
+    stepReviewerPromptHistory(reviewerId, direction) {
+        const reviewer = this.reviewers.find(r => r.id === reviewerId);
+        const card = document.querySelector(`[data-reviewer-id="${reviewerId}"]`);
+        if (!reviewer || !card) return;
+
+        // Typing that has not been recorded yet is the version to undo
+        this.commitReviewerPromptVersion(reviewerId);
+
+        const history = reviewer.promptHistory;
+        const index = history.index + direction;
+        if (index < 0 || index >= history.versions.length) return;
+
+        history.index = index;
+        reviewer.prompt = history.versions[index];
+        card.querySelector('.reviewer-prompt').value = reviewer.prompt;
+        this.updatePromptHistoryControls(reviewerId);
+        this.refreshPromptPreviews();
+    }
+
+    saveReviewerPromptSnapshot(reviewerId) {
+        const reviewer = this.reviewers.find(r => r.id === reviewerId);
+        if (!reviewer) return;
+
+        this.commitReviewerPromptVersion(reviewerId);
+        const name = prompt('Snapshot name:', `Snapshot ${reviewer.promptSnapshots.length + 1}`)?.trim();
+        if (!name) return;
+
+        reviewer.promptSnapshots.push({ name, text: reviewer.prompt, savedAt: new Date().toISOString() });
+        this.updatePromptHistoryControls(reviewerId);
+        this.showToast(`Snapshot "${name}" saved`, 'success');
+    }
+
+    restoreReviewerPromptSnapshot(reviewerId, index) {
+        const reviewer = this.reviewers.find(r => r.id === reviewerId);
+        const snapshot = reviewer?.promptSnapshots[index];
+        if (!snapshot) return;
+
+        this.setReviewerPromptText(reviewerId, snapshot.text);
+        this.showToast(`Restored snapshot "${snapshot.name}"`, 'info');
+    }
+
+    // Sync the undo/redo buttons, snapshot list, version counter and drift badge with a reviewer's state
+    updatePromptHistoryControls(reviewerId) {
+        const reviewer = this.reviewers.find(r => r.id === reviewerId);
+        const card = document.querySelector(`[data-reviewer-id="${reviewerId}"]`);
+        if (!reviewer || !card) return;
+
+        const history = reviewer.promptHistory;
+        const hasPendingEdit = history.timer !== null;
+        card.querySelector('.btn-prompt-undo').disabled = history.index === 0 && !hasPendingEdit;
+        card.querySelector('.btn-prompt-redo').disabled = history.index >= history.versions.length - 1 || hasPendingEdit;
+        card.querySelector('.prompt-history-status').textContent = history.versions.length > 1
+            ? `Version ${history.index + 1} of ${history.versions.length}`
+            : '';
+
+        const select = card.querySelector('.prompt-snapshot-select');
+        select.innerHTML = '';
+        select.add(new Option(reviewer.promptSnapshots.length > 0 ? 'Restore snapshot…' : 'No snapshots', ''));
+        reviewer.promptSnapshots.forEach((snapshot, index) => {
+            const savedAt = snapshot.savedAt ? ` (${new Date(snapshot.savedAt).toLocaleString()})` : '';
+            select.add(new Option(`${snapshot.name}${savedAt}`, index));
+        });
+        select.disabled = reviewer.promptSnapshots.length === 0;
+
+        // Drift is judged on the text in the box, including edits not yet recorded
+        const templatePrompt = this.getReviewerTemplatePrompt(reviewer);
+        const current = card.querySelector('.reviewer-prompt').value;
+        const drifted = templatePrompt !== null && current.trim() !== templatePrompt.trim();
+        card.querySelector('.reviewer-drift-badge').hidden = !drifted;
+
+        const diffButton = card.querySelector('.btn-prompt-diff');
+        diffButton.disabled = templatePrompt === null;
+        diffButton.title = templatePrompt === null
+            ? 'This reviewer was not added from a template'
+            : `Compare this prompt with the "${reviewer.templateRole}" template`;
+    }
+
+    // Open the diff between a reviewer's prompt and the template it came from
+    showPromptDiff(reviewerId) {
+        const reviewer = this.reviewers.find(r => r.id === reviewerId);
+        if (!reviewer || this.getReviewerTemplatePrompt(reviewer) === null) {
+            this.showToast('This reviewer was not added from a template', 'warning');
+            return;
+        }
+
+        this.promptDiffReviewerId = reviewerId;
+        this.renderPromptDiff();
+        document.getElementById('promptDiffModal').classList.remove('hidden');
+    }
+
+    closePromptDiff() {
+        document.getElementById('promptDiffModal').classList.add('hidden');
+        this.promptDiffReviewerId = null;
+    }
+
+    // Render the template (left) against the current prompt (right)
+    renderPromptDiff() {
+        const reviewer = this.reviewers.find(r => r.id === this.promptDiffReviewerId);
+        const card = document.querySelector(`[data-reviewer-id="${this.promptDiffReviewerId}"]`);
+        const templatePrompt = reviewer && this.getReviewerTemplatePrompt(reviewer);
+        if (!card || templatePrompt === null) return;
+
+        const name = card.querySelector('.reviewer-name-input').value;
+        document.getElementById('promptDiffTitle').textContent = `🔀 ${name} vs "${reviewer.templateRole}" Template`;
+
+        const rows = this.computeLineDiff(templatePrompt, card.querySelector('.reviewer-prompt').value);
+        const changed = rows.filter(r => r.type !== 'equal').length;
+        const added = rows.filter(r => r.type !== 'equal' && r.newLine !== null).length;
+        const removed = rows.filter(r => r.type !== 'equal' && r.oldLine !== null).length;
+
+        document.getElementById('promptDiffStats').innerHTML = changed === 0
+            ? 'The prompt matches its template'
+            : `${changed} line${changed !== 1 ? 's' : ''} differ from the template <span class="diff-stat-added">+${added}</span> <span class="diff-stat-removed">−${removed}</span>`;
+        document.getElementById('btnRevertPromptToTemplate').disabled = changed === 0;
+
+        document.getElementById('promptDiffContent').innerHTML = this.promptDiffMode === 'inline'
+            ? this.renderInlineDiff(rows)
+            : this.renderSideBySideDiff(rows);
+    }
+
+    // Put the template prompt back; it is recorded as a version, so Undo brings the edits back
+    revertPromptToTemplate() {
+        const reviewer = this.reviewers.find(r => r.id === this.promptDiffReviewerId);
+        const templatePrompt = reviewer && this.getReviewerTemplatePrompt(reviewer);
+        if (templatePrompt === null) return;
+
+        this.setReviewerPromptText(reviewer.id, templatePrompt);
+        this.renderPromptDiff();
+        this.showToast('Prompt reverted to its template. Use Undo on the card to get your edits back.', 'info');
+    }
+
+    // Open creator template gallery
+    async openCreatorSelector() {
+        document.getElementById('creatorSelectionFlyout').classList.remove('hidden');
+        await this.loadCreatorTemplates();
+    }
+
+    // Close creator template gallery
+    closeCreatorSelector() {
+        document.getElementById('creatorSelectionFlyout').classList.add('hidden');
+    }
+
+    // Load the default Creator and the creator templates, marking the one whose prompt is in use
+    async loadCreatorTemplates() {
+        const grid = document.getElementById('creatorTemplatesGrid');
+        grid.innerHTML = '<p style="color: var(--text-secondary); text-align: center;">Loading templates...</p>';
+
+        try {
+            const response = await fetch('/agentconfigurations.json', {
+                cache: 'no-store'  // Bypass cache to get fresh data
+            });
+            if (!response.ok) {
+                throw new Error('Failed to load agent configurations');
+            }
+
+            const config = await response.json();
+            const templates = [config.agents?.creator, ...(config.agents?.creatorTemplates || [])]
+                .filter(template => template?.prompt);
+
+            if (templates.length === 0) {
+                grid.innerHTML = '<p style="color: var(--text-secondary); text-align: center;">No creator templates found.</p>';
+                return;
+            }
+
+            // Remembered so choosing a template only asks before replacing a hand-written prompt
+            this.creatorTemplatePrompts = new Set(templates.map(t => t.prompt.replace(/\\n/g, '\n')));
+            const currentPrompt = document.getElementById('creatorPrompt').value;
+
+            grid.innerHTML = '';
+            templates.forEach(template => {
+                const isCurrent = template.prompt.replace(/\\n/g, '\n') === currentPrompt;
+                grid.appendChild(this.createCreatorTemplateCard(template, isCurrent));
+            });
+        } catch (error) {
+            console.error('Failed to load creator templates:', error);
+            grid.innerHTML = '<p style="color: var(--danger-color); text-align: center;">Failed to load templates. Please try again.</p>';
+            this.showToast('Failed to load creator templates', 'error');
+        }
+    }
+
+    // Create a creator template card element; built with DOM APIs since template text comes from a config file
+    createCreatorTemplateCard(template, isCurrent = false) {
+        const card = document.createElement('div');
+        card.className = 'reviewer-template-card creator-template-card';
+        card.classList.toggle('current', isCurrent);
+
+        const header = document.createElement('div');
+        header.className = 'template-card-header';
+        const title = document.createElement('h4');
+        title.className = 'template-card-title';
+        title.textContent = template.role;
+        const badge = document.createElement('span');
+        badge.className = `template-category-badge ${(template.category || 'Creator').toLowerCase()}`;
+        badge.textContent = isCurrent ? 'In use' : (template.category || 'Creator');
+        header.append(title, badge);
+
+        const description = document.createElement('p');
+        description.className = 'template-card-description';
+        description.textContent = template.description || 'Click to use this persona';
+        card.append(header, description);
+
+        const settings = this.describeSamplingSettings(template.settings);
+        if (settings) {
+            const settingsLine = document.createElement('p');
+            settingsLine.className = 'template-card-settings';
+            settingsLine.textContent = settings;
+            card.appendChild(settingsLine);
+        }
+
+        card.addEventListener('click', () => this.selectCreatorTemplate(template));
+        return card;
+    }
+
+    // Summarize a template's suggested sampling settings, leaving out penalties that are off
+    describeSamplingSettings(settings) {
+        if (!settings) return '';
+
+        const parts = [];
+        if (typeof settings.temperature === 'number') parts.push(`Temperature ${settings.temperature}`);
+        if (typeof settings.topP === 'number') parts.push(`Top P ${settings.topP}`);
+        if (typeof settings.maxTokens === 'number') parts.push(`Max tokens ${settings.maxTokens}`);
+        if (settings.presencePenalty) parts.push(`Presence penalty ${settings.presencePenalty}`);
+        if (settings.frequencyPenalty) parts.push(`Frequency penalty ${settings.frequencyPenalty}`);
+        return parts.join(' · ');
+    }
+
+    // Apply a creator template: its prompt and suggested sampling settings replace the current ones
+    selectCreatorTemplate(template) {
+        const formattedPrompt = template.prompt.replace(/\\n/g, '\n');
+        const creatorPrompt = document.getElementById('creatorPrompt');
+
+        const isEdited = creatorPrompt.value.trim() && !this.creatorTemplatePrompts?.has(creatorPrompt.value);
+        if (isEdited && !confirm(`Replace your edited Creator prompt with the "${template.role}" template?`)) {
+            return;
+        }
+
+        creatorPrompt.value = formattedPrompt;
+
+        const fields = {
+            temperature: 'creatorTemp',
+            topP: 'creatorTopP',
+            maxTokens: 'creatorMaxTokens',
+            presencePenalty: 'creatorPresencePenalty',
+            frequencyPenalty: 'creatorFrequencyPenalty'
+        };
+        Object.entries(fields).forEach(([setting, inputId]) => {
+            const value = template.settings?.[setting];
+            if (typeof value === 'number') {
+                document.getElementById(inputId).value = value;
+            }
+        });
+
+        // xAI models don't take penalties, so re-apply that rule over the template's values
+        this.handleCreatorModelChange();
+        this.refreshPromptPreviews();
+
+        this.closeCreatorSelector();
+        this.showToast(`Creator set to ${template.role}`, 'success');
+    }
+
     // Check if a model is from xAI (Grok models)
     isXAIModel(modelName) {
         if (!modelName) return false;
@@ -1833,49 +5328,40 @@ Authoring rules:
         if (!this.currentSessionId) return;
 
         try {
-            const response = await fetch(`/api/session/${this.currentSessionId}/feedback-rounds`);
-            if (!response.ok) throw new Error('Failed response from API');
-
-            const feedbackRounds = await response.json();
+            const feedbackRounds = await DxoApi.session.feedbackRounds(this.currentSessionId);
             this.displayFeedbackRounds(feedbackRounds);
         } catch (error) {
             console.error('Failed to load feedback rounds:', error);
-            this.showToast('Failed to load feedback history', 'error');
+            this.showToast(error.message, 'error');
         }
     }
 
     // Display feedback rounds in the UI
     displayFeedbackRounds(feedbackRounds) {
         const container = document.getElementById('feedbackRoundsList');
+        this.feedbackRounds = feedbackRounds || [];
 
         if (!feedbackRounds || feedbackRounds.length === 0) {
             container.innerHTML = '<div class="empty-state"><p>No feedback rounds yet. Start a session to see iteration history.</p></div>';
             return;
         }
 
-        let html = '';
+        let html = this.renderApprovalMatrix(feedbackRounds);
         feedbackRounds.forEach(round => {
-            const reviewerFeedback = round.reviewerFeedbackJson ? JSON.parse(round.reviewerFeedbackJson) : [];
-            const approvedBadge = round.allReviewersApproved ? '<span class="badge badge-success">✓ All Approved</span>' : '';
+            const reviewerFeedback = this.parseReviewerFeedback(round);
+            const approvedBadge = round.allReviewersApproved
+                ? '<span class="badge badge-success">✓ All Approved</span>'
+                : round.quorumMet ? '<span class="badge badge-success">✓ Quorum Met</span>' : '';
 
             // Check if reviewer feedback has any actual content
             const hasReviewerContent = reviewerFeedback && reviewerFeedback.length > 0 &&
                 reviewerFeedback.some(rf => rf.feedback && rf.feedback.trim().length > 0);
 
             // Render draft content as markdown
-            let draftPreviewHtml = '';
+            // Get first 300 chars then parse markdown
             const draftText = round.draftContent || 'No draft available';
-            if (typeof marked !== 'undefined') {
-                try {
-                    // Get first 300 chars then parse markdown
-                    const preview = draftText.substring(0, 300) + (draftText.length > 300 ? '...' : '');
-                    draftPreviewHtml = marked.parse(preview);
-                } catch (e) {
-                    draftPreviewHtml = this.escapeHtml(draftText.substring(0, 300)) + '...';
-                }
-            } else {
-                draftPreviewHtml = this.escapeHtml(draftText.substring(0, 300)) + '...';
-            }
+            const preview = draftText.substring(0, 300) + (draftText.length > 300 ? '...' : '');
+            const draftPreviewHtml = this.markdownToHtml(preview);
 
             html += `
                 <div class="feedback-round-card" data-iteration="${round.iteration}">
@@ -1886,10 +5372,15 @@ Authoring rules:
                         <span class="feedback-timestamp">${new Date(round.createdAt).toLocaleString()}</span>
                     </div>
                     <div class="feedback-round-body">
+                        ${this.renderRoundAttachments(round)}
                         <div class="draft-content-section">
                             <div class="draft-section-header">
                                 <h5>Creator's Draft:</h5>
-                                <button class="btn btn-small btn-secondary" onclick="dxoApp.showFullDraft(${round.iteration})">View Full Draft</button>
+                                <div class="draft-section-actions">
+                                    ${feedbackRounds.length > 1 ? `<button class="btn btn-small btn-secondary" onclick="dxoApp.showDraftDiff(${round.iteration})">Compare</button>` : ''}
+                                    <button class="btn btn-small btn-secondary" onclick="dxoApp.showFullDraft(${round.iteration})">View Full Draft</button>
+                                    ${round.draftContent ? `<button class="btn btn-small btn-secondary" onclick="dxoApp.forkFromIteration(${round.iteration})" title="Start a new session from this draft with the same council">🌿 Fork from here</button>` : ''}
+                                </div>
                             </div>
                             <div class="draft-preview markdown-body">${draftPreviewHtml}</div>
                         </div>
@@ -1914,6 +5405,153 @@ Authoring rules:
         container.innerHTML = html;
     }
 
+    /**
+     * Parse a round's reviewer feedback JSON into camelCase entries.
+     * The server stores ReviewerFeedbackSummary with PascalCase property names.
+     */
+    parseReviewerFeedback(round) {
+        let entries = [];
+        try {
+            entries = round.reviewerFeedbackJson ? JSON.parse(round.reviewerFeedbackJson) : [];
+        } catch (error) {
+            console.error('Failed to parse reviewer feedback:', error);
+        }
+
+        return entries.map(rf => {
+            const verdict = rf.Verdict ?? rf.verdict;
+            return {
+                reviewerId: rf.ReviewerId ?? rf.reviewerId ?? '',
+                reviewerName: rf.ReviewerName ?? rf.reviewerName ?? '',
+                category: rf.Category ?? rf.category ?? 'Standard',
+                feedback: rf.Feedback ?? rf.feedback ?? '',
+                approved: rf.Approved ?? rf.approved ?? false,
+                // Rounds saved before verdicts were parsed have none
+                verdict: verdict ? {
+                    mode: verdict.Mode ?? verdict.mode,
+                    approved: verdict.Approved ?? verdict.approved ?? false,
+                    verdict: verdict.Verdict ?? verdict.verdict ?? null,
+                    blockingIssues: verdict.BlockingIssues ?? verdict.blockingIssues ?? [],
+                    parseError: verdict.ParseError ?? verdict.parseError ?? null
+                } : null
+            };
+        });
+    }
+
+    /**
+     * Build reviewer × iteration approval data from feedback rounds.
+     * Reviewers are keyed by id and labelled with their most recent name.
+     */
+    buildApprovalMatrix(feedbackRounds) {
+        const iterations = [];
+        const reviewers = new Map();
+
+        feedbackRounds.forEach(round => {
+            const feedback = this.parseReviewerFeedback(round);
+            if (feedback.length === 0) return; // Final output rounds carry no reviews
+
+            iterations.push(round.iteration);
+            feedback.forEach(rf => {
+                const key = rf.reviewerId || rf.reviewerName;
+                if (!reviewers.has(key)) {
+                    reviewers.set(key, { key, name: rf.reviewerName, category: rf.category, cells: {} });
+                }
+                const reviewer = reviewers.get(key);
+                reviewer.name = rf.reviewerName || reviewer.name;
+                reviewer.category = rf.category;
+                reviewer.cells[round.iteration] = rf;
+            });
+        });
+
+        return { iterations, reviewers: [...reviewers.values()] };
+    }
+
+    // Render the reviewer × iteration approval matrix shown above the feedback rounds
+    renderApprovalMatrix(feedbackRounds) {
+        this.approvalMatrix = this.buildApprovalMatrix(feedbackRounds);
+        const { iterations, reviewers } = this.approvalMatrix;
+        if (iterations.length === 0 || reviewers.length === 0) return '';
+
+        const latest = iterations[iterations.length - 1];
+        const latestRound = feedbackRounds.find(round => round.iteration === latest);
+        const headerCells = iterations.map(i => `<th>${i}</th>`).join('');
+        const rows = reviewers.map((reviewer, index) => {
+            // A reviewer blocks convergence when their latest review requested changes and the quorum is not met;
+            // optional reviewers never block
+            const blocking = reviewer.cells[latest] && !reviewer.cells[latest].approved &&
+                reviewer.category !== 'Optional' && !latestRound?.quorumMet;
+            const cells = iterations.map(iteration => {
+                const rf = reviewer.cells[iteration];
+                if (!rf) {
+                    return '<td><span class="approval-cell approval-cell-empty" title="No review">—</span></td>';
+                }
+                const unreadable = !!rf.verdict?.parseError;
+                const state = rf.approved ? 'approved' : 'changes';
+                const label = rf.approved ? 'Approved' : unreadable ? 'Verdict unreadable' : 'Changes requested';
+                return `<td><button class="approval-cell approval-cell-${state}" title="${label} - view feedback"
+                    onclick="dxoApp.showReviewerFeedback(${index}, ${iteration})">${rf.approved ? '✓' : unreadable ? '⚠' : '✗'}</button></td>`;
+            }).join('');
+
+            return `
+                <tr class="${blocking ? 'approval-row-blocking' : ''}">
+                    <th scope="row">
+                        ${this.escapeHtml(reviewer.name)}
+                        ${reviewer.category !== 'Standard' ? `<span class="approval-category-badge category-${reviewer.category.toLowerCase()}">${REVIEWER_CATEGORIES[reviewer.category] || this.escapeHtml(reviewer.category)}</span>` : ''}
+                        ${blocking ? '<span class="approval-blocking-badge">Blocking</span>' : ''}
+                    </th>
+                    ${cells}
+                </tr>`;
+        }).join('');
+
+        return `
+            <div class="approval-matrix">
+                <div class="approval-matrix-header">
+                    <h4>Approval Matrix</h4>
+                    <span class="approval-matrix-legend">✓ Approved · ✗ Changes requested · ⚠ Verdict unreadable · click a cell to read the feedback</span>
+                </div>
+                ${latestRound?.quorumSummary ? `
+                <p class="approval-quorum approval-quorum-${latestRound.quorumMet ? 'met' : 'blocked'}">
+                    ${latestRound.quorumMet ? '✓' : '⏳'} Iteration ${latest}: ${this.escapeHtml(latestRound.quorumSummary)}
+                </p>` : ''}
+                <div class="approval-matrix-scroll">
+                    <table class="approval-matrix-table">
+                        <thead><tr><th scope="col">Reviewer</th>${headerCells}</tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </div>`;
+    }
+
+    // Open a single reviewer's feedback for one iteration from the approval matrix
+    showReviewerFeedback(reviewerIndex, iteration) {
+        const reviewer = this.approvalMatrix?.reviewers[reviewerIndex];
+        const rf = reviewer?.cells[iteration];
+        if (!rf) {
+            this.showToast('Reviewer feedback not found', 'warning');
+            return;
+        }
+
+        document.getElementById('reviewerFeedbackModalTitle').textContent =
+            `${reviewer.name} - Iteration ${iteration}`;
+
+        const verdict = document.getElementById('reviewerFeedbackVerdict');
+        const described = rf.verdict ? this.describeVerdict(rf.verdict) : null;
+        verdict.textContent = described?.label ?? (rf.approved ? '✓ Approved' : '✗ Changes requested');
+        verdict.className = `approval-verdict approval-verdict-${described?.state ?? (rf.approved ? 'approved' : 'changes')}`;
+        verdict.title = described ? `${described.mode} verdict` : '';
+
+        const details = document.getElementById('reviewerFeedbackVerdictDetails');
+        details.innerHTML = this.renderVerdictDetails(rf.verdict);
+        details.hidden = !details.innerHTML;
+
+        this.renderMarkdown(document.getElementById('reviewerFeedbackContent'), rf.feedback || 'No feedback text');
+        document.getElementById('reviewerFeedbackModal').classList.remove('hidden');
+    }
+
+    // Close reviewer feedback modal
+    closeReviewerFeedback() {
+        document.getElementById('reviewerFeedbackModal').classList.add('hidden');
+    }
+
     // Render reviewer feedback
     renderReviewerFeedback(reviewerFeedback) {
         if (!reviewerFeedback || reviewerFeedback.length === 0) {
@@ -1923,22 +5561,14 @@ Authoring rules:
         let html = '<div class="reviewer-feedback-list">';
         reviewerFeedback.forEach((rf, index) => {
             const approvedIcon = rf.approved ? '✓' : '';
+            const described = rf.verdict ? this.describeVerdict(rf.verdict) : null;
+            const verdictBadge = described
+                ? `<span class="approval-verdict approval-verdict-${described.state}" title="${this.escapeHtml(described.mode)} verdict">${described.label}</span>`
+                : approvedIcon;
             const feedbackText = rf.feedback || '';
             const feedbackLen = feedbackText.length;
 
-            // Parse markdown if marked is available, else escape html
-            let contentHtml = feedbackText;
-            // Simple newline to br if markdown not available, or use marked
-            if (typeof marked !== 'undefined') {
-                try {
-                    contentHtml = marked.parse(feedbackText);
-                } catch (e) {
-                    console.error('Markdown parse error:', e);
-                    contentHtml = this.escapeHtml(feedbackText).replace(/\n/g, '<br>');
-                }
-            } else {
-                contentHtml = this.escapeHtml(feedbackText).replace(/\n/g, '<br>');
-            }
+            const contentHtml = this.markdownToHtml(feedbackText);
 
             // Check length for truncation (approx > 300 chars)
             // We use a CSS class to handle the truncation visually
@@ -1948,7 +5578,8 @@ Authoring rules:
 
             html += `
                 <div class="reviewer-feedback-item">
-                    <div class="reviewer-name">${this.escapeHtml(rf.reviewerName)} ${approvedIcon}</div>
+                    <div class="reviewer-name">${this.escapeHtml(rf.reviewerName)} ${verdictBadge}</div>
+                    ${this.renderVerdictDetails(rf.verdict)}
                     <div class="reviewer-comment-container">
                         <div class="reviewer-comment-content ${expandedClass}">
                             ${contentHtml}
@@ -1999,12 +5630,7 @@ Authoring rules:
     async showDraftModal(iteration) {
         try {
             // Fetch only the specific feedback round we need
-            const response = await fetch(`/api/session/${this.currentSessionId}/feedback-rounds`);
-            if (!response.ok) {
-                throw new Error('Failed to load draft');
-            }
-
-            const feedbackRounds = await response.json();
+            const feedbackRounds = await DxoApi.session.feedbackRounds(this.currentSessionId, { errorMessage: 'Failed to load draft' });
             const round = feedbackRounds.find(r => r.iteration === iteration);
 
             if (!round || !round.draftContent) {
@@ -2023,7 +5649,7 @@ Authoring rules:
             document.getElementById('fullDraftModal').classList.remove('hidden');
         } catch (error) {
             console.error('Failed to load draft:', error);
-            this.showToast('Failed to load draft', 'error');
+            this.showToast(error.message, 'error');
         }
     }
 
@@ -2032,6 +5658,232 @@ Authoring rules:
         document.getElementById('fullDraftModal').classList.add('hidden');
     }
 
+    // Open the draft diff modal comparing an iteration with the one before it
+    showDraftDiff(iteration) {
+        const rounds = this.feedbackRounds.filter(r => r.draftContent);
+        if (rounds.length < 2) {
+            this.showToast('At least two drafts are needed to compare', 'warning');
+            return;
+        }
+
+        const fromSelect = document.getElementById('draftDiffFrom');
+        const toSelect = document.getElementById('draftDiffTo');
+        fromSelect.innerHTML = '';
+        toSelect.innerHTML = '';
+        rounds.forEach(round => {
+            fromSelect.add(new Option(`Iteration ${round.iteration}`, round.iteration));
+            toSelect.add(new Option(`Iteration ${round.iteration}`, round.iteration));
+        });
+
+        // Default to the previous draft, or the next one when comparing the first iteration
+        const index = Math.max(0, rounds.findIndex(r => r.iteration === iteration));
+        const fromIndex = index > 0 ? index - 1 : 0;
+        const toIndex = index > 0 ? index : 1;
+        fromSelect.value = rounds[fromIndex].iteration;
+        toSelect.value = rounds[toIndex].iteration;
+
+        this.renderDraftDiff();
+        document.getElementById('draftDiffModal').classList.remove('hidden');
+    }
+
+    // Close draft diff modal
+    closeDraftDiff() {
+        document.getElementById('draftDiffModal').classList.add('hidden');
+    }
+
+    // Render the diff between the two selected iterations
+    renderDraftDiff() {
+        const fromIteration = parseInt(document.getElementById('draftDiffFrom').value);
+        const toIteration = parseInt(document.getElementById('draftDiffTo').value);
+        const fromRound = this.feedbackRounds.find(r => r.iteration === fromIteration);
+        const toRound = this.feedbackRounds.find(r => r.iteration === toIteration);
+        if (!fromRound || !toRound) return;
+
+        const rows = this.computeLineDiff(fromRound.draftContent || '', toRound.draftContent || '');
+        const changed = rows.filter(r => r.type !== 'equal').length;
+        const added = rows.filter(r => r.type !== 'equal' && r.newLine !== null).length;
+        const removed = rows.filter(r => r.type !== 'equal' && r.oldLine !== null).length;
+
+        const stats = document.getElementById('draftDiffStats');
+        stats.innerHTML = changed === 0
+            ? 'No changes between these drafts'
+            : `${changed} line${changed !== 1 ? 's' : ''} changed <span class="diff-stat-added">+${added}</span> <span class="diff-stat-removed">−${removed}</span>`;
+
+        const content = document.getElementById('draftDiffContent');
+        content.innerHTML = this.draftDiffMode === 'inline'
+            ? this.renderInlineDiff(rows)
+            : this.renderSideBySideDiff(rows);
+    }
+
+    // Longest-common-subsequence diff of two token arrays
+    // Returns a list of { type: 'equal' | 'removed' | 'added', value } operations
+    diffSequences(a, b) {
+        // Strip the common prefix and suffix so the table only covers the changed region
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const prefix = a.slice(0, start).map(value => ({ type: 'equal', value }));
+        const suffix = a.slice(endA).map(value => ({ type: 'equal', value }));
+        a = a.slice(start, endA);
+        b = b.slice(start, endB);
+
+        const n = a.length;
+        const m = b.length;
+        const table = new Uint32Array((n + 1) * (m + 1));
+
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                table[i * (m + 1) + j] = a[i] === b[j]
+                    ? table[(i + 1) * (m + 1) + j + 1] + 1
+                    : Math.max(table[(i + 1) * (m + 1) + j], table[i * (m + 1) + j + 1]);
+            }
+        }
+
+        const ops = [];
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (a[i] === b[j]) {
+                ops.push({ type: 'equal', value: a[i] });
+                i++;
+                j++;
+            } else if (table[(i + 1) * (m + 1) + j] >= table[i * (m + 1) + j + 1]) {
+                ops.push({ type: 'removed', value: a[i++] });
+            } else {
+                ops.push({ type: 'added', value: b[j++] });
+            }
+        }
+        while (i < n) ops.push({ type: 'removed', value: a[i++] });
+        while (j < m) ops.push({ type: 'added', value: b[j++] });
+
+        return [...prefix, ...ops, ...suffix];
+    }
+
+    // Build aligned diff rows; removed and added lines in the same hunk are paired for word-level highlighting
+    computeLineDiff(oldText, newText) {
+        const ops = this.diffSequences(oldText.split('\n'), newText.split('\n'));
+        const rows = [];
+        let removed = [];
+        let added = [];
+
+        const flush = () => {
+            const count = Math.max(removed.length, added.length);
+            for (let k = 0; k < count; k++) {
+                const oldLine = k < removed.length ? removed[k] : null;
+                const newLine = k < added.length ? added[k] : null;
+                rows.push({ type: oldLine !== null && newLine !== null ? 'modified' : (oldLine !== null ? 'removed' : 'added'), oldLine, newLine });
+            }
+            removed = [];
+            added = [];
+        };
+
+        ops.forEach(op => {
+            if (op.type === 'equal') {
+                flush();
+                rows.push({ type: 'equal', oldLine: op.value, newLine: op.value });
+            } else if (op.type === 'removed') {
+                removed.push(op.value);
+            } else {
+                added.push(op.value);
+            }
+        });
+        flush();
+
+        return rows;
+    }
+
+    // Highlight the words that differ between two versions of a line
+    renderWordDiff(oldLine, newLine) {
+        const tokenize = text => text.match(/\s+|[\w'-]+|[^\w\s]/g) || [];
+        const ops = this.diffSequences(tokenize(oldLine), tokenize(newLine));
+
+        let oldHtml = '';
+        let newHtml = '';
+        ops.forEach(op => {
+            const text = this.escapeHtml(op.value);
+            if (op.type === 'equal') {
+                oldHtml += text;
+                newHtml += text;
+            } else if (op.type === 'removed') {
+                oldHtml += `<del>${text}</del>`;
+            } else {
+                newHtml += `<ins>${text}</ins>`;
+            }
+        });
+
+        // Merge adjacent highlights so a changed phrase reads as one span
+        return {
+            oldHtml: oldHtml.replace(/<\/del><del>/g, ''),
+            newHtml: newHtml.replace(/<\/ins><ins>/g, '')
+        };
+    }
+
+    // Render diff rows as two aligned columns
+    renderSideBySideDiff(rows) {
+        let oldNumber = 0;
+        let newNumber = 0;
+        let html = '<table class="draft-diff-table side-by-side"><tbody>';
+
+        rows.forEach(row => {
+            let oldHtml = row.oldLine !== null ? this.escapeHtml(row.oldLine) : '';
+            let newHtml = row.newLine !== null ? this.escapeHtml(row.newLine) : '';
+            if (row.type === 'modified') {
+                ({ oldHtml, newHtml } = this.renderWordDiff(row.oldLine, row.newLine));
+            }
+
+            const oldClass = row.type === 'equal' ? '' : (row.oldLine !== null ? 'diff-removed' : 'diff-empty');
+            const newClass = row.type === 'equal' ? '' : (row.newLine !== null ? 'diff-added' : 'diff-empty');
+
+            html += `
+                <tr>
+                    <td class="diff-line-number">${row.oldLine !== null ? ++oldNumber : ''}</td>
+                    <td class="diff-line ${oldClass}">${oldHtml}</td>
+                    <td class="diff-line-number">${row.newLine !== null ? ++newNumber : ''}</td>
+                    <td class="diff-line ${newClass}">${newHtml}</td>
+                </tr>`;
+        });
+
+        return html + '</tbody></table>';
+    }
+
+    // Render diff rows as a single column with removed lines above their replacements
+    renderInlineDiff(rows) {
+        let oldNumber = 0;
+        let newNumber = 0;
+        let html = '<table class="draft-diff-table inline"><tbody>';
+
+        const line = (oldNo, newNo, marker, cssClass, content) => `
+                <tr>
+                    <td class="diff-line-number">${oldNo}</td>
+                    <td class="diff-line-number">${newNo}</td>
+                    <td class="diff-line ${cssClass}"><span class="diff-marker">${marker}</span>${content}</td>
+                </tr>`;
+
+        rows.forEach(row => {
+            if (row.type === 'equal') {
+                html += line(++oldNumber, ++newNumber, ' ', '', this.escapeHtml(row.oldLine));
+                return;
+            }
+
+            let oldHtml = row.oldLine !== null ? this.escapeHtml(row.oldLine) : '';
+            let newHtml = row.newLine !== null ? this.escapeHtml(row.newLine) : '';
+            if (row.type === 'modified') {
+                ({ oldHtml, newHtml } = this.renderWordDiff(row.oldLine, row.newLine));
+            }
+
+            if (row.oldLine !== null) html += line(++oldNumber, '', '−', 'diff-removed', oldHtml);
+            if (row.newLine !== null) html += line('', ++newNumber, '+', 'diff-added', newHtml);
+        });
+
+        return html + '</tbody></table>';
+    }
+
     // Submit user feedback for a specific iteration
     async submitUserFeedback(iteration) {
         if (!this.currentSessionId) return;
@@ -2045,22 +5897,12 @@ Authoring rules:
         }
 
         try {
-            const response = await fetch(`/api/session/${this.currentSessionId}/feedback`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ iteration, feedback })
-            });
-
-            if (response.ok) {
-                this.showToast('Feedback submitted successfully', 'success');
-                await this.loadFeedbackRounds(); // Reload to show the submitted feedback
-            } else {
-                const error = await response.json();
-                throw new Error(error.error || 'Failed to submit feedback');
-            }
+            await DxoApi.session.submitFeedback(this.currentSessionId, { iteration, feedback });
+            this.showToast('Feedback submitted successfully', 'success');
+            await this.loadFeedbackRounds(); // Reload to show the submitted feedback
         } catch (error) {
             console.error('Failed to submit feedback:', error);
-            this.showToast(error.message || 'Failed to submit feedback', 'error');
+            this.showToast(error.message, 'error');
         }
     }
 
@@ -2086,10 +5928,7 @@ Authoring rules:
 
         // Fetch session to get feedback version
         try {
-            const response = await fetch(`/api/session/${this.currentSessionId}`);
-            if (!response.ok) throw new Error('Failed to fetch session');
-
-            const session = await response.json();
+            const session = await DxoApi.session.get(this.currentSessionId);
             const feedbackVersion = session.feedbackVersion || 1;
 
             // Update the output label with version
@@ -2105,12 +5944,9 @@ Authoring rules:
         const topic = document.getElementById('sessionTopic').value;
         document.getElementById('feedbackContextTopic').textContent = topic;
 
-        const outputEl = document.getElementById('feedbackContextOutput');
-        if (typeof marked !== 'undefined') {
-            outputEl.innerHTML = marked.parse(finalOutput);
-        } else {
-            outputEl.textContent = finalOutput;
-        }
+        this.renderMarkdown(document.getElementById('feedbackContextOutput'), finalOutput);
+
+        this.renderInlineCommentLists();
 
         // Reset form
         document.getElementById('feedbackComments').value = '';
@@ -2126,6 +5962,7 @@ Authoring rules:
     // Close feedback modal
     closeFeedbackModal() {
         document.getElementById('feedbackModal').classList.add('hidden');
+        this.setFeedbackEditing(false);
     }
 
     // Open AI recommendation modal
@@ -2282,8 +6119,8 @@ Authoring rules:
 
     // Helper to add reviewer with full template data
     addReviewerWithTemplate(template, prompt) {
-        const reviewerNumber = this.reviewers.length + 1;
-        this.addReviewer(template.role, prompt);
+        const reviewerId = this.addReviewer(template.role, prompt);
+        this.setReviewerCategory(reviewerId, this.toReviewerCategory(template.category));
     }
 
     // Submit iteration feedback
@@ -2294,13 +6131,14 @@ Authoring rules:
         }
 
         const comments = document.getElementById('feedbackComments').value.trim();
-        if (!comments) {
+        if (!comments && this.inlineComments.length === 0) {
             this.showToast('Please provide feedback comments', 'warning');
             return;
         }
 
         const feedbackData = {
             comments: comments,
+            anchoredComments: this.inlineComments.map(c => ({ quote: c.quote, comment: c.comment })),
             tone: document.getElementById('feedbackTone').value,
             length: document.getElementById('feedbackLength').value,
             audience: document.getElementById('feedbackAudience').value,
@@ -2308,19 +6146,8 @@ Authoring rules:
         };
 
         try {
-            const response = await fetch(`/api/session/${this.currentSessionId}/iterate-with-feedback`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(feedbackData)
-            });
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error || 'Failed to submit feedback');
-            }
-
             // Get the updated session from the response
-            const updatedSession = await response.json();
+            const updatedSession = await DxoApi.session.iterateWithFeedback(this.currentSessionId, feedbackData);
 
             // Update the UI with the new max iterations
             document.getElementById('maxIterations').value = updatedSession.maxIterations;
@@ -2328,6 +6155,10 @@ Authoring rules:
             // Update the iteration count display with current iteration and new max
             this.updateIterationCount(updatedSession.currentIteration);
 
+            // The output is about to be revised, so the anchors won't apply anymore
+            this.inlineComments = [];
+            this.renderInlineComments();
+
             this.closeFeedbackModal();
             this.showToast('Feedback submitted - restarting session', 'success');
             this.isRunning = true;
@@ -2374,12 +6205,7 @@ Authoring rules:
             await this.waitForConnection();
 
             // Fetch session from server
-            const response = await fetch(`/api/session/${sessionId}`);
-            if (!response.ok) {
-                throw new Error('Session not found');
-            }
-
-            const session = await response.json();
+            const session = await DxoApi.session.get(sessionId);
 
             // Restore session ID
             this.currentSessionId = sessionId;
@@ -2393,6 +6219,14 @@ Authoring rules:
             // Restore session settings
             document.getElementById('sessionTopic').value = session.topic || '';
             document.getElementById('maxIterations').value = session.maxIterations || 8;
+            this.setQuorumRule(session.quorumRule || 'All', session.quorumOthersRequired);
+            document.getElementById('parallelReviewers').checked = !!session.parallelReviewers;
+            this.parallelReviewers = !!session.parallelReviewers;
+            this.setPromptVariables(this.parsePromptVariables(session.promptVariablesJson));
+            const attachments = this.parseAttachments(session.attachmentsJson);
+            this.setAttachments(attachments);
+            this.renderTraceAttachments(attachments);
+            this.pendingFork = !!session.parentSessionId && session.status === 'Created';
 
             // Update iteration count and status
             this.updateIterationCount(session.currentIteration || 0);
@@ -2402,21 +6236,25 @@ Authoring rules:
             this.isRunning = (session.status === 'Running');
             this.updateButtonStates();
 
-            // Restore final output if exists
-            if (session.finalOutput) {
-                this.dom.finalOutput.value = session.finalOutput;
+            // Rebuild the council before the trace so messages map to reviewer names
+            await this.restorePersonaConfigs(session);
 
-                // Render markdown using utility method
-                this.renderMarkdown(this.dom.finalOutputContainer, session.finalOutput);
+            // Replay the stored interaction trace
+            this.restoreTrace(session.messages);
+
+            // Restore final output if exists
+            if (session.finalContent) {
+                this.renderFinalOutput(session.finalContent);
 
                 this.updateUIState();
             }
 
-            // Load feedback rounds
+            // Load feedback rounds and where this session sits among its forks
             await this.loadFeedbackRounds();
+            await this.loadSessionLineage();
 
             // Rejoin SignalR group
-            await this.connection.invoke('JoinSession', sessionId);
+            await this.joinSessionGroup(sessionId);
 
             this.showToast('Session restored successfully', 'success');
 